@@ -8,14 +8,28 @@
  * - Does NOT contain business logic
  */
 
-import { Notice, PluginSettingTab, Setting, SuggestModal, TFile, TFolder } from 'obsidian';
+import { Notice, PluginSettingTab, Setting, SuggestModal, TFile, TFolder, debounce } from 'obsidian';
+import { createReadStream } from 'fs';
+import { Readable } from 'stream';
 import { slugify } from './utils/slugify.js';
-import { ServerManager } from './server/ServerManager.js';
+import { ServerManager, CACHE_POLICIES, createFileETag, generateAccessToken } from './server/ServerManager.js';
 import { TunnelManager } from './server/TunnelManager.js';
+import { ThumbnailCache } from './server/ThumbnailCache.js';
 import { SessionParser } from './parsers/SessionParser.js';
+import { EmbedResolver } from './parsers/EmbedResolver.js';
 import { GMVaultJSONBuilder } from './renderers/GMVaultJSONBuilder.js';
 import { MarkdownRenderer } from './renderers/MarkdownRenderer.js';
+import { DEFAULT_PUBLIC_PROPERTIES } from './renderers/properties.js';
+import { TOC_MIN_HEADINGS } from './renderers/plugins/headings.js';
 import { VaultExporter } from './exporters/VaultExporter.js';
+import { PageIdRegistry } from './registry/PageIdRegistry.js';
+import { VaultIndex } from './registry/VaultIndex.js';
+import { normalizeView } from './utils/secrets.js';
+import { normalizeVaultPath, isPathInside } from './utils/vaultPaths.js';
+import { IMAGE_EXTENSIONS, IMAGE_MIME_TYPES, THUMBNAIL_QUALITY, getThumbnailWidth, isResizableImage, resizeImage } from './utils/images.js';
+import { MEDIA_MIME_TYPES } from './utils/media.js';
+import { FILE_MIME_TYPES, ATTACHMENTS_FOLDER } from './utils/files.js';
+import { sortByObsidianConfig } from './utils/fileOrder.js';
 
 /**
  * Main controller that orchestrates all plugin modules.
@@ -45,6 +59,9 @@ export class PluginController {
 		/** @type {SessionParser|null} */
 		this.sessionParser = null;
 		
+		/** @type {EmbedResolver|null} Expands ![[Note]] embeds before rendering */
+		this.embedResolver = null;
+		
 		/** @type {GMVaultJSONBuilder|null} */
 		this.jsonBuilder = null;
 		
@@ -54,6 +71,15 @@ export class PluginController {
 		/** @type {VaultExporter|null} */
 		this.vaultExporter = null;
 		
+		/** @type {PageIdRegistry|null} Stable page IDs shared by the server, JSON builder and exporter */
+		this.pageIdRegistry = null;
+		
+		/** @type {VaultIndex|null} Cached index of the session folder shared by the routes and the exporter */
+		this.vaultIndex = null;
+		
+		/** @type {ThumbnailCache|null} Resized images served by /images/*?w= */
+		this.thumbnailCache = null;
+		
 		/** @type {import('obsidian').TFolder|null} */
 		this.currentSessionFolder = null;
 		
@@ -66,6 +92,48 @@ export class PluginController {
 		/** @type {boolean} Use only plugin's cloudflared (ignore system); forces download if missing */
 		this.useBundledCloudflared = false;
 		
+		/** @type {string} Session structure: 'folders' (mirror folder tree) or 'outline' (session note headings/links) */
+		this.sessionStructure = 'folders';
+		
+		/** @type {boolean} Require a secret token in every URL served through the tunnel */
+		this.requireAccessToken = true;
+		
+		/** @type {{gm: string, player: string}} Access tokens; the player token always gets the player view */
+		this.accessTokens = { gm: generateAccessToken(), player: generateAccessToken() };
+		
+		/** @type {string[]} Origins allowed by CORS (empty = any) */
+		this.allowedOrigins = [];
+		
+		/** @type {string[]} Vault folders whose files may be served besides the session folder (e.g. "Attachments") */
+		this.allowedAttachmentFolders = [];
+		
+		/** @type {boolean} Serve raw HTML from notes unsanitized (scripts and event handlers included) */
+		this.trustRawHtml = false;
+		
+		/** @type {string[]} Frontmatter keys shown in the page header (the rest of the frontmatter is never shown) */
+		this.publicProperties = [...DEFAULT_PUBLIC_PROPERTIES];
+		
+		/** @type {boolean} Add a table of contents to pages with several headings */
+		this.tableOfContents = false;
+		
+		/** @type {boolean} Send the results of random tables to GM Vault */
+		this.postTableRolls = true;
+		
+		/** @type {boolean} Embed local images as data URIs in the JSON export */
+		this.embedExportImages = true;
+		
+		/** @type {number} Longest side of exported images in pixels (0 = original size) */
+		this.exportImageMaxDimension = 1600;
+		
+		/** @type {number} Quality (0–1) of downscaled exported images */
+		this.exportImageQuality = 0.8;
+		
+		/** @type {boolean} Write embedded PDFs next to the JSON export (export bundle folder) */
+		this.exportPdfs = false;
+		
+		/** @type {number} Export size (MB) above which a warning is shown */
+		this.exportSizeBudgetMB = 20;
+		
 		/** @type {HTMLElement|null} Status bar item durante descarga de cloudflared (una sola línea que se actualiza) */
 		this.tunnelProgressEl = null;
 	}
@@ -95,17 +163,27 @@ export class PluginController {
 			}
 		};
 		
+		// Persist new page IDs without writing data.json on every request
+		const requestSave = debounce(() => this._saveSettings(), 2000, true);
+		
 		// Initialize modules
+		this.pageIdRegistry = new PageIdRegistry(null, requestSave);
 		this.serverManager = new ServerManager(this.port);
 		this.tunnelManager = new TunnelManager(this.port, pluginDir, onTunnelProgress);
+		this.thumbnailCache = new ThumbnailCache(pluginDir ? `${pluginDir}/thumbnails` : null);
 		this.sessionParser = new SessionParser(this.app);
-		this.jsonBuilder = new GMVaultJSONBuilder(`http://localhost:${this.port}`);
+		this.embedResolver = new EmbedResolver(this.app);
+		this.vaultIndex = new VaultIndex(this.app, this.sessionParser, this.pageIdRegistry, (collisions) => this._notifySlugCollisions(collisions));
+		this.jsonBuilder = new GMVaultJSONBuilder(`http://localhost:${this.port}`, this.pageIdRegistry);
 		this.markdownRenderer = new MarkdownRenderer(`http://localhost:${this.port}`);
-		this.vaultExporter = new VaultExporter(this.app);
+		this.vaultExporter = new VaultExporter(this.app, this.pageIdRegistry, this.sessionParser, this.vaultIndex);
 		
 		// Register Obsidian commands
 		this._registerCommands();
 		
+		// Keep page IDs and the vault index in sync with the vault
+		this._registerVaultEvents();
+		
 		// Settings tab
 		this.plugin.addSettingTab(new GMVaultSettingTab(this.app, this.plugin, this));
 		
@@ -166,6 +244,188 @@ export class PluginController {
 		}
 	}
 
+	/**
+	 * Registers vault events that keep the page ID registry and the vault index in sync
+	 * and notify connected pages about changes (live reload).
+	 *
+	 * @private
+	 */
+	_registerVaultEvents() {
+		this.plugin.registerEvent(this.app.vault.on('create', (file) => {
+			this.vaultIndex.onCreate(file);
+		}));
+		
+		this.plugin.registerEvent(this.app.vault.on('modify', (file) => {
+			this._broadcastVaultChange('modify', file);
+		}));
+		
+		// El frontmatter se lee de la caché de metadatos, que se actualiza después de 'modify'
+		this.plugin.registerEvent(this.app.metadataCache.on('changed', (file, data) => {
+			this.vaultIndex.onMetadataChange(file, data);
+		}));
+		
+		this.plugin.registerEvent(this.app.vault.on('rename', (file, oldPath) => {
+			// El slug anterior se lee antes de actualizar el índice
+			const oldSlug = this.vaultIndex.getKnownSlug(oldPath);
+			this.pageIdRegistry.rename(oldPath, file.path);
+			this.vaultIndex.onRename(file, oldPath);
+			this._removeThumbnails(file, oldPath);
+			this._broadcastVaultChange('rename', file, { oldPath, oldSlug });
+		}));
+		
+		this.plugin.registerEvent(this.app.vault.on('delete', (file) => {
+			const slug = this.vaultIndex.getKnownSlug(file.path);
+			this.pageIdRegistry.delete(file.path);
+			this.vaultIndex.onDelete(file);
+			this._removeThumbnails(file, file.path);
+			this._broadcastVaultChange('delete', file, { slug });
+		}));
+	}
+
+	/**
+	 * Drops the cached thumbnails of a deleted or renamed image, or of the images in a folder.
+	 *
+	 * @private
+	 * @param {import('obsidian').TAbstractFile} file - Deleted or renamed file or folder
+	 * @param {string} path - Path it had before the change
+	 */
+	_removeThumbnails(file, path) {
+		if (file instanceof TFile) {
+			if (isResizableImage(file.extension)) {
+				this.thumbnailCache.remove(path);
+			}
+			return;
+		}
+		
+		// Carpeta: sus imágenes tenían la ruta antigua de la carpeta como prefijo
+		if (file instanceof TFolder) {
+			for (const child of file.children || []) {
+				this._removeThumbnails(child, `${path}/${child.name}`);
+			}
+		}
+	}
+
+	/**
+	 * Sets the session folder and re-targets the vault index.
+	 *
+	 * @private
+	 * @param {import('obsidian').TFolder|null} folder - Session folder
+	 */
+	_setSessionFolder(folder) {
+		this.currentSessionFolder = folder;
+		this.vaultIndex.setSessionFolder(folder);
+	}
+
+	/**
+	 * Shows the vault index timing stats (to compare cached and full scans).
+	 */
+	showIndexStats() {
+		const stats = this.vaultIndex.getStats();
+		const message = [
+			'📊 Vault index',
+			`Entries: ${stats.entries}`,
+			`Full scans: ${stats.scans} (last ${stats.lastScanMs.toFixed(1)} ms)`,
+			`Session parses: ${stats.parses} (last ${stats.lastParseMs.toFixed(1)} ms)`,
+			`Lookups: ${stats.lookups}`,
+			`Incremental updates: ${stats.incrementalUpdates}`
+		].join('\n');
+		
+		new Notice(message, 10000);
+	}
+
+	/**
+	 * Publishes a vault change to the /events stream if it affects the session folder.
+	 * Player clients only hear about pages visible to players.
+	 *
+	 * @private
+	 * @param {string} type - 'modify', 'rename' or 'delete'
+	 * @param {import('obsidian').TAbstractFile} file - Changed file or folder
+	 * @param {{slug?: string|null, oldPath?: string, oldSlug?: string|null}} [previous] - Slugs/path known before the change
+	 * @returns {Promise<void>}
+	 */
+	async _broadcastVaultChange(type, file, previous = {}) {
+		if (!this.currentSessionFolder || !this.serverManager.isRunning()) {
+			return;
+		}
+		
+		const { oldPath = null } = previous;
+		const sessionPath = this.currentSessionFolder.path;
+		const inSession = isPathInside(file.path, sessionPath) || (oldPath && isPathInside(oldPath, sessionPath));
+		if (!inSession) {
+			return;
+		}
+		
+		try {
+			// Slugs únicos del índice; el slug del nombre solo si el archivo no está indexado
+			const slug = previous.slug || await this.vaultIndex.getSlug(file.path) || slugify(this._getDisplayBasename(file.path));
+			const event = { type, slug };
+			if (oldPath) {
+				event.oldSlug = previous.oldSlug || slugify(this._getDisplayBasename(oldPath));
+			}
+			
+			// Los jugadores solo reciben los cambios de páginas visibles para ellos
+			// (una página borrada ya no está en la sesión y no se les notifica)
+			let playerEvent = null;
+			if (this.serverManager.hasEventClients('player')) {
+				playerEvent = await this._isVisibleToPlayers(file.path) ? event : null;
+			}
+			
+			// Las páginas no reciben rutas del vault, solo slugs
+			this.serverManager.broadcast('change', role => role === 'player' ? playerEvent : event);
+		} catch (error) {
+			console.error('[PluginController] Error publishing vault change:', error);
+		}
+	}
+
+	/**
+	 * Checks whether a vault path is a session page visible to players.
+	 * Hidden notes are never part of the session, so they are never visible.
+	 *
+	 * @private
+	 * @param {string} path - Vault path of a note or image folder
+	 * @returns {Promise<boolean>} True if players may see the page
+	 */
+	async _isVisibleToPlayers(path) {
+		const session = await this.vaultIndex.getSession();
+		const page = session?.getAllPages().find(sessionPage => sessionPage.path === path);
+		return Boolean(page?.visibleToPlayers);
+	}
+
+	/**
+	 * Returns the newest modification time among vault files (for Last-Modified).
+	 *
+	 * @private
+	 * @param {Array<import('obsidian').TAbstractFile|null>} files - Files; folders and missing paths are ignored
+	 * @returns {number|undefined} Modification time (ms) or undefined if there are no files
+	 */
+	_getNewestMtime(files) {
+		const mtimes = files.filter(file => file instanceof TFile).map(file => file.stat.mtime);
+		return mtimes.length > 0 ? Math.max(...mtimes) : undefined;
+	}
+
+	/**
+	 * Returns the last path segment without its extension (note basename or folder name).
+	 *
+	 * @private
+	 * @param {string} path - Vault path
+	 * @returns {string} Basename
+	 */
+	_getDisplayBasename(path) {
+		return path.split('/').pop().replace(/\.md$/i, '');
+	}
+
+	/**
+	 * Warns about notes that share a basename; they get path-derived URLs.
+	 *
+	 * @private
+	 * @param {Array<{slug: string, paths: string[]}>} collisions - Slug collisions found by the index
+	 */
+	_notifySlugCollisions(collisions) {
+		const lines = collisions.map(collision => `• ${collision.paths.join(', ')}`);
+		console.warn('[PluginController] Slug collisions:', collisions);
+		new Notice(`⚠️ Notes with the same name in the session:\n${lines.join('\n')}\n\nThey get path-based URLs. Link them with their folder, e.g. [[Chapter 2/Tavern]].`, 10000);
+	}
+
 	/**
 	 * Registers Obsidian commands.
 	 *
@@ -202,11 +462,35 @@ export class PluginController {
 			callback: () => this.copyGmVaultUrl()
 		});
 		
+		this.plugin.addCommand({
+			id: 'copy-gm-vault-player-url',
+			name: 'Copy GM-vault URL for players (player view)',
+			callback: () => this.copyGmVaultUrl('player')
+		});
+		
+		this.plugin.addCommand({
+			id: 'rotate-access-tokens',
+			name: 'Rotate access tokens',
+			callback: () => this.rotateAccessTokens()
+		});
+		
+		this.plugin.addCommand({
+			id: 'show-vault-index-stats',
+			name: 'Show vault index stats',
+			callback: () => this.showIndexStats()
+		});
+		
 		this.plugin.addCommand({
 			id: 'export-vault-json',
 			name: 'Export vault to JSON (local-first)',
 			callback: () => this.exportVaultToJson()
 		});
+		
+		this.plugin.addCommand({
+			id: 'export-vault-json-player',
+			name: 'Export vault to JSON for players (secrets removed)',
+			callback: () => this.exportVaultToJson({ view: 'player' })
+		});
 	}
 
 	/**
@@ -222,6 +506,7 @@ export class PluginController {
 
 		try {
 			// Inicia el servidor local
+			this.applyAccessSettings();
 			await this.serverManager.start();
 			this._registerRoutes();
 			
@@ -242,7 +527,7 @@ export class PluginController {
 			this.markdownRenderer.setBaseUrl(publicUrl);
 			
 			// Notifica al usuario con la URL HTTPS pública (principal)
-			new Notice(`✅ GM Vault access enabled (HTTPS):\n${publicUrl}\n\nUse this URL in GM Vault:\n${publicUrl}/gm-vault`, 10000);
+			new Notice(`✅ GM Vault access enabled (HTTPS):\n${publicUrl}\n\nUse this URL in GM Vault:\n${this._getBaseUrl('gm')}/gm-vault`, 10000);
 			
 			await this._saveSettings();
 			
@@ -296,7 +581,9 @@ export class PluginController {
 		}
 		
 		// Muestra la URL HTTPS en un notice con más tiempo
-		new Notice(`🌐 Tunnel public HTTPS URL:\n${url}\n\n• JSON for GM Vault: ${url}/gm-vault\n• Pages: ${url}/pages/:slug`, 10000);
+		const gmBase = this._getBaseUrl('gm');
+		const playerBase = this._getBaseUrl('player');
+		new Notice(`🌐 Tunnel public HTTPS URL:\n${url}\n\n• JSON for GM Vault: ${gmBase}/gm-vault\n• Player view (secrets removed): ${playerBase}/gm-vault\n• Pages: ${gmBase}/pages/:slug`, 10000);
 		
 		// También la copia al portapapeles si es posible
 		if (navigator.clipboard) {
@@ -312,9 +599,10 @@ export class PluginController {
 	/**
 	 * Copia la URL del GM-vault al portapapeles.
 	 * 
+	 * @param {string} [role='gm'] - 'gm' o 'player' (el token de jugador siempre sirve la vista de jugador)
 	 * @returns {Promise<void>}
 	 */
-	async copyGmVaultUrl() {
+	async copyGmVaultUrl(role = 'gm') {
 		const url = this.tunnelManager?.getPublicUrl() || this.publicUrl;
 		
 		if (!url) {
@@ -322,7 +610,7 @@ export class PluginController {
 			return;
 		}
 		
-		const gmVaultUrl = `${url}/gm-vault`;
+		const gmVaultUrl = `${this._getBaseUrl(role)}/gm-vault`;
 		
 		if (navigator.clipboard) {
 			try {
@@ -337,14 +625,56 @@ export class PluginController {
 		}
 	}
 
+	/**
+	 * Genera nuevos tokens de acceso. Las URLs anteriores dejan de funcionar.
+	 * 
+	 * @returns {Promise<void>}
+	 */
+	async rotateAccessTokens() {
+		this.accessTokens = { gm: generateAccessToken(), player: generateAccessToken() };
+		this.applyAccessSettings();
+		await this._saveSettings();
+		
+		new Notice('🔑 Access tokens rotated. Previous GM Vault URLs no longer work.');
+		
+		if (this.serverManager?.isRunning()) {
+			await this.copyGmVaultUrl();
+		}
+	}
+
+	/**
+	 * Applies access token and CORS settings to the server (public for use by settings tab).
+	 */
+	applyAccessSettings() {
+		this.serverManager.setAccessTokens(this.requireAccessToken ? { ...this.accessTokens } : null);
+		this.serverManager.setAllowedOrigins(this.allowedOrigins);
+	}
+
+	/**
+	 * Returns the base URL for generated links, including the access token of the role.
+	 *
+	 * @private
+	 * @param {string} [role='gm'] - Role whose token goes in the URL ('gm' or 'player')
+	 * @returns {string} Base URL without trailing slash
+	 */
+	_getBaseUrl(role = 'gm') {
+		const origin = this.publicUrl || this.tunnelManager?.getPublicUrl() || `http://localhost:${this.port}`;
+		const token = this.requireAccessToken ? this.accessTokens[role] || this.accessTokens.gm : null;
+		return token ? `${origin}/${token}` : origin;
+	}
+
 	/**
 	 * Exporta el vault a un archivo JSON con HTML embebido (local-first).
 	 * No requiere servidor HTTP ni túnel.
-	 * Las imágenes locales se omiten (se recomienda usar URLs externas).
+	 * Las imágenes locales se embeben como data URIs (reducidas según los ajustes) y se
+	 * avisa si el archivo supera el presupuesto de tamaño. Con "Include PDFs in export",
+	 * los PDF embebidos se copian a attachments/ y el JSON va con ellos en su propia carpeta.
 	 * 
+	 * @param {Object} [options] - Opciones de exportación
+	 * @param {string} [options.view='gm'] - 'player' elimina el contenido solo para el GM
 	 * @returns {Promise<void>}
 	 */
-	async exportVaultToJson() {
+	async exportVaultToJson(options = {}) {
 		if (!this.currentSessionFolder) {
 			new Notice('❌ Please select a session folder first');
 			return;
@@ -353,31 +683,47 @@ export class PluginController {
 		try {
 			new Notice('⏳ Exporting vault...');
 			
-			// Exportar usando VaultExporter (sin opciones de imagen)
-			const json = await this.vaultExporter.exportVault(this.currentSessionFolder);
+			const view = normalizeView(options.view);
+			const json = await this.vaultExporter.exportVault(this.currentSessionFolder, {
+				view,
+				// Con el servidor activo, las mentions llevan la URL de la página en vivo
+				baseUrl: this.serverManager?.isRunning() ? this._getBaseUrl(view) : null,
+				images: {
+					embed: this.embedExportImages,
+					maxDimension: this.exportImageMaxDimension,
+					quality: this.exportImageQuality
+				},
+				trustedHtml: this.trustRawHtml,
+				publicProperties: this.publicProperties,
+				tableOfContents: this.tableOfContents,
+				includePdfs: this.exportPdfs
+			});
 			
 			// Convertir a string
 			const jsonString = JSON.stringify(json, null, 2);
 			
 			// Calcular tamaño
-			const sizeKB = (new TextEncoder().encode(jsonString).length / 1024).toFixed(1);
+			const sizeBytes = new TextEncoder().encode(jsonString).length;
+			const sizeKB = (sizeBytes / 1024).toFixed(1);
 			
 			// Generar nombre de archivo
 			const timestamp = new Date().toISOString().slice(0, 10);
-			const fileName = `gm-vault-${this.currentSessionFolder.name}-${timestamp}.json`;
+			const viewSuffix = view === 'player' ? '-player' : '';
+			const fileName = `gm-vault-${this.currentSessionFolder.name}${viewSuffix}-${timestamp}.json`;
 			
-			// Crear el archivo en la raíz del vault
-			const filePath = fileName;
+			// Con PDF adjuntos, el JSON y la carpeta attachments/ van juntos en una carpeta (paquete);
+			// si no, el archivo se crea en la raíz del vault
+			const attachments = [...this.vaultExporter.attachments.values()];
+			const bundleFolder = attachments.length > 0 ? fileName.replace(/\.json$/, '') : null;
+			const filePath = bundleFolder ? `${bundleFolder}/${fileName}` : fileName;
 			
-			// Verificar si el archivo ya existe
-			const existingFile = this.app.vault.getAbstractFileByPath(filePath);
-			if (existingFile) {
-				// Sobrescribir
-				await this.app.vault.modify(existingFile, jsonString);
-			} else {
-				// Crear nuevo
-				await this.app.vault.create(filePath, jsonString);
+			if (bundleFolder) {
+				await this._ensureFolder(`${bundleFolder}/${ATTACHMENTS_FOLDER}`);
+				for (const { file, bundlePath } of attachments) {
+					await this._writeExportFile(`${bundleFolder}/${bundlePath}`, await this.app.vault.readBinary(file));
+				}
 			}
+			await this._writeExportFile(filePath, jsonString);
 			
 			// Contar páginas
 			let pageCount = 0;
@@ -394,7 +740,23 @@ export class PluginController {
 			};
 			countPages(json.categories);
 			
-			new Notice(`✅ Vault exported successfully!\n\n📁 ${fileName}\n📊 ${pageCount} pages\n💾 ${sizeKB} KB\n\n💡 Note: Local images are omitted. Use external URLs to include images.\n\nImport this file in GM Vault`, 10000);
+			const imageStats = this.vaultExporter.imageStats;
+			const imagesLine = this.embedExportImages
+				? `🖼️ ${imageStats.embedded} images embedded${imageStats.resized ? ` (${imageStats.resized} downscaled)` : ''}`
+				: '💡 Local images are omitted (enable "Embed images in export" to include them)';
+			const attachmentsLine = bundleFolder ? `\n📎 ${attachments.length} PDFs in ${bundleFolder}/${ATTACHMENTS_FOLDER}` : '';
+			new Notice(`✅ Vault exported successfully!\n\n📁 ${filePath}\n📊 ${pageCount} pages\n💾 ${sizeKB} KB\n${imagesLine}${attachmentsLine}\n\nImport this file in GM Vault`, 10000);
+			
+			if (imageStats.missing.length > 0) {
+				console.warn('[Export] Images not found in the vault:', imageStats.missing);
+			}
+			
+			// Presupuesto de tamaño: los JSON muy grandes tardan en importarse en GM Vault
+			const sizeMB = sizeBytes / (1024 * 1024);
+			if (this.exportSizeBudgetMB > 0 && sizeMB > this.exportSizeBudgetMB) {
+				const imagesMB = imageStats.bytes / (1024 * 1024);
+				new Notice(`⚠️ The export is ${sizeMB.toFixed(1)} MB, over the ${this.exportSizeBudgetMB} MB budget (images: ${imagesMB.toFixed(1)} MB). Lower "Export image max size" or quality, or use external image URLs.`, 15000);
+			}
 			
 		} catch (error) {
 			console.error('Error exporting vault:', error);
@@ -402,6 +764,41 @@ export class PluginController {
 		}
 	}
 
+	/**
+	 * Crea una carpeta del vault (y sus padres) si no existe.
+	 * 
+	 * @private
+	 * @param {string} path - Ruta de la carpeta
+	 * @returns {Promise<void>}
+	 */
+	async _ensureFolder(path) {
+		let current = '';
+		for (const segment of path.split('/')) {
+			current = current ? `${current}/${segment}` : segment;
+			if (!this.app.vault.getAbstractFileByPath(current)) {
+				await this.app.vault.createFolder(current);
+			}
+		}
+	}
+
+	/**
+	 * Escribe un archivo de la exportación, sobrescribiéndolo si ya existe.
+	 * 
+	 * @private
+	 * @param {string} path - Ruta en el vault
+	 * @param {string|ArrayBuffer} content - Texto o contenido binario
+	 * @returns {Promise<void>}
+	 */
+	async _writeExportFile(path, content) {
+		const existingFile = this.app.vault.getAbstractFileByPath(path);
+		const isBinary = content instanceof ArrayBuffer;
+		if (existingFile instanceof TFile) {
+			await (isBinary ? this.app.vault.modifyBinary(existingFile, content) : this.app.vault.modify(existingFile, content));
+		} else {
+			await (isBinary ? this.app.vault.createBinary(path, content) : this.app.vault.create(path, content));
+		}
+	}
+
 	/**
 	 * Permite al usuario seleccionar una carpeta de sesión.
 	 * Siempre muestra el selector para elegir manualmente.
@@ -446,7 +843,7 @@ export class PluginController {
 			}
 			
 			async onChooseSuggestion(folder, evt) {
-				controller.currentSessionFolder = folder;
+				controller._setSessionFolder(folder);
 				new Notice(`✅ Session folder selected: ${folder.path}`);
 				await controller._saveSettings();
 			}
@@ -461,6 +858,9 @@ export class PluginController {
 	 * @private
 	 */
 	_registerRoutes() {
+		// GET /events → Server-Sent Events con los cambios del vault (recarga en vivo)
+		this.serverManager.registerEventStream('/events');
+		
 		// GET /gm-vault → Retorna JSON de GM Vault
 		this.serverManager.registerRoute('GET', '/gm-vault', async (req, res) => {
 			try {
@@ -471,36 +871,57 @@ export class PluginController {
 					return;
 				}
 				
-				const session = await this.sessionParser.parseSession(this.currentSessionFolder);
-				const json = this.jsonBuilder.buildJSON(session);
+				const session = await this.vaultIndex.getSession();
+				const view = this._getRequestedView(req);
+				const json = this.jsonBuilder.buildJSON(session, {
+					view,
+					baseUrl: this._getBaseUrl(req.accessRole)
+				});
 				
-				this.serverManager.sendJSON(res, json);
+				// Last-Modified: la nota más reciente de la sesión (nota de sesión incluida)
+				const folder = this.currentSessionFolder;
+				const paths = session.getAllPages()
+					.filter(page => page.visibleToPlayers || view !== 'player')
+					.map(page => page.path);
+				paths.push(`${folder.path}/${folder.name}.md`);
+				
+				this.serverManager.sendJSON(res, json, 200, {
+					lastModified: this._getNewestMtime(paths.map(path => this.app.vault.getAbstractFileByPath(path)))
+				});
 			} catch (error) {
 				this.serverManager.sendJSON(res, { 
 					error: `Error generating JSON: ${error.message}` 
 				}, 500);
 			}
-		});
+		}, { cache: CACHE_POLICIES.REVALIDATE });
 		
 		// GET /pages/:slug → Renderiza Markdown como HTML o galería de imágenes
 		this.serverManager.registerRoute('GET', '/pages/:slug', async (req, res, params) => {
 			try {
 				const slug = params.slug;
+				let entry = await this.vaultIndex.findBySlug(slug);
+				
+				// Los jugadores solo ven las páginas visibles para ellos (las ocultas no están en la sesión)
+				if (entry && req.accessRole === 'player' && !await this._isVisibleToPlayers(entry.path)) {
+					entry = null;
+				}
 				
-				// Primero intenta buscar una carpeta de imágenes por slug
-				const imageFolder = await this._findImageFolderBySlug(slug);
-				if (imageFolder) {
-					const images = await this._getImageFilesFromFolder(imageFolder);
+				const source = entry ? this.app.vault.getAbstractFileByPath(entry.path) : null;
+				
+				// Carpeta de imágenes → galería
+				if (entry?.kind === 'images' && source instanceof TFolder) {
+					const baseUrl = this._getBaseUrl(req.accessRole);
+					const images = await this._getImageFilesFromFolder(source, baseUrl);
 					if (images.length > 0) {
-						const baseUrl = this.publicUrl || this.tunnelManager?.getPublicUrl() || `http://localhost:${this.port}`;
-						const html = this.markdownRenderer.renderImageGallery(images, imageFolder.name, baseUrl);
-						this.serverManager.sendHTML(res, html);
+						const html = this.markdownRenderer.renderImageGallery(images, source.name, baseUrl);
+						this.serverManager.sendHTML(res, html, 200, {
+							lastModified: this._getNewestMtime(source.children || [])
+						});
 						return;
 					}
 				}
 				
-				// Si no es una carpeta de imágenes, busca el archivo por slug
-				const file = await this._findFileBySlug(slug);
+				const file = source instanceof TFile ? source : null;
 				
 				if (!file) {
 					this.serverManager.sendJSON(res, { 
@@ -509,318 +930,261 @@ export class PluginController {
 					return;
 				}
 				
-				const markdown = await this.app.vault.read(file);
+				const view = this._getRequestedView(req);
+				const content = await this.app.vault.read(file);
+				const embeddedFiles = new Set();
+				const markdown = await this.embedResolver.expandEmbeds(content, file, { view, embeddedFiles });
 				// Construir el mapeo de páginas para convertir wiki links a mentions
-				const pageMap = await this._buildPageMap();
+				const pageMap = await this.vaultIndex.getPageMap();
 				this.markdownRenderer.setPageMap(pageMap);
+				this.markdownRenderer.setLinkResolver(await this.vaultIndex.getLinkResolver());
+				this.markdownRenderer.setImageResolver((linkPath, sourcePath) => this._resolveVaultFile(linkPath, sourcePath, IMAGE_EXTENSIONS));
+				this.markdownRenderer.setMediaResolver((linkPath, sourcePath) => this._resolveVaultFile(linkPath, sourcePath, Object.keys(MEDIA_MIME_TYPES)));
+				this.markdownRenderer.setPdfResolver((linkPath, sourcePath) => this._resolveVaultFile(linkPath, sourcePath, Object.keys(FILE_MIME_TYPES)));
 				
-				// Usar la URL pública si está disponible, sino la URL local
-				const baseUrl = this.publicUrl || this.tunnelManager?.getPublicUrl() || `http://localhost:${this.port}`;
-				const html = this.markdownRenderer.renderPage(markdown, file.basename, baseUrl);
+				// Usar la URL pública si está disponible, sino la URL local (con el token del rol)
+				const baseUrl = this._getBaseUrl(req.accessRole);
+				const html = await this.markdownRenderer.renderPage(markdown, file.basename, baseUrl, {
+					view,
+					sourcePath: file.path,
+					properties: this.app.metadataCache.getFileCache(file)?.frontmatter || null
+				});
 				
-				this.serverManager.sendHTML(res, html);
+				// Last-Modified: la nota o la más reciente de sus notas incrustadas
+				// (los cambios en los enlaces resueltos solo los detecta el ETag del contenido)
+				this.serverManager.sendHTML(res, html, 200, {
+					lastModified: this._getNewestMtime([file, ...embeddedFiles])
+				});
 			} catch (error) {
 				this.serverManager.sendJSON(res, { 
 					error: `Error rendering page: ${error.message}` 
 				}, 500);
 			}
-		});
+		}, { cache: CACHE_POLICIES.REVALIDATE });
 		
-		// GET /images/* → Sirve archivos de imagen
+		// GET /images/* → Sirve archivos de imagen (solo de la carpeta de sesión o carpetas permitidas)
 		this.serverManager.registerRoute('GET', '/images/*', async (req, res) => {
 			try {
-				// Extraer el path completo después de /images/
-				const url = new URL(req.url, `http://${req.headers.host}`);
-				const fullPath = url.pathname;
-				let imagePath = fullPath.replace(/^\/images\//, '');
-				
-				// El pathname ya viene parcialmente decodificado por URL, pero puede tener caracteres codificados
-				// Intentar decodificar completamente
-				try {
-					// Decodificar cada segmento del path por separado para manejar correctamente las barras
-					const pathSegments = imagePath.split('/');
-					const decodedSegments = pathSegments.map(segment => {
-						try {
-							return decodeURIComponent(segment);
-						} catch (e) {
-							// Si falla la decodificación, usar el segmento original
-							return segment;
-						}
-					});
-					imagePath = decodedSegments.join('/');
-				} catch (e) {
-					// Si falla, usar el path tal cual
-				}
-				
-				if (!imagePath) {
-					this.serverManager.sendJSON(res, { 
-						error: 'Image path not specified' 
-					}, 400);
+				const { file, reason } = this._resolveServedFile(req, '/images/', IMAGE_EXTENSIONS);
+				if (!file) {
+					this._rejectFileRequest(req, res, reason);
 					return;
 				}
 				
-				const file = this.app.vault.getAbstractFileByPath(imagePath);
+				// ?w=400 → miniatura (caché en disco); GIF y SVG se sirven siempre completos
+				const url = new URL(req.url, `http://${req.headers.host}`);
+				const width = getThumbnailWidth(url.searchParams.get('w'));
+				const image = width && isResizableImage(file.extension)
+					? await this._getThumbnail(file, width)
+					: { data: Buffer.from(await this.app.vault.readBinary(file)), mimeType: IMAGE_MIME_TYPES[file.extension.toLowerCase()] || 'application/octet-stream' };
 				
-				if (!file || !(file instanceof TFile)) {
-					this.serverManager.sendJSON(res, { 
-						error: `Image not found: ${imagePath}`,
-						debug: {
-							requestedPath: imagePath,
-							rawUrl: req.url
-						}
-					}, 404);
+				this.serverManager.sendBuffer(res, image.data, image.mimeType, {
+					etag: createFileETag(file.stat.size, file.stat.mtime, width ? `w${width}` : ''),
+					lastModified: file.stat.mtime
+				});
+			} catch (error) {
+				console.error('[PluginController] Error serving image:', error);
+				this.serverManager.sendError(res, 500, 'Error serving image');
+			}
+		}, { cache: CACHE_POLICIES.REVALIDATE });
+		
+		// GET /media/* → Audio y vídeo en streaming, con soporte de Range (mismas carpetas que /images/*)
+		this.serverManager.registerRoute('GET', '/media/*', async (req, res) => {
+			try {
+				const { file, reason } = this._resolveServedFile(req, '/media/', Object.keys(MEDIA_MIME_TYPES));
+				if (!file) {
+					this._rejectFileRequest(req, res, reason);
 					return;
 				}
 				
-				// Verificar que es una imagen
-				const imageExtensions = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg'];
-				if (!imageExtensions.includes(file.extension.toLowerCase())) {
-					this.serverManager.sendJSON(res, { 
-						error: `Not an image file: ${imagePath}` 
-					}, 400);
+				await this._streamVaultFile(req, res, file, MEDIA_MIME_TYPES[file.extension.toLowerCase()]);
+			} catch (error) {
+				console.error('[PluginController] Error serving media:', error);
+				this.serverManager.sendError(res, 500, 'Error serving media');
+			}
+		}, { cache: CACHE_POLICIES.REVALIDATE });
+		
+		// GET /files/* → Handouts en PDF (mismas carpetas que /images/*), con soporte de Range para el visor
+		this.serverManager.registerRoute('GET', '/files/*', async (req, res) => {
+			try {
+				const { file, reason } = this._resolveServedFile(req, '/files/', Object.keys(FILE_MIME_TYPES));
+				if (!file) {
+					this._rejectFileRequest(req, res, reason);
 					return;
 				}
 				
-				// Leer y servir la imagen
-				const arrayBuffer = await this.app.vault.readBinary(file);
-				const buffer = Buffer.from(arrayBuffer);
-				
-				// Determinar content-type
-				const contentTypeMap = {
-					'jpg': 'image/jpeg',
-					'jpeg': 'image/jpeg',
-					'png': 'image/png',
-					'gif': 'image/gif',
-					'webp': 'image/webp',
-					'svg': 'image/svg+xml'
-				};
-				const contentType = contentTypeMap[file.extension.toLowerCase()] || 'application/octet-stream';
-				
-				res.writeHead(200, {
-					'Content-Type': contentType,
-					'Content-Length': buffer.length
-				});
-				res.end(buffer);
+				await this._streamVaultFile(req, res, file, FILE_MIME_TYPES[file.extension.toLowerCase()]);
 			} catch (error) {
-				this.serverManager.sendJSON(res, { 
-					error: `Error serving image: ${error.message}` 
-				}, 500);
+				console.error('[PluginController] Error serving file:', error);
+				this.serverManager.sendError(res, 500, 'Error serving file');
 			}
+		}, { cache: CACHE_POLICIES.REVALIDATE });
+	}
+
+	/**
+	 * Returns a thumbnail of an image, from the disk cache or resized now.
+	 *
+	 * @private
+	 * @param {import('obsidian').TFile} file - Image file
+	 * @param {number} width - Thumbnail width (one of THUMBNAIL_WIDTHS)
+	 * @returns {Promise<{data: Buffer, mimeType: string}>} Thumbnail (the original if it is already small)
+	 */
+	_getThumbnail(file, width) {
+		return this.thumbnailCache.get({ path: file.path, mtime: file.stat.mtime }, width, async () => {
+			const data = await this.app.vault.readBinary(file);
+			return resizeImage(data, file.extension, { maxWidth: width, quality: THUMBNAIL_QUALITY });
 		});
 	}
 
 	/**
-	 * Busca un archivo por su slug dentro de la carpeta de sesión.
-	 * 
+	 * Streams a vault file from disk, honouring Range requests.
+	 *
 	 * @private
-	 * @param {string} slug - Slug a buscar
-	 * @returns {Promise<import('obsidian').TFile|null>} Archivo encontrado o null
+	 * @param {import('http').IncomingMessage} req - Request
+	 * @param {import('http').ServerResponse} res - Response
+	 * @param {import('obsidian').TFile} file - File to send
+	 * @param {string} contentType - MIME type
+	 * @returns {Promise<void>}
 	 */
-	async _findFileBySlug(slug) {
-		if (!this.currentSessionFolder) {
-			return null;
+	async _streamVaultFile(req, res, file, contentType) {
+		const fullPath = this._getFullVaultPath(file.path);
+		// Sin ruta en disco (adaptador no de escritorio): leer el archivo y servir el rango pedido
+		const data = fullPath ? null : Buffer.from(await this.app.vault.readBinary(file));
+		
+		this.serverManager.sendStream(req, res, {
+			size: data ? data.length : file.stat.size,
+			contentType,
+			mtime: file.stat.mtime,
+			openStream: (start, end) => data
+				? Readable.from([data.subarray(start, end + 1)])
+				: createReadStream(fullPath, { start, end })
+		});
+	}
+
+	/**
+	 * Resolves the vault file requested under a route prefix (e.g. "/images/")
+	 * and checks that it may be served.
+	 *
+	 * Rejects malformed or unsafe paths (path traversal, absolute paths), files outside
+	 * the session folder and the allowed attachment folders, and disallowed extensions.
+	 *
+	 * @private
+	 * @param {import('http').IncomingMessage} req - Request
+	 * @param {string} routePrefix - Route prefix including trailing slash
+	 * @param {string[]} allowedExtensions - Lowercase extensions that may be served
+	 * @returns {{file: import('obsidian').TFile|null, reason: string|null}} File, or the reason it was rejected
+	 */
+	_resolveServedFile(req, routePrefix, allowedExtensions) {
+		const url = new URL(req.url, `http://${req.headers.host}`);
+		const rawPath = url.pathname.slice(routePrefix.length);
+		
+		// Decodificar cada segmento por separado; un segmento mal codificado invalida la petición
+		let decodedPath;
+		try {
+			decodedPath = rawPath.split('/').map(segment => decodeURIComponent(segment)).join('/');
+		} catch (e) {
+			return { file: null, reason: 'malformed path' };
 		}
 		
-		// Función recursiva para buscar archivos en la carpeta y subcarpetas
-		const searchInFolder = (folder) => {
-			for (const child of folder.children || []) {
-				if (child instanceof TFile && child.extension === 'md') {
-					const fileSlug = slugify(child.basename);
-					if (fileSlug === slug || child.basename.toLowerCase() === slug) {
-						return child;
-					}
-				} else if (child instanceof TFolder) {
-					const found = searchInFolder(child);
-					if (found) {
-						return found;
-					}
-				}
-			}
-			return null;
-		};
+		const path = normalizeVaultPath(decodedPath);
+		if (!path) {
+			return { file: null, reason: 'unsafe path' };
+		}
+		
+		if (!this._isServablePath(path)) {
+			return { file: null, reason: 'outside session and attachment folders' };
+		}
+		
+		const file = this.app.vault.getAbstractFileByPath(path);
+		if (!file || !(file instanceof TFile)) {
+			return { file: null, reason: 'file not found' };
+		}
 		
-		return searchInFolder(this.currentSessionFolder);
+		if (!allowedExtensions.includes(file.extension.toLowerCase())) {
+			return { file: null, reason: 'extension not allowed' };
+		}
+		
+		return { file, reason: null };
 	}
 
 	/**
-	 * Busca una carpeta de imágenes por su slug dentro de la carpeta de sesión.
-	 * 
+	 * Resolves a local link of a note (image, audio, video or PDF) to the vault path
+	 * served by /images/*, /media/* or /files/*.
+	 *
 	 * @private
-	 * @param {string} slug - Slug a buscar
-	 * @returns {Promise<import('obsidian').TFolder|null>} Carpeta encontrada o null
+	 * @param {string} linkPath - Link without #page (e.g. "map.png" or "Ambience/tavern.mp3")
+	 * @param {string} sourcePath - Path of the note containing the link
+	 * @param {string[]} extensions - Extensions the route serves
+	 * @returns {string|null} Vault path, or null if the file doesn't exist or may not be served
 	 */
-	async _findImageFolderBySlug(slug) {
-		if (!this.currentSessionFolder) {
+	_resolveVaultFile(linkPath, sourcePath, extensions) {
+		const file = this.app.metadataCache.getFirstLinkpathDest(linkPath, sourcePath);
+		if (!(file instanceof TFile) || !extensions.includes(file.extension.toLowerCase())) {
 			return null;
 		}
-		
-		// Función recursiva para buscar carpetas en la carpeta y subcarpetas
-		const searchInFolder = async (folder) => {
-			for (const child of folder.children || []) {
-				if (child instanceof TFolder) {
-					const folderSlug = slugify(child.name);
-					if (folderSlug === slug || child.name.toLowerCase() === slug) {
-						// Verificar que solo contiene imágenes
-						const imageFiles = await this._getImageFilesFromFolder(child);
-						const hasOnlyImages = imageFiles.length > 0 && 
-							child.children.filter(c => c instanceof TFile && c.extension === 'md').length === 0 &&
-							child.children.filter(c => c.children !== undefined).length === 0;
-						
-						if (hasOnlyImages) {
-							return child;
-						}
-					}
-					
-					const found = await searchInFolder(child);
-					if (found) {
-						return found;
-					}
-				}
-			}
-			return null;
-		};
-		
-		return await searchInFolder(this.currentSessionFolder);
+		return this._isServablePath(file.path) ? file.path : null;
 	}
 
 	/**
-	 * Construye el mapeo de nombres de archivo a información de página para mentions.
-	 * 
+	 * Returns the absolute path on disk of a vault file (desktop only).
+	 *
 	 * @private
-	 * @returns {Promise<Map<string, {id: string, name: string, slug: string}>>} Mapeo de nombres a información de página
+	 * @param {string} path - Vault path
+	 * @returns {string|null} Absolute path, or null if the vault is not on the local file system
 	 */
-	async _buildPageMap() {
-		const pageMap = new Map();
-		
+	_getFullVaultPath(path) {
+		const adapter = this.app.vault.adapter;
+		if (typeof adapter.getFullPath === 'function') {
+			return adapter.getFullPath(path);
+		}
+		const basePath = adapter.basePath || adapter.getBasePath?.();
+		return basePath ? `${basePath}/${path}` : null;
+	}
+
+	/**
+	 * Returns whether a vault path is inside the session folder or an allowed attachment folder.
+	 *
+	 * @private
+	 * @param {string} path - Normalized vault path
+	 * @returns {boolean} true if the file may be served
+	 */
+	_isServablePath(path) {
 		if (!this.currentSessionFolder) {
-			return pageMap;
+			return false;
 		}
 		
-		/**
-		 * Genera un ID único para páginas (mismo formato que GM Vault)
-		 * @returns {string}
-		 */
-		const generatePageId = () => {
-			const timestamp = Date.now().toString(36);
-			const random = Math.random().toString(36).slice(2, 8);
-			return `page_${timestamp}_${random}`;
-		};
-		
-		/**
-		 * Escanea recursivamente una carpeta y añade páginas al mapeo
-		 * @param {import('obsidian').TFolder} folder - Carpeta a escanear
-		 */
-		const scanFolder = async (folder) => {
-			for (const child of folder.children || []) {
-				if (child instanceof TFile && child.extension === 'md') {
-					const pageName = child.basename;
-					const pageId = generatePageId();
-					const pageSlug = slugify(pageName);
-					
-					// Guardar por basename (sin extensión) para resolución de wiki links
-					pageMap.set(child.basename.toLowerCase(), {
-						id: pageId,
-						name: pageName,
-						slug: pageSlug
-					});
-				} else if (child instanceof TFolder) {
-					// También registrar carpetas de imágenes como páginas
-					const imageFiles = await this._getImageFiles(child);
-					const hasOnlyImages = imageFiles.length > 0 && 
-						child.children.filter(c => c instanceof TFile && c.extension === 'md').length === 0 &&
-						child.children.filter(c => c.children !== undefined).length === 0;
-					
-					if (hasOnlyImages) {
-						const pageId = generatePageId();
-						const pageSlug = slugify(child.name);
-						pageMap.set(child.name.toLowerCase(), {
-							id: pageId,
-							name: child.name,
-							slug: pageSlug
-						});
-					}
-					
-					// Recursión para subcarpetas
-					await scanFolder(child);
-				}
-			}
-		};
-		
-		await scanFolder(this.currentSessionFolder);
-		return pageMap;
+		const folders = [this.currentSessionFolder.path, ...this.allowedAttachmentFolders];
+		return folders.some(folder => isPathInside(path, folder));
 	}
 
 	/**
-	 * Gets the file sort order from Obsidian's configuration.
+	 * Logs a rejected file request and sends a generic 404 that does not reveal why.
 	 *
 	 * @private
-	 * @returns {string} Sort order
+	 * @param {import('http').IncomingMessage} req - Request
+	 * @param {import('http').ServerResponse} res - Response
+	 * @param {string} reason - Why the request was rejected (logged only)
 	 */
-	_getFileSortOrder() {
-		const sortOrder = this.app.vault.getConfig?.('fileSortOrder') 
-			|| this.app.vault.config?.fileSortOrder
-			|| 'alphabetical';
-		return sortOrder;
+	_rejectFileRequest(req, res, reason) {
+		console.warn(`[PluginController] Rejected file request (${reason}): ${req.url}`);
+		this.serverManager.sendError(res, 404, 'Not found');
 	}
 
 	/**
-	 * Sorts an array of files/folders according to Obsidian's file sort order setting.
+	 * Reads the page view requested in the query string (?view=player).
+	 * Player view strips GM-only content server-side; the player token always gets it.
 	 *
 	 * @private
-	 * @param {Array} items - Array of TFile or TFolder objects
-	 * @returns {Array} Sorted array
-	 */
-	_sortByObsidianConfig(items) {
-		const sortOrder = this._getFileSortOrder();
-		const sorted = [...items];
-		
-		switch (sortOrder) {
-			case 'alphabetical':
-				sorted.sort((a, b) => a.name.localeCompare(b.name));
-				break;
-			case 'alphabeticalReverse':
-				sorted.sort((a, b) => b.name.localeCompare(a.name));
-				break;
-			case 'byModifiedTime':
-				sorted.sort((a, b) => (b.stat?.mtime || 0) - (a.stat?.mtime || 0));
-				break;
-			case 'byModifiedTimeReverse':
-				sorted.sort((a, b) => (a.stat?.mtime || 0) - (b.stat?.mtime || 0));
-				break;
-			case 'byCreatedTime':
-				sorted.sort((a, b) => (b.stat?.ctime || 0) - (a.stat?.ctime || 0));
-				break;
-			case 'byCreatedTimeReverse':
-				sorted.sort((a, b) => (a.stat?.ctime || 0) - (b.stat?.ctime || 0));
-				break;
-			default:
-				sorted.sort((a, b) => a.name.localeCompare(b.name));
-		}
-		
-		return sorted;
-	}
-
-	/**
-	 * Gets image files from a folder.
-	 * 
-	 * @private
-	 * @param {import('obsidian').TFolder} folder - Folder to scan
-	 * @returns {Promise<import('obsidian').TFile[]>} Array of image files
+	 * @param {import('http').IncomingMessage} req - Request
+	 * @returns {string} 'gm' or 'player'
 	 */
-	async _getImageFiles(folder) {
-		const imageExtensions = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg'];
-		const imageFiles = [];
-		
-		for (const child of folder.children || []) {
-			if (child instanceof TFile) {
-				const ext = child.extension.toLowerCase();
-				if (imageExtensions.includes(ext)) {
-					imageFiles.push(child);
-				}
-			}
+	_getRequestedView(req) {
+		if (req.accessRole === 'player') {
+			return 'player';
 		}
 		
-		return this._sortByObsidianConfig(imageFiles);
+		const url = new URL(req.url, `http://${req.headers.host}`);
+		return normalizeView(url.searchParams.get('view'));
 	}
 
 	/**
@@ -828,25 +1192,24 @@ export class PluginController {
 	 * 
 	 * @private
 	 * @param {import('obsidian').TFolder} folder - Folder to scan
-	 * @returns {Promise<Array<{name: string, path: string}>>} Array of name/path objects
+	 * @param {string} [baseUrl] - Base URL for image links (defaults to the GM base URL)
+	 * @returns {Promise<Array<{name: string, path: string, resizable: boolean}>>} Array of name/path objects (resizable: /images/*?w= thumbnails available)
 	 */
-	async _getImageFilesFromFolder(folder) {
-		const imageExtensions = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg'];
+	async _getImageFilesFromFolder(folder, baseUrl = this._getBaseUrl('gm')) {
 		const imageFiles = [];
-		const baseUrl = this.publicUrl || this.tunnelManager?.getPublicUrl() || `http://localhost:${this.port}`;
 		
 		// First collect TFile objects
 		for (const child of folder.children || []) {
 			if (child instanceof TFile) {
 				const ext = child.extension.toLowerCase();
-				if (imageExtensions.includes(ext)) {
+				if (IMAGE_EXTENSIONS.includes(ext)) {
 					imageFiles.push(child);
 				}
 			}
 		}
 		
 		// Sort according to Obsidian config (while we still have TFile objects with stat)
-		const sortedFiles = this._sortByObsidianConfig(imageFiles);
+		const sortedFiles = sortByObsidianConfig(imageFiles, this.app.vault);
 		
 		// Transform to {name, path} objects
 		return sortedFiles.map(file => {
@@ -856,7 +1219,8 @@ export class PluginController {
 			
 			return {
 				name: file.name,
-				path: `${baseUrl}/images/${encodedPath}`
+				path: `${baseUrl}/images/${encodedPath}`,
+				resizable: isResizableImage(file.extension)
 			};
 		});
 	}
@@ -874,11 +1238,33 @@ export class PluginController {
 			this.port = data.port || 3000;
 			this.publicUrl = data.publicUrl || null;
 			this.useBundledCloudflared = data.useBundledCloudflared === true;
+			this.sessionStructure = data.sessionStructure || 'folders';
+			this.requireAccessToken = data.requireAccessToken !== false;
+			this.allowedOrigins = Array.isArray(data.allowedOrigins) ? data.allowedOrigins : [];
+			this.allowedAttachmentFolders = Array.isArray(data.allowedAttachmentFolders) ? data.allowedAttachmentFolders : [];
+			this.trustRawHtml = data.trustRawHtml === true;
+			this.markdownRenderer.setTrustedHtml(this.trustRawHtml);
+			this.publicProperties = Array.isArray(data.publicProperties) ? data.publicProperties : [...DEFAULT_PUBLIC_PROPERTIES];
+			this.markdownRenderer.setPublicProperties(this.publicProperties);
+			this.tableOfContents = data.tableOfContents === true;
+			this.markdownRenderer.setTableOfContents(this.tableOfContents);
+			this.postTableRolls = data.postTableRolls !== false;
+			this.markdownRenderer.setPostTableRolls(this.postTableRolls);
+			this.embedExportImages = data.embedExportImages !== false;
+			this.exportImageMaxDimension = Number.isFinite(data.exportImageMaxDimension) ? data.exportImageMaxDimension : 1600;
+			this.exportImageQuality = Number.isFinite(data.exportImageQuality) ? data.exportImageQuality : 0.8;
+			this.exportSizeBudgetMB = Number.isFinite(data.exportSizeBudgetMB) ? data.exportSizeBudgetMB : 20;
+			this.exportPdfs = data.exportPdfs === true;
+			if (data.accessTokens?.gm && data.accessTokens?.player) {
+				this.accessTokens = { gm: data.accessTokens.gm, player: data.accessTokens.player };
+			}
+			this.sessionParser.setStructureMode(this.sessionStructure);
+			this.pageIdRegistry.load(data.pageIds);
 			
 			if (data.sessionFolderPath) {
 				const folder = this.app.vault.getAbstractFileByPath(data.sessionFolderPath);
 				if (folder && folder instanceof TFolder) {
-					this.currentSessionFolder = folder;
+					this._setSessionFolder(folder);
 				}
 			}
 			
@@ -901,7 +1287,22 @@ export class PluginController {
 			sessionFolderPath: this.currentSessionFolder?.path || null,
 			serverEnabled: this.serverManager?.isRunning() || false,
 			publicUrl: this.tunnelManager?.getPublicUrl() || this.publicUrl || null,
-			useBundledCloudflared: this.useBundledCloudflared
+			useBundledCloudflared: this.useBundledCloudflared,
+			sessionStructure: this.sessionStructure,
+			requireAccessToken: this.requireAccessToken,
+			accessTokens: this.accessTokens,
+			allowedOrigins: this.allowedOrigins,
+			allowedAttachmentFolders: this.allowedAttachmentFolders,
+			trustRawHtml: this.trustRawHtml,
+			publicProperties: this.publicProperties,
+			tableOfContents: this.tableOfContents,
+			postTableRolls: this.postTableRolls,
+			embedExportImages: this.embedExportImages,
+			exportImageMaxDimension: this.exportImageMaxDimension,
+			exportImageQuality: this.exportImageQuality,
+			exportSizeBudgetMB: this.exportSizeBudgetMB,
+			exportPdfs: this.exportPdfs,
+			pageIds: this.pageIdRegistry?.toJSON() || {}
 		});
 	}
 }
@@ -930,6 +1331,185 @@ class GMVaultSettingTab extends PluginSettingTab {
 						await this.controller.saveSettings();
 					});
 			});
+
+		new Setting(containerEl)
+			.setName('Session structure')
+			.setDesc('Mirror the session folder tree, or build categories and pages from the session note outline (headings = categories, [[links]] under them = pages). The session note is the note named like the session folder.')
+			.addDropdown((dropdown) => {
+				dropdown
+					.addOption('folders', 'Mirror session folder')
+					.addOption('outline', 'Session note outline')
+					.setValue(this.controller.sessionStructure)
+					.onChange(async (value) => {
+						this.controller.sessionStructure = value;
+						this.controller.sessionParser.setStructureMode(value);
+						this.controller.vaultIndex.invalidate();
+						await this.controller.saveSettings();
+					});
+			});
+
+		new Setting(containerEl)
+			.setName('Require access token')
+			.setDesc('Put a secret token in every URL (e.g. https://….trycloudflare.com/<token>/gm-vault). Requests without it are rejected. Use "Rotate access tokens" to invalidate old URLs.')
+			.addToggle((toggle) => {
+				toggle
+					.setValue(this.controller.requireAccessToken)
+					.onChange(async (value) => {
+						this.controller.requireAccessToken = value;
+						this.controller.applyAccessSettings();
+						await this.controller.saveSettings();
+					});
+			});
+
+		new Setting(containerEl)
+			.setName('Allowed origins')
+			.setDesc('Origins allowed to fetch pages from the browser (CORS), one per line, e.g. https://www.owlbear.rodeo. Leave empty to allow any origin.')
+			.addTextArea((text) => {
+				text
+					.setPlaceholder('https://www.owlbear.rodeo')
+					.setValue(this.controller.allowedOrigins.join('\n'))
+					.onChange(async (value) => {
+						this.controller.allowedOrigins = value.split('\n').map(line => line.trim()).filter(Boolean);
+						this.controller.applyAccessSettings();
+						await this.controller.saveSettings();
+					});
+			});
+
+		new Setting(containerEl)
+			.setName('Allowed attachment folders')
+			.setDesc('Only images, audio, video and PDFs inside the session folder are served. Add other vault folders (one per line, e.g. Attachments) to serve their files too.')
+			.addTextArea((text) => {
+				text
+					.setPlaceholder('Attachments')
+					.setValue(this.controller.allowedAttachmentFolders.join('\n'))
+					.onChange(async (value) => {
+						this.controller.allowedAttachmentFolders = value.split('\n')
+							.map(line => line.trim().replace(/^\/+|\/+$/g, ''))
+							.filter(Boolean);
+						await this.controller.saveSettings();
+					});
+			});
+
+		new Setting(containerEl)
+			.setName('Public page properties')
+			.setDesc('Frontmatter keys shown in the page header, in this order (one per line). cover/banner/image show as a cover image and tags as tags. Other keys are never shown, in GM or player view.')
+			.addTextArea((text) => {
+				text
+					.setPlaceholder(DEFAULT_PUBLIC_PROPERTIES.join('\n'))
+					.setValue(this.controller.publicProperties.join('\n'))
+					.onChange(async (value) => {
+						this.controller.publicProperties = value.split('\n')
+							.map(line => line.trim())
+							.filter(Boolean);
+						this.controller.markdownRenderer.setPublicProperties(this.controller.publicProperties);
+						await this.controller.saveSettings();
+					});
+			});
+
+		new Setting(containerEl)
+			.setName('Table of contents')
+			.setDesc(`Add a list of links to the headings at the top of pages with ${TOC_MIN_HEADINGS} or more headings. A note's "toc: true" or "toc: false" frontmatter overrides this.`)
+			.addToggle((toggle) => {
+				toggle
+					.setValue(this.controller.tableOfContents)
+					.onChange(async (value) => {
+						this.controller.tableOfContents = value;
+						this.controller.markdownRenderer.setTableOfContents(value);
+						await this.controller.saveSettings();
+					});
+			});
+
+		new Setting(containerEl)
+			.setName('Send table rolls to GM Vault')
+			.setDesc('When you roll on a random table (a table whose first column holds die ranges), also send the result to GM Vault. The rolled row is always highlighted in the page.')
+			.addToggle((toggle) => {
+				toggle
+					.setValue(this.controller.postTableRolls)
+					.onChange(async (value) => {
+						this.controller.postTableRolls = value;
+						this.controller.markdownRenderer.setPostTableRolls(value);
+						await this.controller.saveSettings();
+					});
+			});
+
+		new Setting(containerEl)
+			.setName('Trust raw HTML in notes')
+			.setDesc('Serve and export HTML written in notes as-is. When off (recommended), scripts, event handlers and javascript: links are removed, since pages run in every player\'s browser.')
+			.addToggle((toggle) => {
+				toggle
+					.setValue(this.controller.trustRawHtml)
+					.onChange(async (value) => {
+						this.controller.trustRawHtml = value;
+						this.controller.markdownRenderer.setTrustedHtml(value);
+						await this.controller.saveSettings();
+					});
+			});
+
+		new Setting(containerEl)
+			.setName('Embed images in export')
+			.setDesc('Include local images in the JSON export as data URIs, so maps and handouts work without an image host. When off, local images are replaced by placeholders.')
+			.addToggle((toggle) => {
+				toggle
+					.setValue(this.controller.embedExportImages)
+					.onChange(async (value) => {
+						this.controller.embedExportImages = value;
+						await this.controller.saveSettings();
+					});
+			});
+
+		new Setting(containerEl)
+			.setName('Export image max size')
+			.setDesc('Downscale exported images whose longest side is larger than this (pixels). 0 keeps the original size.')
+			.addText((text) => {
+				text
+					.setPlaceholder('1600')
+					.setValue(String(this.controller.exportImageMaxDimension))
+					.onChange(async (value) => {
+						const size = parseInt(value, 10);
+						this.controller.exportImageMaxDimension = Number.isFinite(size) && size > 0 ? size : 0;
+						await this.controller.saveSettings();
+					});
+			});
+
+		new Setting(containerEl)
+			.setName('Export image quality')
+			.setDesc('Quality of downscaled images (JPEG/WebP). Lower values make smaller exports.')
+			.addSlider((slider) => {
+				slider
+					.setLimits(0.3, 1, 0.05)
+					.setValue(this.controller.exportImageQuality)
+					.setDynamicTooltip()
+					.onChange(async (value) => {
+						this.controller.exportImageQuality = value;
+						await this.controller.saveSettings();
+					});
+			});
+
+		new Setting(containerEl)
+			.setName('Include PDFs in export')
+			.setDesc('Copy PDFs embedded in notes (![[Handout.pdf]]) into an "attachments" folder next to the JSON export. The export is then written to its own folder.')
+			.addToggle((toggle) => {
+				toggle
+					.setValue(this.controller.exportPdfs)
+					.onChange(async (value) => {
+						this.controller.exportPdfs = value;
+						await this.controller.saveSettings();
+					});
+			});
+
+		new Setting(containerEl)
+			.setName('Export size budget (MB)')
+			.setDesc('Show a warning when the JSON export is larger than this. 0 disables the warning.')
+			.addText((text) => {
+				text
+					.setPlaceholder('20')
+					.setValue(String(this.controller.exportSizeBudgetMB))
+					.onChange(async (value) => {
+						const budget = parseFloat(value);
+						this.controller.exportSizeBudgetMB = Number.isFinite(budget) && budget > 0 ? budget : 0;
+						await this.controller.saveSettings();
+					});
+			});
 	}
 }
 
@@ -28,6 +28,12 @@ export class Category {
 		
 		/** @type {string[]} */
 		this.blockTypes = [];
+		
+		/** @type {boolean} Valor por defecto de visibleToPlayers para sus páginas */
+		this.visibleToPlayers = false;
+		
+		/** @type {number|null} Posición explícita dentro de su categoría padre (frontmatter `order`) */
+		this.order = null;
 	}
 
 	/**
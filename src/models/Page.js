@@ -25,6 +25,15 @@ export class Page {
 		
 		/** @type {string[]} */
 		this.blockTypes = blockTypes;
+		
+		/** @type {string|null} Ruta en el vault de la nota o carpeta de imágenes (para IDs estables) */
+		this.path = null;
+		
+		/** @type {boolean} Visible para los jugadores en GM Vault */
+		this.visibleToPlayers = false;
+		
+		/** @type {number|null} Posición explícita dentro de su categoría (frontmatter `order`) */
+		this.order = null;
 	}
 
 	/**
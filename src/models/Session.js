@@ -33,5 +33,22 @@ export class Session {
 	addCategory(category) {
 		this.categories.push(category);
 	}
+
+	/**
+	 * Devuelve todas las páginas de la sesión (recorriendo subcategorías).
+	 * 
+	 * @returns {Page[]} Lista plana de páginas
+	 */
+	getAllPages() {
+		const pages = [];
+		const collect = (categories) => {
+			for (const category of categories) {
+				pages.push(...category.pages);
+				collect(category.categories);
+			}
+		};
+		collect(this.categories);
+		return pages;
+	}
 }
 
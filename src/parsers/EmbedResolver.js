@@ -0,0 +1,383 @@
+/**
+ * @fileoverview Expands Obsidian note embeds (transclusion) before rendering.
+ *
+ * Supported embeds:
+ * - ![[Note]]            → whole note (without frontmatter)
+ * - ![[Note#Heading]]    → the heading and its section
+ * - ![[Note#^block-id]]  → a single block (paragraph, list item, ...)
+ *
+ * Embeds are expanded recursively at the Markdown level, so the result goes
+ * through the normal rendering (and secret stripping) of the host page. In the
+ * player view each embedded note is stripped of its secrets before a section or
+ * block is taken from it: a block inside a > [!secret] callout would otherwise lose
+ * its callout wrapper, and a stray %% could open or close a comment of the host.
+ * Cycles and embeds deeper than MAX_EMBED_DEPTH are not expanded.
+ * Embeds of other files (images, ...) are left untouched.
+ */
+
+import { TFile } from 'obsidian';
+import { parseWikiLink } from '../utils/wikiLinks.js';
+import { escapeHtml } from '../utils/html.js';
+import { normalizeView, stripFrontmatter, stripSecrets } from '../utils/secrets.js';
+
+/**
+ * Maximum nesting of embedded notes.
+ */
+export const MAX_EMBED_DEPTH = 5;
+
+/**
+ * Expands ![[Note]] embeds into the embedded Markdown.
+ *
+ * @class EmbedResolver
+ */
+export class EmbedResolver {
+	/**
+	 * Creates an EmbedResolver instance.
+	 *
+	 * @param {import('obsidian').App} app - Obsidian app instance
+	 */
+	constructor(app) {
+		/** @type {import('obsidian').App} */
+		this.app = app;
+	}
+
+	/**
+	 * Expands every note embed in a note's Markdown.
+	 *
+	 * @param {string} markdown - Markdown of the host note
+	 * @param {import('obsidian').TFile} sourceFile - Host note (links resolve relative to it)
+	 * @param {Object} [options] - Expansion options
+	 * @param {string} [options.view='gm'] - 'gm' or 'player' (player: embedded notes without secrets)
+	 * @param {Set<import('obsidian').TFile>} [options.embeddedFiles] - Receives every note read for an embed
+	 * @returns {Promise<string>} Markdown with embeds expanded
+	 */
+	async expandEmbeds(markdown, sourceFile, options = {}) {
+		const view = normalizeView(options.view);
+		const stack = [{ path: sourceFile.path, key: sourceFile.path }];
+		return this._expand(markdown, sourceFile, stack, view, options.embeddedFiles || null);
+	}
+
+	/**
+	 * Expands embeds recursively.
+	 *
+	 * @private
+	 * @param {string} markdown - Markdown to process
+	 * @param {import('obsidian').TFile} sourceFile - Note the Markdown comes from
+	 * @param {Array<{path: string, key: string}>} stack - Notes/sections being expanded (cycle detection)
+	 * @param {string} view - 'gm' or 'player'
+	 * @param {Set<import('obsidian').TFile>|null} embeddedFiles - Collects the embedded notes
+	 * @returns {Promise<string>} Expanded Markdown
+	 */
+	async _expand(markdown, sourceFile, stack, view, embeddedFiles) {
+		if (!markdown.includes('![[')) {
+			return markdown;
+		}
+
+		const lines = markdown.split('\n');
+		const output = [];
+		let fence = null;
+
+		for (const line of lines) {
+			// Bloques de código: se copian tal cual
+			const fenceMatch = line.match(/^\s*(?:>\s*)*(```+|~~~+)/);
+			if (fence) {
+				if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+					fence = null;
+				}
+				output.push(line);
+				continue;
+			}
+			if (fenceMatch) {
+				fence = fenceMatch[1];
+				output.push(line);
+				continue;
+			}
+
+			if (!line.includes('![[')) {
+				output.push(line);
+				continue;
+			}
+
+			// Embed solo en la línea (opcionalmente dentro de una cita o callout): transclusión en bloque
+			const blockMatch = line.match(/^(\s*(?:>\s*)*)!\[\[([^\]]+)\]\]\s*$/);
+			if (blockMatch) {
+				const [, prefix, linkContent] = blockMatch;
+				const expanded = await this._expandEmbed(linkContent, sourceFile, stack, view, embeddedFiles);
+				if (expanded === null) {
+					output.push(line);
+				} else {
+					output.push(...expanded.split('\n').map(embedLine => this._prefixLine(prefix, embedLine)));
+				}
+				continue;
+			}
+
+			output.push(this._replaceInlineEmbeds(line));
+		}
+
+		return output.join('\n');
+	}
+
+	/**
+	 * Resolves one embed and returns its wrapped Markdown.
+	 *
+	 * @private
+	 * @param {string} linkContent - Content between ![[ and ]]
+	 * @param {import('obsidian').TFile} sourceFile - Host note
+	 * @param {Array<{path: string, key: string}>} stack - Notes/sections being expanded
+	 * @param {string} view - 'gm' or 'player'
+	 * @param {Set<import('obsidian').TFile>|null} embeddedFiles - Collects the embedded notes
+	 * @returns {Promise<string|null>} Markdown to insert, or null to leave the embed untouched
+	 */
+	async _expandEmbed(linkContent, sourceFile, stack, view, embeddedFiles) {
+		const link = parseWikiLink(linkContent);
+		if (!this._isNoteLink(link.path)) {
+			return null;
+		}
+
+		const file = link.path
+			? this.app.metadataCache.getFirstLinkpathDest(link.path, sourceFile.path)
+			: sourceFile;
+
+		// Nota inexistente: se muestra como un link normal (mention sin destino)
+		if (!(file instanceof TFile) || file.extension !== 'md') {
+			return `[[${linkContent}]]`;
+		}
+
+		const embedName = link.display;
+		const key = `${file.path}${link.heading ? `#${link.heading}` : ''}${link.blockId ? `#^${link.blockId}` : ''}`;
+		const isWholeNote = !link.heading && !link.blockId;
+
+		// Ciclo: la misma sección ya se está expandiendo, o la nota entera contiene la sección en curso
+		const isCycle = stack.some(entry => entry.key === key || (isWholeNote && entry.path === file.path));
+		if (isCycle) {
+			console.warn(`[EmbedResolver] Circular embed skipped: ${stack.map(entry => entry.key).join(' → ')} → ${key}`);
+			return `\n*⚠️ Circular embed: ${this._escapeMarkdown(embedName)}*\n`;
+		}
+
+		if (stack.length > MAX_EMBED_DEPTH) {
+			console.warn(`[EmbedResolver] Embed depth limit (${MAX_EMBED_DEPTH}) reached at ${key}`);
+			return `[[${linkContent}]]`;
+		}
+
+		embeddedFiles?.add(file);
+		const content = await this.app.vault.cachedRead(file);
+		// Vista de jugador: los secretos se quitan de la nota incrustada antes de recortarla
+		const body = view === 'player' ? stripSecrets(content) : stripFrontmatter(content);
+		let section;
+		if (link.blockId) {
+			section = this._extractBlock(content, file, link.blockId, view === 'player' ? body : null);
+		} else if (link.heading) {
+			section = this._extractSection(body, link.heading);
+		} else {
+			section = body;
+		}
+
+		if (section === null) {
+			return `\n*⚠️ Embed not found: ${this._escapeMarkdown(embedName)}*\n`;
+		}
+
+		const expanded = await this._expand(section.trim(), file, [...stack, { path: file.path, key }], view, embeddedFiles);
+
+		// Líneas en blanco alrededor: markdown-it termina el bloque HTML en la primera línea vacía
+		return [
+			'',
+			`<div class="notion-embed" data-embed-source="${escapeHtml(embedName)}">`,
+			'',
+			expanded,
+			'',
+			'</div>',
+			''
+		].join('\n');
+	}
+
+	/**
+	 * Replaces embeds that share a line with other text by normal links
+	 * (a block cannot be inserted in the middle of a paragraph).
+	 *
+	 * @private
+	 * @param {string} line - Markdown line
+	 * @returns {string} Line with note embeds turned into links
+	 */
+	_replaceInlineEmbeds(line) {
+		// Respetar el código inline
+		return line.split(/(`[^`]*`)/).map(part => {
+			if (part.startsWith('`')) {
+				return part;
+			}
+			return part.replace(/!\[\[([^\]]+)\]\]/g, (match, linkContent) => {
+				return this._isNoteLink(parseWikiLink(linkContent).path) ? `[[${linkContent}]]` : match;
+			});
+		}).join('');
+	}
+
+	/**
+	 * Extracts a heading and its content up to the next heading of the same or higher level.
+	 *
+	 * @private
+	 * @param {string} markdown - Note content (without frontmatter)
+	 * @param {string} heading - Heading text
+	 * @returns {string|null} Section or null if the heading doesn't exist
+	 */
+	_extractSection(markdown, heading) {
+		const lines = markdown.split('\n');
+		const target = this._normalizeHeading(heading);
+		let start = -1;
+		let level = 0;
+		let fence = null;
+
+		for (let i = 0; i < lines.length; i++) {
+			const fenceMatch = lines[i].match(/^\s*(```+|~~~+)/);
+			if (fence) {
+				if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+					fence = null;
+				}
+				continue;
+			}
+			if (fenceMatch) {
+				fence = fenceMatch[1];
+				continue;
+			}
+
+			const headingMatch = lines[i].match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+			if (!headingMatch) {
+				continue;
+			}
+
+			if (start === -1) {
+				if (this._normalizeHeading(headingMatch[2]) === target) {
+					start = i;
+					level = headingMatch[1].length;
+				}
+			} else if (headingMatch[1].length <= level) {
+				return lines.slice(start, i).join('\n');
+			}
+		}
+
+		return start === -1 ? null : lines.slice(start).join('\n');
+	}
+
+	/**
+	 * Extracts the block marked with ^blockId.
+	 * Uses the block position from Obsidian's metadata cache when available; otherwise
+	 * finds the paragraph or list item whose last line ends with the marker.
+	 * With the note's player version, a block whose marker was stripped (inside a secret
+	 * callout or a comment) is not found, and secrets inside the block are removed.
+	 *
+	 * @private
+	 * @param {string} content - Full note content (cache positions include the frontmatter)
+	 * @param {import('obsidian').TFile} file - Embedded note
+	 * @param {string} blockId - Block ID (without ^)
+	 * @param {string|null} [playerContent=null] - Note content without secrets (player view)
+	 * @returns {string|null} Block Markdown without the marker, or null if not found
+	 */
+	_extractBlock(content, file, blockId, playerContent = null) {
+		const markerRegex = new RegExp(`\\s*\\^${blockId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*$`);
+		if (playerContent !== null && !playerContent.split('\n').some(line => markerRegex.test(line))) {
+			return null;
+		}
+
+		const position = this.app.metadataCache.getFileCache(file)?.blocks?.[blockId.toLowerCase()]?.position;
+		if (position) {
+			let block = content.slice(position.start.offset, position.end.offset);
+			if (playerContent !== null) {
+				block = stripSecrets(block);
+			}
+			return block.split('\n').map(line => line.replace(markerRegex, '')).join('\n').trim() || null;
+		}
+
+		return this._extractBlockByLines(playerContent ?? stripFrontmatter(content), markerRegex);
+	}
+
+	/**
+	 * Finds a block by its ^id marker line.
+	 *
+	 * @private
+	 * @param {string} markdown - Note content
+	 * @param {RegExp} markerRegex - Regex matching the marker at the end of a line
+	 * @returns {string|null} Block Markdown or null
+	 */
+	_extractBlockByLines(markdown, markerRegex) {
+		const lines = markdown.split('\n');
+		const index = lines.findIndex(line => markerRegex.test(line));
+		if (index === -1) {
+			return null;
+		}
+
+		const markerLine = lines[index].replace(markerRegex, '');
+
+		// Marcador en su propia línea: se refiere al bloque anterior (tabla, cita, ...)
+		let end = markerLine.trim() === '' ? index - 1 : index;
+		while (end >= 0 && lines[end].trim() === '') {
+			end--;
+		}
+		if (end < 0) {
+			return null;
+		}
+
+		const blockLines = lines.slice(0, end + 1);
+		blockLines[end] = end === index ? markerLine : blockLines[end];
+
+		// Un elemento de lista es un bloque por sí mismo
+		if (/^\s*([-*+]|\d+[.)])\s+/.test(blockLines[end])) {
+			return blockLines[end];
+		}
+
+		let start = end;
+		while (start > 0 && blockLines[start - 1].trim() !== '') {
+			start--;
+		}
+		return blockLines.slice(start).join('\n');
+	}
+
+	/**
+	 * Returns whether an embed target is a note (no extension or .md).
+	 *
+	 * @private
+	 * @param {string} path - Link path
+	 * @returns {boolean} true for note embeds
+	 */
+	_isNoteLink(path) {
+		if (/^https?:\/\//i.test(path)) {
+			return false;
+		}
+		const name = path.split('/').pop();
+		return !/\.[a-z0-9]+$/i.test(name) || /\.md$/i.test(name);
+	}
+
+	/**
+	 * Adds the quote/callout prefix of the embed line to an embedded line.
+	 *
+	 * @private
+	 * @param {string} prefix - Prefix of the embed line (e.g. "> ")
+	 * @param {string} line - Embedded line
+	 * @returns {string} Prefixed line
+	 */
+	_prefixLine(prefix, line) {
+		if (!prefix) {
+			return line;
+		}
+		return line === '' ? prefix.trimEnd() : `${prefix}${line}`;
+	}
+
+	/**
+	 * Normalizes heading text for comparison (Obsidian matches headings loosely).
+	 *
+	 * @private
+	 * @param {string} text - Heading text
+	 * @returns {string} Normalized text
+	 */
+	_normalizeHeading(text) {
+		return text.replace(/[*_`[\]]/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+	}
+
+	/**
+	 * Escapes Markdown emphasis characters in a note name.
+	 *
+	 * @private
+	 * @param {string} text - Text
+	 * @returns {string} Escaped text
+	 */
+	_escapeMarkdown(text) {
+		return text.replace(/([*_`[\]])/g, '\\$1');
+	}
+}
@@ -4,6 +4,10 @@
  *
  * vault = Obsidian folder structure
  * each page content = .md file content
+ * page/category metadata = `gm-vault` block in the note's YAML frontmatter
+ *
+ * In outline mode the structure comes from the session note instead:
+ * headings = categories, wiki links under them = pages.
  */
 
 import { TFile } from 'obsidian';
@@ -11,6 +15,34 @@ import { Session } from '../models/Session.js';
 import { Category } from '../models/Category.js';
 import { Page } from '../models/Page.js';
 import { slugify } from '../utils/slugify.js';
+import { hasRollableTable } from '../utils/rollTables.js';
+import { hasStatblock } from '../utils/statblocks.js';
+import { IMAGE_EXTENSIONS } from '../utils/images.js';
+import { sortByObsidianConfig } from '../utils/fileOrder.js';
+
+/**
+ * Frontmatter key that holds GM Vault metadata.
+ */
+export const FRONTMATTER_KEY = 'gm-vault';
+
+/**
+ * Available session structure modes.
+ */
+export const SESSION_STRUCTURES = ['folders', 'outline'];
+
+/**
+ * Session note headings that set a block type on the pages below them.
+ */
+const SPECIAL_HEADINGS = {
+	'tables': 'table',
+	'table': 'table',
+	'quotes': 'quote',
+	'quote': 'quote',
+	'images': 'image',
+	'image': 'image',
+	'enemies': 'enemy',
+	'enemy': 'enemy'
+};
 
 /**
  * Parser that converts vault structure into domain models.
@@ -26,67 +58,29 @@ export class SessionParser {
 	constructor(app) {
 		/** @type {import('obsidian').App} */
 		this.app = app;
+		
+		/** @type {string} 'folders' or 'outline' */
+		this.structureMode = 'folders';
 	}
 
 	/**
-	 * Gets the file sort order from Obsidian's configuration.
+	 * Sets how the session structure is built.
 	 *
-	 * @private
-	 * @returns {string} Sort order: 'alphabetical', 'alphabeticalReverse', 'byModifiedTime', 'byModifiedTimeReverse', 'byCreatedTime', 'byCreatedTimeReverse'
+	 * @param {string} mode - 'folders' (mirror the folder tree) or 'outline' (session note headings and links)
 	 */
-	_getFileSortOrder() {
-		// Try to get from vault config
-		const sortOrder = this.app.vault.getConfig?.('fileSortOrder') 
-			|| this.app.vault.config?.fileSortOrder
-			|| 'alphabetical';
-		return sortOrder;
-	}
-
-	/**
-	 * Sorts an array of files/folders according to Obsidian's file sort order setting.
-	 *
-	 * @private
-	 * @param {Array} items - Array of TFile or TFolder objects
-	 * @returns {Array} Sorted array
-	 */
-	_sortByObsidianConfig(items) {
-		const sortOrder = this._getFileSortOrder();
-		
-		const sorted = [...items];
-		
-		switch (sortOrder) {
-			case 'alphabetical':
-				sorted.sort((a, b) => a.name.localeCompare(b.name));
-				break;
-			case 'alphabeticalReverse':
-				sorted.sort((a, b) => b.name.localeCompare(a.name));
-				break;
-			case 'byModifiedTime':
-				sorted.sort((a, b) => (b.stat?.mtime || 0) - (a.stat?.mtime || 0));
-				break;
-			case 'byModifiedTimeReverse':
-				sorted.sort((a, b) => (a.stat?.mtime || 0) - (b.stat?.mtime || 0));
-				break;
-			case 'byCreatedTime':
-				sorted.sort((a, b) => (b.stat?.ctime || 0) - (a.stat?.ctime || 0));
-				break;
-			case 'byCreatedTimeReverse':
-				sorted.sort((a, b) => (a.stat?.ctime || 0) - (b.stat?.ctime || 0));
-				break;
-			default:
-				// Default to alphabetical
-				sorted.sort((a, b) => a.name.localeCompare(b.name));
-		}
-		
-		return sorted;
+	setStructureMode(mode) {
+		this.structureMode = SESSION_STRUCTURES.includes(mode) ? mode : 'folders';
 	}
 
 	/**
 	 * Parses the vault from the selected session folder.
 	 *
-	 * Structure mirrors vault folders and files:
+	 * Folder mode (default) mirrors vault folders and files:
 	 * - Folders = categories
 	 * - .md files = pages
+	 * - `gm-vault` frontmatter sets visibility, block types, title, order and hidden
+	 *
+	 * Outline mode reads the session note instead (see _parseOutline).
 	 *
 	 * @param {import('obsidian').TFolder} sessionFolder - Session folder (entry point)
 	 * @returns {Promise<Session>} Parsed session model
@@ -97,9 +91,74 @@ export class SessionParser {
 		
 		// Look for a session file inside the folder (optional, to get H1 name)
 		const sessionFile = await this._findSessionFile(sessionFolder);
+		const sessionMetadata = sessionFile ? this._getPageMetadata(sessionFile) : null;
+		
+		// Create root category
+		const rootCategory = await this._createRootCategory(sessionFolder, sessionFile, sessionMetadata);
+		session.addCategory(rootCategory);
 		
-		// Get name for root category
-		// If there is a session file, use its first H1; otherwise use folder name
+		if (this.structureMode === 'outline') {
+			if (sessionFile) {
+				await this._parseOutline(session, rootCategory, sessionFile);
+				await this._addContentBlockTypes(session);
+				return session;
+			}
+			console.warn(`[SessionParser] Outline mode needs a session note named "${sessionFolder.name}.md"; mirroring folders instead`);
+		}
+		
+		// Scan folder and build structure
+		await this._scanFolder(sessionFolder, rootCategory, sessionFile);
+		await this._addContentBlockTypes(session);
+		
+		return session;
+	}
+	
+	/**
+	 * Adds the block types that come from a note's content: `table` for notes
+	 * with a rollable random table (first column of die ranges) and `enemy` for notes
+	 * with a creature statblock (```statblock or a STR..CHA ability table).
+	 *
+	 * @private
+	 * @param {Session} session - Parsed session
+	 */
+	async _addContentBlockTypes(session) {
+		for (const page of session.getAllPages()) {
+			if (!page.path?.endsWith('.md')) {
+				continue;
+			}
+			
+			const file = this.app.vault.getAbstractFileByPath(page.path);
+			if (!(file instanceof TFile)) {
+				continue;
+			}
+			
+			// Solo se leen las notas en las que Obsidian ha visto alguna tabla o bloque de código
+			const sections = this.app.metadataCache.getFileCache(file)?.sections;
+			if (sections && !sections.some(section => section.type === 'table' || section.type === 'code')) {
+				continue;
+			}
+			
+			const content = await this.app.vault.cachedRead(file);
+			if (hasRollableTable(content)) {
+				page.addBlockType('table');
+			}
+			if (hasStatblock(content)) {
+				page.addBlockType('enemy');
+			}
+		}
+	}
+	
+	/**
+	 * Creates the root category.
+	 * Frontmatter title wins; otherwise the session file's first H1, otherwise the folder name.
+	 *
+	 * @private
+	 * @param {import('obsidian').TFolder} sessionFolder - Session folder
+	 * @param {import('obsidian').TFile|null} sessionFile - Session file
+	 * @param {Object|null} sessionMetadata - Session file metadata
+	 * @returns {Promise<Category>} Root category
+	 */
+	async _createRootCategory(sessionFolder, sessionFile, sessionMetadata) {
 		let rootCategoryName = sessionFile 
 			? await this._getRootCategoryName(sessionFile)
 			: sessionFolder.name;
@@ -117,14 +176,150 @@ export class SessionParser {
 			rootCategoryName = this._getRootCategoryNameFallback();
 		}
 		
-		// Create root category
+		if (sessionMetadata?.title) {
+			rootCategoryName = sessionMetadata.title;
+		}
+		
 		const rootCategory = new Category(rootCategoryName);
-		session.addCategory(rootCategory);
+		this._applyCategoryMetadata(rootCategory, sessionMetadata, null);
+		return rootCategory;
+	}
+	
+	/**
+	 * Builds the structure from the session note outline.
+	 *
+	 * - The first H1 names the root category; later H1s add more root categories
+	 * - H2..H6 headings = nested categories
+	 * - `[[note|label]]` links under a heading = pages (notes may live outside the session folder)
+	 * - Special headings (Tables, Quotes, Images, Enemies) add a block type to every page below them
+	 *
+	 * @private
+	 * @param {Session} session - Session to fill
+	 * @param {Category} rootCategory - Root category (already added to the session)
+	 * @param {import('obsidian').TFile} sessionFile - Session note
+	 */
+	async _parseOutline(session, rootCategory, sessionFile) {
+		const content = await this.app.vault.read(sessionFile);
+		const lines = this._stripFrontmatter(content).split('\n');
 		
-		// Scan folder and build structure
-		await this._scanFolder(sessionFolder, rootCategory, sessionFile);
+		const headingRegex = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+		const linkRegex = /(?<!!)\[\[([^\]]+)\]\]/g;
 		
-		return session;
+		let rootHeadingSeen = false;
+		let inCodeBlock = false;
+		// Stack of open headings: { level, category, blockType }
+		let stack = [{ level: 1, category: rootCategory, blockType: null }];
+		
+		for (const line of lines) {
+			if (/^\s*(```|~~~)/.test(line)) {
+				inCodeBlock = !inCodeBlock;
+				continue;
+			}
+			if (inCodeBlock) {
+				continue;
+			}
+			
+			const heading = line.match(headingRegex);
+			if (heading) {
+				const level = heading[1].length;
+				const text = heading[2].trim();
+				
+				if (level === 1) {
+					if (!rootHeadingSeen) {
+						// The first H1 is the root category itself
+						rootHeadingSeen = true;
+						continue;
+					}
+					const category = new Category(text);
+					category.visibleToPlayers = rootCategory.visibleToPlayers;
+					session.addCategory(category);
+					stack = [{ level: 1, category, blockType: this._getSpecialHeadingType(text) }];
+					continue;
+				}
+				
+				while (stack.length > 1 && stack[stack.length - 1].level >= level) {
+					stack.pop();
+				}
+				
+				const parent = stack[stack.length - 1];
+				const category = new Category(text);
+				category.visibleToPlayers = parent.category.visibleToPlayers;
+				parent.category.addCategory(category);
+				stack.push({
+					level,
+					category,
+					blockType: this._getSpecialHeadingType(text) || parent.blockType
+				});
+				continue;
+			}
+			
+			for (const match of line.matchAll(linkRegex)) {
+				const current = stack[stack.length - 1];
+				const page = this._createOutlinePage(match[1], sessionFile, current.category, current.blockType);
+				if (page) {
+					current.category.addPage(page);
+				}
+			}
+		}
+	}
+	
+	/**
+	 * Creates a page from a wiki link found in the session note.
+	 *
+	 * @private
+	 * @param {string} linkContent - Text between [[ and ]] (e.g. "Scene 1|The tavern")
+	 * @param {import('obsidian').TFile} sessionFile - Session note (link source)
+	 * @param {Category} category - Category the page goes into
+	 * @param {string|null} blockType - Block type from a special heading
+	 * @returns {Page|null} Page or null if the link does not resolve to a note
+	 */
+	_createOutlinePage(linkContent, sessionFile, category, blockType) {
+		const [target, label] = linkContent.split('|');
+		const linkpath = target.split('#')[0].trim();
+		if (!linkpath) {
+			return null;
+		}
+		
+		const file = this.app.metadataCache.getFirstLinkpathDest(linkpath, sessionFile.path);
+		if (!file || file.extension !== 'md' || file.path === sessionFile.path) {
+			return null;
+		}
+		
+		const metadata = this._getPageMetadata(file);
+		if (metadata?.hidden) {
+			return null;
+		}
+		
+		const name = (label && label.trim()) || metadata?.title || file.basename;
+		const page = new Page(name, slugify(file.basename), metadata ? [...metadata.blockTypes] : []);
+		page.path = file.path;
+		page.visibleToPlayers = metadata?.visible ?? category.visibleToPlayers;
+		if (blockType) {
+			page.addBlockType(blockType);
+		}
+		return page;
+	}
+	
+	/**
+	 * Returns the block type set by a special heading, if any.
+	 *
+	 * @private
+	 * @param {string} text - Heading text
+	 * @returns {string|null} Block type or null
+	 */
+	_getSpecialHeadingType(text) {
+		return SPECIAL_HEADINGS[text.trim().toLowerCase()] || null;
+	}
+	
+	/**
+	 * Removes the YAML frontmatter block from note content.
+	 *
+	 * @private
+	 * @param {string} content - Note content
+	 * @returns {string} Content without frontmatter
+	 */
+	_stripFrontmatter(content) {
+		return content.replace(/^---\r?\n[\s\S]*?\r?\n---\s*(\r?\n|$)/, '');
 	}
 	
 	/**
@@ -193,9 +388,9 @@ export class SessionParser {
 	 * @private
 	 * @param {import('obsidian').TFolder} folder - Folder to scan
 	 * @param {Category} category - Category to add content to
-	 * @param {import('obsidian').TFile} sessionFile - Session file (to exclude)
+	 * @param {import('obsidian').TFile|null} excludedFile - Session file or folder note (not listed as a page)
 	 */
-	async _scanFolder(folder, category, sessionFile) {
+	async _scanFolder(folder, category, excludedFile) {
 		const children = folder.children || [];
 		
 		// Separate files and folders
@@ -211,8 +406,8 @@ export class SessionParser {
 		}
 		
 		// Sort each group according to Obsidian's setting
-		const sortedFolders = this._sortByObsidianConfig(folders);
-		const sortedFiles = this._sortByObsidianConfig(files);
+		const sortedFolders = sortByObsidianConfig(folders, this.app.vault);
+		const sortedFiles = sortByObsidianConfig(files, this.app.vault);
 		
 		// Obsidian shows folders first, then files
 		// Process folders first
@@ -225,27 +420,132 @@ export class SessionParser {
 			if (hasOnlyImages) {
 				const folderSlug = slugify(subFolder.name);
 				const page = new Page(subFolder.name, folderSlug, ['image']);
+				page.path = subFolder.path;
+				page.visibleToPlayers = category.visibleToPlayers;
 				category.addPage(page);
 			} else {
-				const subCategory = new Category(subFolder.name);
+				// A folder note ("Folder/Folder.md") with gm-vault frontmatter configures the category
+				const folderNote = await this._findFolderNote(subFolder);
+				const folderMetadata = folderNote ? this._getPageMetadata(folderNote) : null;
+				
+				if (folderMetadata?.hidden) {
+					continue;
+				}
+				
+				const subCategory = new Category(folderMetadata?.title || subFolder.name);
+				this._applyCategoryMetadata(subCategory, folderMetadata, category);
 				category.addCategory(subCategory);
 				
-				await this._scanFolder(subFolder, subCategory, sessionFile);
+				await this._scanFolder(subFolder, subCategory, folderNote);
 			}
 		}
 		
 		// Then process files
 		for (const file of sortedFiles) {
-			if (sessionFile && file.path === sessionFile.path) {
+			if (excludedFile && file.path === excludedFile.path) {
+				continue;
+			}
+			
+			const metadata = this._getPageMetadata(file);
+			if (metadata?.hidden) {
 				continue;
 			}
 			
 			const pageName = await this._getPageName(file);
 			const slug = slugify(file.basename);
 			
-			const page = new Page(pageName, slug, []);
+			const page = new Page(pageName, slug, metadata ? [...metadata.blockTypes] : []);
+			page.path = file.path;
+			page.visibleToPlayers = metadata?.visible ?? category.visibleToPlayers;
+			page.order = metadata?.order ?? null;
 			category.addPage(page);
 		}
+		
+		// Explicit `order` values go first; the rest keep Obsidian's order
+		category.categories = this._sortByOrder(category.categories);
+		category.pages = this._sortByOrder(category.pages);
+	}
+	
+	/**
+	 * Finds a folder note that carries gm-vault frontmatter.
+	 *
+	 * @private
+	 * @param {import('obsidian').TFolder} folder - Folder to search
+	 * @returns {Promise<import('obsidian').TFile|null>} Folder note or null
+	 */
+	async _findFolderNote(folder) {
+		const file = await this._findSessionFile(folder);
+		return file && this._getPageMetadata(file) ? file : null;
+	}
+	
+	/**
+	 * Reads the gm-vault block from a note's YAML frontmatter.
+	 *
+	 * Example:
+	 * ```yaml
+	 * gm-vault:
+	 *   visible: true
+	 *   type: table
+	 *   title: "The Tavern"
+	 *   order: 3
+	 *   hidden: false
+	 * ```
+	 *
+	 * @private
+	 * @param {import('obsidian').TFile} file - Note to read
+	 * @returns {{visible: boolean|null, hidden: boolean, title: string|null, order: number|null, blockTypes: string[]}|null} Normalized metadata or null
+	 */
+	_getPageMetadata(file) {
+		const frontmatter = this.app.metadataCache.getFileCache(file)?.frontmatter;
+		const raw = frontmatter?.[FRONTMATTER_KEY];
+		
+		if (!raw || typeof raw !== 'object') {
+			return null;
+		}
+		
+		const types = raw.type === undefined || raw.type === null
+			? []
+			: (Array.isArray(raw.type) ? raw.type : [raw.type]);
+		const order = Number(raw.order);
+		
+		return {
+			visible: typeof raw.visible === 'boolean' ? raw.visible : null,
+			hidden: raw.hidden === true,
+			title: typeof raw.title === 'string' && raw.title.trim() !== '' ? raw.title.trim() : null,
+			order: raw.order !== undefined && raw.order !== null && raw.order !== '' && Number.isFinite(order) ? order : null,
+			blockTypes: [...new Set(types.map(type => String(type).trim().toLowerCase()).filter(Boolean))]
+		};
+	}
+	
+	/**
+	 * Applies folder-note metadata to a category.
+	 * Visibility is inherited from the parent unless the metadata overrides it.
+	 *
+	 * @private
+	 * @param {Category} category - Category to configure
+	 * @param {Object|null} metadata - Result of _getPageMetadata
+	 * @param {Category|null} parent - Parent category (null for the root)
+	 */
+	_applyCategoryMetadata(category, metadata, parent) {
+		category.visibleToPlayers = metadata?.visible ?? parent?.visibleToPlayers ?? false;
+		category.order = metadata?.order ?? null;
+		if (metadata) {
+			category.blockTypes = [...metadata.blockTypes];
+		}
+	}
+	
+	/**
+	 * Moves items with an explicit order to the front, ascending.
+	 * Items without order keep their relative position.
+	 *
+	 * @private
+	 * @param {Array<Page|Category>} items - Pages or categories
+	 * @returns {Array<Page|Category>} Sorted array
+	 */
+	_sortByOrder(items) {
+		const ordered = items.filter(item => item.order !== null).sort((a, b) => a.order - b.order);
+		const unordered = items.filter(item => item.order === null);
+		return [...ordered, ...unordered];
 	}
 	
 	/**
@@ -256,30 +556,29 @@ export class SessionParser {
 	 * @returns {Promise<import('obsidian').TFile[]>} Array of image files
 	 */
 	async _getImageFiles(folder) {
-		const imageExtensions = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg'];
 		const imageFiles = [];
 		
 		for (const child of folder.children || []) {
 			if (child instanceof TFile) {
 				const ext = child.extension.toLowerCase();
-				if (imageExtensions.includes(ext)) {
+				if (IMAGE_EXTENSIONS.includes(ext)) {
 					imageFiles.push(child);
 				}
 			}
 		}
 		
-		return this._sortByObsidianConfig(imageFiles);
+		return sortByObsidianConfig(imageFiles, this.app.vault);
 	}
 
 	/**
 	 * Gets the page name from the file.
-	 * Simplified: uses the file basename directly.
+	 * Uses the frontmatter title if present, otherwise the file basename.
 	 *
 	 * @private
 	 * @param {import('obsidian').TFile} file - Page file
 	 * @returns {Promise<string>} Page name
 	 */
 	async _getPageName(file) {
-		return file.basename;
+		return this._getPageMetadata(file)?.title || file.basename;
 	}
 }
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Persistent registry of page IDs keyed by vault path.
+ *
+ * Responsibilities:
+ * - Hand out one stable ID per note (or image folder) path
+ * - Follow renames so a moved note keeps its ID
+ * - Serialize to plain data for the plugin's data.json
+ * - No Obsidian or HTTP logic
+ */
+
+/**
+ * Generates a new page ID (same format as GM Vault).
+ *
+ * @returns {string} Page ID
+ */
+export function generatePageId() {
+	const timestamp = Date.now().toString(36);
+	const random = Math.random().toString(36).slice(2, 8);
+	return `page_${timestamp}_${random}`;
+}
+
+/**
+ * Registry that maps vault paths to stable page IDs.
+ *
+ * @class PageIdRegistry
+ */
+export class PageIdRegistry {
+	/**
+	 * Creates a PageIdRegistry instance.
+	 *
+	 * @param {Object<string, string>|null} data - Saved path → ID entries
+	 * @param {Function|null} onChange - Called whenever entries change (to persist them)
+	 */
+	constructor(data = null, onChange = null) {
+		/** @type {Map<string, string>} */
+		this.ids = new Map(Object.entries(data || {}));
+
+		/** @type {Function|null} */
+		this.onChange = onChange;
+	}
+
+	/**
+	 * Replaces all entries with saved data (used when plugin data is loaded).
+	 *
+	 * @param {Object<string, string>|null} data - Saved path → ID entries
+	 */
+	load(data) {
+		this.ids = new Map(Object.entries(data || {}));
+	}
+
+	/**
+	 * Returns the ID for a path, creating it on first use.
+	 *
+	 * @param {string} path - Vault path of the note or image folder
+	 * @returns {string} Page ID
+	 */
+	getId(path) {
+		let id = this.ids.get(path);
+		if (!id) {
+			id = generatePageId();
+			this.ids.set(path, id);
+			this._notifyChange();
+		}
+		return id;
+	}
+
+	/**
+	 * Returns whether a path already has an ID.
+	 *
+	 * @param {string} path - Vault path
+	 * @returns {boolean} true if registered
+	 */
+	has(path) {
+		return this.ids.has(path);
+	}
+
+	/**
+	 * Moves IDs from an old path to a new one.
+	 * Folder renames move every entry below the folder as well.
+	 *
+	 * @param {string} oldPath - Previous vault path
+	 * @param {string} newPath - New vault path
+	 */
+	rename(oldPath, newPath) {
+		let changed = false;
+		const prefix = `${oldPath}/`;
+
+		for (const [path, id] of [...this.ids.entries()]) {
+			let movedPath = null;
+			if (path === oldPath) {
+				movedPath = newPath;
+			} else if (path.startsWith(prefix)) {
+				movedPath = `${newPath}/${path.slice(prefix.length)}`;
+			}
+
+			if (movedPath !== null) {
+				this.ids.delete(path);
+				this.ids.set(movedPath, id);
+				changed = true;
+			}
+		}
+
+		if (changed) {
+			this._notifyChange();
+		}
+	}
+
+	/**
+	 * Forgets the ID of a deleted path (and everything below it for folders).
+	 *
+	 * @param {string} path - Vault path
+	 */
+	delete(path) {
+		let changed = false;
+		const prefix = `${path}/`;
+
+		for (const key of [...this.ids.keys()]) {
+			if (key === path || key.startsWith(prefix)) {
+				this.ids.delete(key);
+				changed = true;
+			}
+		}
+
+		if (changed) {
+			this._notifyChange();
+		}
+	}
+
+	/**
+	 * Serializes the registry for plugin data.
+	 *
+	 * @returns {Object<string, string>} Path → ID entries
+	 */
+	toJSON() {
+		return Object.fromEntries(this.ids);
+	}
+
+	/**
+	 * Notifies the change listener, if any.
+	 *
+	 * @private
+	 */
+	_notifyChange() {
+		if (this.onChange) {
+			this.onChange();
+		}
+	}
+}
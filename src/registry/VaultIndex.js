@@ -0,0 +1,747 @@
+/**
+ * @fileoverview In-memory index of the session folder.
+ *
+ * Keeps, for the selected session folder:
+ * - Every note and image-only folder, by path, slug and name
+ * - The parsed session structure (SessionParser output)
+ *
+ * The index is built once and then updated from vault events, so HTTP routes
+ * and the exporter don't rescan the folder tree on every request.
+ * File entries are updated incrementally; the session structure is re-parsed
+ * lazily, only after a change that can affect it.
+ *
+ * Slugs are unique within the session: a note keeps its basename slug unless
+ * another note or gallery shares it, in which case every note with that basename
+ * gets a slug derived from its path (e.g. "chapter-2-tavern").
+ */
+
+import { TFile, TFolder, parseFrontMatterAliases } from 'obsidian';
+import { slugify } from '../utils/slugify.js';
+import { isPathInside } from '../utils/vaultPaths.js';
+import { FRONTMATTER_KEY } from '../parsers/SessionParser.js';
+import { hasRollableTable } from '../utils/rollTables.js';
+import { hasStatblock } from '../utils/statblocks.js';
+import { IMAGE_EXTENSIONS } from '../utils/images.js';
+
+/**
+ * @typedef {Object} IndexEntry
+ * @property {string} path - Vault path of the note or folder
+ * @property {string} name - Display name (frontmatter title or basename)
+ * @property {string} basename - File basename (without extension) or folder name
+ * @property {string} slug - URL slug (/pages/:slug), unique within the session
+ * @property {'note'|'images'} kind - Markdown note or image gallery folder
+ * @property {string|null} metadata - Serialized gm-vault frontmatter (to detect changes)
+ * @property {string[]} aliases - Frontmatter aliases (notes only)
+ */
+
+/**
+ * Cached index of the session folder.
+ *
+ * @class VaultIndex
+ */
+export class VaultIndex {
+	/**
+	 * Creates a VaultIndex instance.
+	 *
+	 * @param {import('obsidian').App} app - Obsidian app instance
+	 * @param {import('../parsers/SessionParser.js').SessionParser} sessionParser - Parser for the session structure
+	 * @param {import('./PageIdRegistry.js').PageIdRegistry} pageIdRegistry - Stable page IDs
+	 * @param {Function|null} onSlugCollision - Called with [{slug, paths}] when notes share a basename slug
+	 */
+	constructor(app, sessionParser, pageIdRegistry, onSlugCollision = null) {
+		/** @type {import('obsidian').App} */
+		this.app = app;
+
+		/** @type {import('../parsers/SessionParser.js').SessionParser} */
+		this.sessionParser = sessionParser;
+
+		/** @type {import('./PageIdRegistry.js').PageIdRegistry} */
+		this.pageIdRegistry = pageIdRegistry;
+
+		/** @type {import('obsidian').TFolder|null} */
+		this.sessionFolder = null;
+
+		/** @type {Map<string, IndexEntry>|null} Path → entry (null until built) */
+		this.entries = null;
+
+		/** @type {import('../models/Session.js').Session|null} Cached session (null when stale) */
+		this.session = null;
+
+		/** @type {Map<string, IndexEntry>} Path → entry for notes linked from the session note outside the folder */
+		this.outlineEntries = new Map();
+
+		/** @type {Map<string, string[]>} Path → block types its tables and code blocks add, known once the note changed */
+		this.contentBlockTypes = new Map();
+
+		/** @type {Map<string, IndexEntry>|null} Slug → entry (rebuilt lazily) */
+		this.slugMap = null;
+
+		/** @type {Map<string, Object>|null} Cached result of getPageMap() */
+		this.pageMap = null;
+
+		/** @type {Function|null} Cached result of getLinkResolver() */
+		this.linkResolver = null;
+
+		/** @type {Function|null} */
+		this.onSlugCollision = onSlugCollision;
+
+		/** @type {Set<string>} Collisions present at the last slug assignment (each is notified once) */
+		this.reportedCollisions = new Set();
+
+		/** Timing and usage counters */
+		this.stats = {
+			scans: 0,
+			lastScanMs: 0,
+			parses: 0,
+			lastParseMs: 0,
+			lookups: 0,
+			incrementalUpdates: 0
+		};
+	}
+
+	/**
+	 * Sets the session folder and drops everything indexed for the previous one.
+	 *
+	 * @param {import('obsidian').TFolder|null} folder - Session folder
+	 */
+	setSessionFolder(folder) {
+		this.sessionFolder = folder;
+		this.entries = null;
+		this.contentBlockTypes.clear();
+		this.invalidate();
+	}
+
+	/**
+	 * Marks the session structure as stale (e.g. after changing the structure mode).
+	 */
+	invalidate() {
+		this.session = null;
+		this.slugMap = null;
+		this.pageMap = null;
+		this.linkResolver = null;
+		this.outlineEntries = new Map();
+	}
+
+	/**
+	 * Returns the parsed session, parsing it only if something changed since the last call.
+	 *
+	 * @returns {Promise<import('../models/Session.js').Session|null>} Session or null if no folder is selected
+	 */
+	async getSession() {
+		if (!this.sessionFolder) {
+			return null;
+		}
+
+		// Sin entradas no se detectarían cambios posteriores en las notas
+		if (!this.entries) {
+			this._scan();
+		}
+
+		if (!this.session) {
+			const start = performance.now();
+			this.session = await this.sessionParser.parseSession(this.sessionFolder);
+			this.stats.parses++;
+			this.stats.lastParseMs = performance.now() - start;
+			this._updateOutlineEntries();
+			this.slugMap = null;
+			this.pageMap = null;
+			this.linkResolver = null;
+
+			// Las páginas usan los slugs únicos del índice
+			await this._getSlugMap();
+			for (const page of this.session.getAllPages()) {
+				const entry = page.path ? this._getEntry(page.path) : null;
+				if (entry) {
+					page.slug = entry.slug;
+				}
+			}
+		}
+
+		return this.session;
+	}
+
+	/**
+	 * Finds the note or image folder served at /pages/:slug.
+	 *
+	 * @param {string} slug - Page slug
+	 * @returns {Promise<IndexEntry|null>} Entry or null
+	 */
+	async findBySlug(slug) {
+		this.stats.lookups++;
+		const slugMap = await this._getSlugMap();
+
+		if (slugMap.has(slug)) {
+			return slugMap.get(slug);
+		}
+
+		// Compatibilidad: aceptar el nombre en minúsculas como slug, solo si ninguna otra entrada lo comparte
+		const matches = this._allEntries().filter(entry => entry.basename.toLowerCase() === slug);
+		return matches.length === 1 ? matches[0] : null;
+	}
+
+	/**
+	 * Returns the unique slug of an indexed note or gallery folder.
+	 *
+	 * @param {string} path - Vault path
+	 * @returns {Promise<string|null>} Slug or null if the path is not indexed
+	 */
+	async getSlug(path) {
+		await this._getSlugMap();
+		return this._getEntry(path)?.slug ?? null;
+	}
+
+	/**
+	 * Returns the last assigned slug of a path without rebuilding anything
+	 * (e.g. to know the slug a note had before it was renamed).
+	 *
+	 * @param {string} path - Vault path
+	 * @returns {string|null} Slug, or null if unknown
+	 */
+	getKnownSlug(path) {
+		return this._getEntry(path)?.slug ?? null;
+	}
+
+	/**
+	 * Builds the wiki-link map used by the renderers.
+	 * Keys are lowercase link paths without extension: the basename and every
+	 * longer path suffix, so both [[Tavern]] and [[Chapter 2/Tavern]] resolve.
+	 * An ambiguous basename maps to the first note by path.
+	 *
+	 * @returns {Promise<Map<string, {id: string, name: string, slug: string, path: string}>>} Page map
+	 */
+	async getPageMap() {
+		await this._getSlugMap();
+		if (this.pageMap) {
+			return this.pageMap;
+		}
+
+		const pageMap = new Map();
+		const entries = this._allEntries().sort((a, b) => a.path.localeCompare(b.path));
+
+		for (const entry of entries) {
+			const pageInfo = {
+				id: this.pageIdRegistry.getId(entry.path),
+				name: entry.name,
+				slug: entry.slug,
+				path: entry.path
+			};
+
+			const segments = entry.path.replace(/\.md$/i, '').toLowerCase().split('/');
+			for (let i = segments.length - 1; i >= 0; i--) {
+				const key = segments.slice(i).join('/');
+				if (!pageMap.has(key)) {
+					pageMap.set(key, pageInfo);
+				}
+			}
+		}
+
+		this.pageMap = pageMap;
+		return pageMap;
+	}
+
+	/**
+	 * Builds a wiki-link resolver with Obsidian's link semantics.
+	 *
+	 * The resolver tries, in order: metadataCache.getFirstLinkpathDest() (paths, closest
+	 * match to the source note), a path suffix of an indexed page (image galleries),
+	 * and frontmatter aliases. Links to notes outside the session resolve to null.
+	 *
+	 * @returns {Promise<function(string, string=): ({id: string, name: string, slug: string, path: string}|null)>} (linkPath, sourcePath) → page info
+	 */
+	async getLinkResolver() {
+		const pageMap = await this.getPageMap();
+		if (this.linkResolver) {
+			return this.linkResolver;
+		}
+
+		const pagesByPath = new Map();
+		for (const pageInfo of pageMap.values()) {
+			pagesByPath.set(pageInfo.path, pageInfo);
+		}
+
+		const pagesByAlias = new Map();
+		for (const entry of this._allEntries()) {
+			for (const alias of entry.aliases || []) {
+				const key = alias.toLowerCase();
+				if (!pagesByAlias.has(key) && pagesByPath.has(entry.path)) {
+					pagesByAlias.set(key, pagesByPath.get(entry.path));
+				}
+			}
+		}
+
+		this.linkResolver = (linkPath, sourcePath = '') => {
+			const file = this.app.metadataCache.getFirstLinkpathDest(linkPath, sourcePath);
+			if (file) {
+				// Una nota que existe fuera de la sesión no se enlaza con otra de igual nombre
+				return pagesByPath.get(file.path) || null;
+			}
+
+			const key = linkPath.replace(/\.md$/i, '').toLowerCase();
+			return pageMap.get(key) || pagesByAlias.get(key) || null;
+		};
+
+		return this.linkResolver;
+	}
+
+	/**
+	 * Returns a copy of the timing and usage counters.
+	 *
+	 * @returns {{scans: number, lastScanMs: number, parses: number, lastParseMs: number, lookups: number, incrementalUpdates: number, entries: number}} Stats
+	 */
+	getStats() {
+		return {
+			...this.stats,
+			entries: this.entries ? this.entries.size + this.outlineEntries.size : 0
+		};
+	}
+
+	/**
+	 * Handles a created file or folder.
+	 *
+	 * @param {import('obsidian').TAbstractFile} file - Created file
+	 */
+	onCreate(file) {
+		if (!this._isTracked(file.path)) {
+			return;
+		}
+
+		this._addSubtree(file);
+		this._refreshParentFolder(file.path);
+		this._markChanged();
+	}
+
+	/**
+	 * Handles a deleted file or folder.
+	 *
+	 * @param {import('obsidian').TAbstractFile} file - Deleted file
+	 */
+	onDelete(file) {
+		this.contentBlockTypes.delete(file.path);
+		if (!this._isTracked(file.path)) {
+			return;
+		}
+
+		this._removeSubtree(file.path);
+		this._refreshParentFolder(file.path);
+		this._markChanged();
+	}
+
+	/**
+	 * Handles a renamed or moved file or folder.
+	 *
+	 * @param {import('obsidian').TAbstractFile} file - Renamed file (with its new path)
+	 * @param {string} oldPath - Previous path
+	 */
+	onRename(file, oldPath) {
+		this.contentBlockTypes.delete(oldPath);
+		const wasTracked = this._isTracked(oldPath);
+		const isTracked = this._isTracked(file.path);
+		if (!wasTracked && !isTracked) {
+			return;
+		}
+
+		if (wasTracked) {
+			this._removeSubtree(oldPath);
+			this._refreshParentFolder(oldPath);
+		}
+		if (isTracked) {
+			this._addSubtree(file);
+			this._refreshParentFolder(file.path);
+		}
+		this._markChanged();
+	}
+
+	/**
+	 * Handles new metadata for a note (after Obsidian re-parses it).
+	 * Only changes that can affect the session structure invalidate it:
+	 * the gm-vault frontmatter, the tables and code blocks, the session note, or a sort by modification time.
+	 *
+	 * @param {import('obsidian').TFile} file - Modified note
+	 * @param {string} [content] - Note content (passed by the metadata cache 'changed' event)
+	 */
+	onMetadataChange(file, content = null) {
+		if (!this.entries || !(file instanceof TFile) || file.extension !== 'md') {
+			return;
+		}
+
+		const isSessionNote = this.sessionFolder
+			&& file.parent?.path === this.sessionFolder.path
+			&& file.basename === this.sessionFolder.name;
+		const entry = this.entries.get(file.path) || this.outlineEntries.get(file.path);
+		if (!entry && !isSessionNote) {
+			return;
+		}
+
+		if (content !== null) {
+			this._updateContentBlockTypes(file, content);
+		}
+
+		const metadata = this._readMetadata(file);
+		if (isSessionNote || this._sortsByModifiedTime() || metadata !== entry.metadata) {
+			if (entry) {
+				this._updateNoteEntry(entry, file);
+			}
+			this._markChanged();
+		}
+	}
+
+	/**
+	 * Builds the file entries if needed and returns the slug map.
+	 *
+	 * @private
+	 * @returns {Promise<Map<string, IndexEntry>>} Slug → entry
+	 */
+	async _getSlugMap() {
+		if (!this.entries) {
+			this._scan();
+		}
+
+		// En modo outline las páginas enlazadas salen de la estructura de la sesión
+		if (this.sessionParser.structureMode === 'outline') {
+			await this.getSession();
+		}
+
+		if (!this.slugMap) {
+			this._assignSlugs();
+		}
+
+		return this.slugMap;
+	}
+
+	/**
+	 * Assigns unique slugs to every entry and rebuilds the slug map.
+	 * Entries whose basename slug is shared get a path-derived slug instead;
+	 * any remaining clash gets a numeric suffix.
+	 *
+	 * @private
+	 */
+	_assignSlugs() {
+		const entries = this._allEntries().sort((a, b) => a.path.localeCompare(b.path));
+
+		const byBaseSlug = new Map();
+		for (const entry of entries) {
+			const baseSlug = slugify(entry.basename);
+			if (!byBaseSlug.has(baseSlug)) {
+				byBaseSlug.set(baseSlug, []);
+			}
+			byBaseSlug.get(baseSlug).push(entry);
+		}
+
+		const collisions = [];
+		this.slugMap = new Map();
+
+		// Primero los slugs sin conflicto, para que los derivados de la ruta no los desplacen
+		for (const [baseSlug, group] of byBaseSlug) {
+			if (group.length === 1) {
+				group[0].slug = baseSlug;
+				this.slugMap.set(baseSlug, group[0]);
+			}
+		}
+
+		for (const [baseSlug, group] of byBaseSlug) {
+			if (group.length === 1) {
+				continue;
+			}
+
+			collisions.push({ slug: baseSlug, paths: group.map(entry => entry.path) });
+			for (const entry of group) {
+				let slug = this._getPathSlug(entry.path);
+				for (let n = 2; this.slugMap.has(slug); n++) {
+					slug = `${this._getPathSlug(entry.path)}-${n}`;
+				}
+				entry.slug = slug;
+				this.slugMap.set(slug, entry);
+			}
+		}
+
+		this._reportCollisions(collisions);
+	}
+
+	/**
+	 * Builds a slug from a path relative to the session folder (e.g. "Chapter 2/Tavern.md" → "chapter-2-tavern").
+	 *
+	 * @private
+	 * @param {string} path - Vault path
+	 * @returns {string} Path-derived slug
+	 */
+	_getPathSlug(path) {
+		const folderPath = this.sessionFolder?.path || '';
+		const relativePath = folderPath && isPathInside(path, folderPath)
+			? path.slice(folderPath.length + 1)
+			: path;
+		return slugify(relativePath.replace(/\.md$/i, '').split('/').join(' '));
+	}
+
+	/**
+	 * Notifies slug collisions that were not reported before.
+	 *
+	 * @private
+	 * @param {Array<{slug: string, paths: string[]}>} collisions - Current collisions
+	 */
+	_reportCollisions(collisions) {
+		const keys = collisions.map(collision => `${collision.slug}:${collision.paths.join('|')}`);
+		const newCollisions = collisions.filter((collision, i) => !this.reportedCollisions.has(keys[i]));
+		this.reportedCollisions = new Set(keys);
+
+		if (newCollisions.length > 0 && this.onSlugCollision) {
+			this.onSlugCollision(newCollisions);
+		}
+	}
+
+	/**
+	 * Scans the whole session folder (first use or after changing the folder).
+	 *
+	 * @private
+	 */
+	_scan() {
+		const start = performance.now();
+		this.entries = new Map();
+
+		if (this.sessionFolder) {
+			for (const child of this.sessionFolder.children || []) {
+				this._addSubtree(child);
+			}
+		}
+
+		this.stats.scans++;
+		this.stats.lastScanMs = performance.now() - start;
+	}
+
+	/**
+	 * Adds a file or folder (and everything inside it) to the index.
+	 *
+	 * @private
+	 * @param {import('obsidian').TAbstractFile} file - File or folder
+	 */
+	_addSubtree(file) {
+		if (!this.entries) {
+			return;
+		}
+
+		if (file instanceof TFile) {
+			if (file.extension === 'md') {
+				const entry = { path: file.path, basename: file.basename, slug: null, kind: 'note' };
+				this._updateNoteEntry(entry, file);
+				this.entries.set(file.path, entry);
+			}
+			return;
+		}
+
+		if (file instanceof TFolder) {
+			if (this._isImageFolder(file)) {
+				this.entries.set(file.path, {
+					path: file.path,
+					name: file.name,
+					basename: file.name,
+					slug: null,
+					kind: 'images',
+					metadata: null,
+					aliases: []
+				});
+				return;
+			}
+
+			for (const child of file.children || []) {
+				this._addSubtree(child);
+			}
+		}
+	}
+
+	/**
+	 * Removes a path and everything below it from the index.
+	 *
+	 * @private
+	 * @param {string} path - Removed path
+	 */
+	_removeSubtree(path) {
+		if (!this.entries) {
+			return;
+		}
+
+		for (const entryPath of [...this.entries.keys()]) {
+			if (entryPath === path || entryPath.startsWith(`${path}/`)) {
+				this.entries.delete(entryPath);
+			}
+		}
+	}
+
+	/**
+	 * Re-checks whether the parent folder of a changed path is an image gallery.
+	 * Adding a note or removing the last image changes the folder's kind.
+	 *
+	 * @private
+	 * @param {string} path - Changed path
+	 */
+	_refreshParentFolder(path) {
+		if (!this.entries) {
+			return;
+		}
+
+		const parentPath = path.split('/').slice(0, -1).join('/');
+		if (!parentPath || parentPath === this.sessionFolder?.path) {
+			return;
+		}
+
+		const parent = this.app.vault.getAbstractFileByPath(parentPath);
+		if (parent instanceof TFolder && this._isTracked(parent.path)) {
+			this._removeSubtree(parent.path);
+			this._addSubtree(parent);
+		}
+	}
+
+	/**
+	 * Fills the name and metadata of a note entry from the metadata cache.
+	 *
+	 * @private
+	 * @param {IndexEntry} entry - Entry to update
+	 * @param {import('obsidian').TFile} file - Note
+	 */
+	_updateNoteEntry(entry, file) {
+		const raw = this.app.metadataCache.getFileCache(file)?.frontmatter?.[FRONTMATTER_KEY];
+		const title = raw && typeof raw.title === 'string' ? raw.title.trim() : '';
+		entry.name = title || file.basename;
+		entry.metadata = this._readMetadata(file);
+		entry.aliases = parseFrontMatterAliases(this.app.metadataCache.getFileCache(file)?.frontmatter) || [];
+	}
+
+	/**
+	 * Serializes the gm-vault frontmatter, aliases and table/code blocks of a note so changes can be detected cheaply.
+	 * Besides the block count, the signature holds the block types the blocks add (once the
+	 * content is known), so editing a table or a fence without adding or removing one counts too.
+	 *
+	 * @private
+	 * @param {import('obsidian').TFile} file - Note
+	 * @returns {string|null} JSON of the gm-vault block or null
+	 */
+	_readMetadata(file) {
+		const frontmatter = this.app.metadataCache.getFileCache(file)?.frontmatter;
+		const raw = frontmatter?.[FRONTMATTER_KEY];
+		const aliases = parseFrontMatterAliases(frontmatter);
+		// Las tablas y los bloques de código pueden añadir los blockTypes "table" y "enemy" (SessionParser._addContentBlockTypes)
+		const blocks = this._countContentBlocks(file);
+		const blockTypes = blocks ? this.contentBlockTypes.get(file.path) : undefined;
+		return raw === undefined && !aliases && !blocks ? null : JSON.stringify({ raw, aliases, blocks, blockTypes });
+	}
+
+	/**
+	 * Records the block types that a note's tables and code blocks add (same checks as SessionParser).
+	 *
+	 * @private
+	 * @param {import('obsidian').TFile} file - Note
+	 * @param {string} content - Note content
+	 */
+	_updateContentBlockTypes(file, content) {
+		if (!this._countContentBlocks(file)) {
+			this.contentBlockTypes.delete(file.path);
+			return;
+		}
+		const blockTypes = [];
+		if (hasRollableTable(content)) blockTypes.push('table');
+		if (hasStatblock(content)) blockTypes.push('enemy');
+		this.contentBlockTypes.set(file.path, blockTypes);
+	}
+
+	/**
+	 * @private
+	 * @param {import('obsidian').TFile} file - Note
+	 * @returns {number} Tables and code blocks Obsidian found in the note
+	 */
+	_countContentBlocks(file) {
+		return (this.app.metadataCache.getFileCache(file)?.sections || []).filter(section => section.type === 'table' || section.type === 'code').length;
+	}
+
+	/**
+	 * Rebuilds the entries of notes linked from the session note that live outside the folder.
+	 *
+	 * @private
+	 */
+	_updateOutlineEntries() {
+		this.outlineEntries = new Map();
+		if (!this.session || this.sessionParser.structureMode !== 'outline') {
+			return;
+		}
+
+		for (const page of this.session.getAllPages()) {
+			if (!page.path || this.entries?.has(page.path)) {
+				continue;
+			}
+			const file = this.app.vault.getAbstractFileByPath(page.path);
+			if (file instanceof TFile) {
+				const entry = { path: file.path, basename: file.basename, slug: null, kind: 'note' };
+				this._updateNoteEntry(entry, file);
+				this.outlineEntries.set(file.path, entry);
+			}
+		}
+	}
+
+	/**
+	 * Returns whether a folder only contains images (shown as a gallery page).
+	 *
+	 * @private
+	 * @param {import('obsidian').TFolder} folder - Folder
+	 * @returns {boolean} true if it has images and no notes or subfolders
+	 */
+	_isImageFolder(folder) {
+		const children = folder.children || [];
+		const hasImages = children.some(child => child instanceof TFile && IMAGE_EXTENSIONS.includes(child.extension.toLowerCase()));
+		const hasNotes = children.some(child => child instanceof TFile && child.extension === 'md');
+		const hasFolders = children.some(child => child.children !== undefined);
+		return hasImages && !hasNotes && !hasFolders;
+	}
+
+	/**
+	 * Returns whether a path belongs to the indexed session (folder or linked outline notes).
+	 *
+	 * @private
+	 * @param {string} path - Vault path
+	 * @returns {boolean} true if tracked
+	 */
+	_isTracked(path) {
+		if (!this.sessionFolder) {
+			return false;
+		}
+		return isPathInside(path, this.sessionFolder.path) || this.outlineEntries.has(path);
+	}
+
+	/**
+	 * Returns whether Obsidian sorts files by modification time (edits then change the order).
+	 *
+	 * @private
+	 * @returns {boolean} true if sorted by mtime
+	 */
+	_sortsByModifiedTime() {
+		const sortOrder = this.app.vault.getConfig?.('fileSortOrder') || this.app.vault.config?.fileSortOrder;
+		return typeof sortOrder === 'string' && sortOrder.startsWith('byModifiedTime');
+	}
+
+	/**
+	 * Records an incremental update and marks the session structure as stale.
+	 *
+	 * @private
+	 */
+	_markChanged() {
+		this.stats.incrementalUpdates++;
+		this.invalidate();
+	}
+
+	/**
+	 * Returns the entry of a path (folder or outline entries).
+	 *
+	 * @private
+	 * @param {string} path - Vault path
+	 * @returns {IndexEntry|null} Entry or null
+	 */
+	_getEntry(path) {
+		return this.entries?.get(path) || this.outlineEntries.get(path) || null;
+	}
+
+	/**
+	 * Iterates over folder entries and outline entries.
+	 *
+	 * @private
+	 * @returns {IndexEntry[]} All entries
+	 */
+	_allEntries() {
+		return [...(this.entries?.values() || []), ...this.outlineEntries.values()];
+	}
+}
@@ -6,7 +6,7 @@
  * - categories: array of root categories
  * - Each category has name and items[]
  * - Each item has type ('page' or 'category'), name, and specific properties
- * - Pages have url, and optionally blockTypes, visibleToPlayers
+ * - Pages have url, and optionally id, blockTypes, visibleToPlayers
  * - Categories have items[] (recursive)
  */
 
@@ -24,10 +24,14 @@ export class GMVaultJSONBuilder {
 	 * Creates a GMVaultJSONBuilder instance.
 	 *
 	 * @param {string} baseUrl - Base URL for pages (e.g. "http://localhost:3000")
+	 * @param {import('../registry/PageIdRegistry.js').PageIdRegistry|null} pageIdRegistry - Registry for stable page IDs
 	 */
-	constructor(baseUrl = 'http://localhost:3000') {
+	constructor(baseUrl = 'http://localhost:3000', pageIdRegistry = null) {
 		/** @type {string} */
 		this.baseUrl = baseUrl;
+
+		/** @type {import('../registry/PageIdRegistry.js').PageIdRegistry|null} */
+		this.pageIdRegistry = pageIdRegistry;
 	}
 
 	/**
@@ -42,15 +46,22 @@ export class GMVaultJSONBuilder {
 	/**
 	 * Converts a Session model to GM Vault–compatible JSON.
 	 * Uses the items[] format for simplicity and implicit order.
+	 * The player view leaves out pages not visible to players and categories left empty.
 	 *
 	 * @param {Session} session - Session model to convert
+	 * @param {Object} [options] - Build options
+	 * @param {string} [options.view='gm'] - Page view linked from the JSON ('gm' or 'player')
+	 * @param {string} [options.baseUrl] - Base URL for this response (overrides this.baseUrl, e.g. with an access token)
 	 * @returns {Object} GM Vault–compatible JSON
 	 */
-	buildJSON(session) {
+	buildJSON(session, options = {}) {
+		const categories = session.categories.map(category => 
+			this._buildCategoryJSON(category, options)
+		);
 		return {
-			categories: session.categories.map(category => 
-				this._buildCategoryJSON(category)
-			)
+			categories: options.view === 'player'
+				? categories.filter(category => category.items)
+				: categories
 		};
 	}
 
@@ -59,19 +70,25 @@ export class GMVaultJSONBuilder {
 	 *
 	 * @private
 	 * @param {Category} category - Category to convert
+	 * @param {Object} options - Build options
 	 * @returns {Object} Category JSON
 	 */
-	_buildCategoryJSON(category) {
+	_buildCategoryJSON(category, options = {}) {
 		const items = [];
 
 		// Add subcategories first (folders before files, like Obsidian)
 		for (const subCategory of category.categories) {
-			items.push(this._buildCategoryItemJSON(subCategory));
+			const item = this._buildCategoryItemJSON(subCategory, options);
+			if (item.items || options.view !== 'player') {
+				items.push(item);
+			}
 		}
 
-		// Then add pages
+		// Then add pages (players only get the pages visible to them)
 		for (const page of category.pages) {
-			items.push(this._buildPageItemJSON(page));
+			if (page.visibleToPlayers || options.view !== 'player') {
+				items.push(this._buildPageItemJSON(page, options));
+			}
 		}
 
 		const json = {
@@ -91,16 +108,22 @@ export class GMVaultJSONBuilder {
 	 *
 	 * @private
 	 * @param {Page} page - Page to convert
+	 * @param {Object} options - Build options
 	 * @returns {Object} Page item JSON
 	 */
-	_buildPageItemJSON(page) {
+	_buildPageItemJSON(page, options = {}) {
 		const item = {
 			type: 'page',
 			name: page.name,
-			url: `${this.baseUrl}/pages/${page.slug}`
+			url: this._buildPageUrl(page, options)
 		};
 
 		// Add optional properties only if they exist
+		const id = this._getPageId(page);
+		if (id) {
+			item.id = id;
+		}
+
 		if (page.blockTypes && page.blockTypes.length > 0) {
 			item.blockTypes = page.blockTypes;
 		}
@@ -112,24 +135,57 @@ export class GMVaultJSONBuilder {
 		return item;
 	}
 
+	/**
+	 * Builds the URL of a page, keeping the player view if requested.
+	 *
+	 * @private
+	 * @param {Page} page - Page
+	 * @param {Object} options - Build options
+	 * @returns {string} Page URL
+	 */
+	_buildPageUrl(page, options = {}) {
+		const url = `${options.baseUrl || this.baseUrl}/pages/${page.slug}`;
+		return options.view === 'player' ? `${url}?view=player` : url;
+	}
+
+	/**
+	 * Returns the stable ID for a page, if a registry and a path are available.
+	 *
+	 * @private
+	 * @param {Page} page - Page to look up
+	 * @returns {string|null} Page ID or null
+	 */
+	_getPageId(page) {
+		if (!this.pageIdRegistry || !page.path) {
+			return null;
+		}
+		return this.pageIdRegistry.getId(page.path);
+	}
+
 	/**
 	 * Converts a Category model to a JSON item of type 'category'.
 	 * 
 	 * @private
 	 * @param {Category} category - Category to convert
+	 * @param {Object} options - Build options
 	 * @returns {Object} JSON de item categoría
 	 */
-	_buildCategoryItemJSON(category) {
+	_buildCategoryItemJSON(category, options = {}) {
 		const items = [];
 
 		// Add subcategories first (folders before files, like Obsidian)
 		for (const subCategory of category.categories) {
-			items.push(this._buildCategoryItemJSON(subCategory));
+			const item = this._buildCategoryItemJSON(subCategory, options);
+			if (item.items || options.view !== 'player') {
+				items.push(item);
+			}
 		}
 
-		// Then add pages
+		// Then add pages (players only get the pages visible to them)
 		for (const page of category.pages) {
-			items.push(this._buildPageItemJSON(page));
+			if (page.visibleToPlayers || options.view !== 'player') {
+				items.push(this._buildPageItemJSON(page, options));
+			}
 		}
 
 		const item = {
@@ -204,6 +260,11 @@ export class GMVaultJSONBuilder {
 			url: `${this.baseUrl}/pages/${page.slug}`
 		};
 
+		const id = this._getPageId(page);
+		if (id) {
+			json.id = id;
+		}
+
 		if (page.blockTypes && page.blockTypes.length > 0) {
 			json.blockTypes = page.blockTypes;
 		}
@@ -2,10 +2,20 @@
  * @fileoverview Renderer that converts Obsidian Markdown files to HTML.
  * Used exclusively by the GET /pages/:slug endpoint.
  *
- * Uses markdown-it for parsing and rendering.
+ * The content goes through the shared RenderPipeline (live page target);
+ * this class adds the page document (styles and scripts).
  */
 
-import MarkdownIt from 'markdown-it';
+import { normalizeView } from '../utils/secrets.js';
+import { escapeHtml } from '../utils/html.js';
+import { RenderPipeline, RENDER_TARGETS } from './RenderPipeline.js';
+import { DEFAULT_PUBLIC_PROPERTIES } from './properties.js';
+
+/**
+ * Thumbnail widths offered in gallery srcsets (a subset of THUMBNAIL_WIDTHS in utils/images.js).
+ * A gallery column is a third of the page, so 400px covers most screens and 800px high-DPI ones.
+ */
+const GALLERY_THUMBNAIL_WIDTHS = [400, 800];
 
 /**
  * Markdown-to-HTML renderer for individual pages.
@@ -22,12 +32,8 @@ export class MarkdownRenderer {
 		/** @type {string|null} */
 		this.baseUrl = baseUrl;
 		
-		/** @type {MarkdownIt} */
-		this.md = new MarkdownIt({
-			html: true,
-			linkify: true,
-			typographer: true
-		});
+		/** @type {RenderPipeline} */
+		this.pipeline = new RenderPipeline();
 		
 		/**
 		 * Map of file names to page info for mentions
@@ -35,7 +41,53 @@ export class MarkdownRenderer {
 		 */
 		this.pageMap = null;
 		
-		this._configureWikiLinks();
+		/**
+		 * Resolves a link path from a source note (Obsidian link semantics, aliases)
+		 * @type {function(string, string=): ({id: string, name: string, slug: string}|null)|null}
+		 */
+		this.linkResolver = null;
+		
+		/**
+		 * Resolves a local image link from a source note to a vault path that /images/* serves
+		 * @type {function(string, string): (string|null)|null}
+		 */
+		this.imageResolver = null;
+		
+		/**
+		 * Resolves a local audio or video link from a source note to a vault path that /media/* serves
+		 * @type {function(string, string): (string|null)|null}
+		 */
+		this.mediaResolver = null;
+		
+		/**
+		 * Resolves a local PDF link from a source note to a vault path that /files/* serves
+		 * @type {function(string, string): (string|null)|null}
+		 */
+		this.pdfResolver = null;
+		
+		/**
+		 * Keep raw HTML from notes as-is instead of sanitizing it
+		 * @type {boolean}
+		 */
+		this.trustedHtml = false;
+		
+		/**
+		 * Frontmatter keys shown in the page header
+		 * @type {string[]}
+		 */
+		this.publicProperties = [...DEFAULT_PUBLIC_PROPERTIES];
+		
+		/**
+		 * Add a table of contents to long pages
+		 * @type {boolean}
+		 */
+		this.tableOfContents = false;
+		
+		/**
+		 * Send the results of rollable tables to GM Vault (rollTableResult message)
+		 * @type {boolean}
+		 */
+		this.postTableRolls = true;
 	}
 	
 	/**
@@ -57,54 +109,134 @@ export class MarkdownRenderer {
 	}
 
 	/**
-	 * Renders Markdown content to HTML.
+	 * Sets the resolver used for wiki links before falling back to the page map.
+	 *
+	 * @param {function(string, string=): ({id: string, name: string, slug: string}|null)|null} resolver - (linkPath, sourcePath) → page info
+	 */
+	setLinkResolver(resolver) {
+		this.linkResolver = resolver;
+	}
+
+	/**
+	 * Sets the resolver used for local images (![[map.png]], ![](map.png)).
+	 *
+	 * @param {function(string, string): (string|null)|null} resolver - (linkPath, sourcePath) → servable vault path or null
+	 */
+	setImageResolver(resolver) {
+		this.imageResolver = resolver;
+	}
+
+	/**
+	 * Sets the resolver used for local audio and video (![[tavern.mp3]], ![[clip.mp4]]).
+	 *
+	 * @param {function(string, string): (string|null)|null} resolver - (linkPath, sourcePath) → servable vault path or null
+	 */
+	setMediaResolver(resolver) {
+		this.mediaResolver = resolver;
+	}
+
+	/**
+	 * Sets the resolver used for local PDFs (![[Handout.pdf]], ![[Handout.pdf#page=3]]).
+	 *
+	 * @param {function(string, string): (string|null)|null} resolver - (linkPath, sourcePath) → servable vault path or null
+	 */
+	setPdfResolver(resolver) {
+		this.pdfResolver = resolver;
+	}
+
+	/**
+	 * Sets whether raw HTML in notes is trusted. Untrusted HTML (the default) goes through
+	 * an allowlist sanitizer: no scripts, event handlers or javascript: URLs.
+	 *
+	 * @param {boolean} trusted - true to skip sanitizing
+	 */
+	setTrustedHtml(trusted) {
+		this.trustedHtml = Boolean(trusted);
+	}
+
+	/**
+	 * Sets which frontmatter keys are shown in the page header. The frontmatter itself
+	 * is never rendered as Markdown.
+	 *
+	 * @param {string[]} keys - Public property keys
+	 */
+	setPublicProperties(keys) {
+		this.publicProperties = keys;
+	}
+
+	/**
+	 * Sets whether long pages get a table of contents. A note's `toc: true/false`
+	 * frontmatter overrides it.
+	 *
+	 * @param {boolean} enabled - true to add it
+	 */
+	setTableOfContents(enabled) {
+		this.tableOfContents = Boolean(enabled);
+	}
+
+	/**
+	 * Sets whether rolls on random tables are sent to GM Vault. The row is always
+	 * highlighted in the page.
+	 *
+	 * @param {boolean} enabled - true to send them
+	 */
+	setPostTableRolls(enabled) {
+		this.postTableRolls = Boolean(enabled);
+	}
+
+	/**
+	 * Renders Markdown to the HTML content of a live page (without the page document).
 	 *
 	 * @param {string} markdown - Markdown content to render
-	 * @param {string|null} baseUrl - Base URL for wiki links (optional, uses this.baseUrl if not provided)
-	 * @returns {string} Rendered HTML
+	 * @param {string|null} baseUrl - Base URL for links and images (optional, uses this.baseUrl if not provided)
+	 * @param {Object} [options] - Render options (see renderPage)
+	 * @returns {Promise<string>} Rendered HTML
 	 */
-	render(markdown, baseUrl = null) {
+	async render(markdown, baseUrl = null, options = {}) {
 		const urlBase = baseUrl || this.baseUrl;
-		
-		if (this.pageMap) {
-			let html = this.md.render(markdown);
-			html = this._convertWikiLinksToMentions(html, urlBase);
-			return html;
-		} else {
-			const processedMarkdown = this._convertWikiLinksInMarkdown(markdown, urlBase);
-			let html = this.md.render(processedMarkdown);
-			html = this._convertWikiLinksInHTML(html, urlBase);
-			return html;
-		}
+		const hasPages = Boolean(this.linkResolver || this.pageMap);
+		
+		return this.pipeline.render(markdown, {
+			target: RENDER_TARGETS.PAGE,
+			view: normalizeView(options.view),
+			baseUrl: urlBase,
+			sourcePath: options.sourcePath || null,
+			findPage: hasPages ? (linkPath, sourcePath) => this._findLinkedPage(linkPath, sourcePath) : null,
+			resolveImage: (linkPath, sourcePath) => this._buildFileUrl(urlBase, '/images/', this.imageResolver?.(linkPath, sourcePath)),
+			resolveMedia: (linkPath, sourcePath) => this._buildFileUrl(urlBase, '/media/', this.mediaResolver?.(linkPath, sourcePath)),
+			resolvePdf: (linkPath, sourcePath) => this._buildFileUrl(urlBase, '/files/', this.pdfResolver?.(linkPath, sourcePath)),
+			properties: options.properties || null,
+			publicProperties: this.publicProperties,
+			tableOfContents: this.tableOfContents,
+			trustedHtml: this.trustedHtml
+		});
 	}
 
 	/**
 	 * Renders Markdown to HTML with a full page wrapper.
 	 *
+	 * In player view, GM-only content (%% comments %%, > [!secret] callouts, frontmatter)
+	 * is removed before rendering, so it never reaches the browser. Raw HTML in the note is
+	 * sanitized unless it is trusted (setTrustedHtml); the page's own scripts are added after.
+	 *
 	 * @param {string} markdown - Markdown content
 	 * @param {string} title - Page title
 	 * @param {string|null} baseUrl - Base URL for relative URLs (optional, uses this.baseUrl if not provided)
-	 * @returns {string} Full page HTML
+	 * @param {Object} [options] - Render options
+	 * @param {string} [options.view='gm'] - 'gm' or 'player'
+	 * @param {string} [options.sourcePath] - Vault path of the note (resolves links relative to it)
+	 * @param {Object} [options.properties] - Note frontmatter; its public keys are shown in the page header
+	 * @returns {Promise<string>} Full page HTML
 	 */
-	renderPage(markdown, title, baseUrl = null) {
-		const urlBase = baseUrl || this.baseUrl;
-		let content = this.render(markdown, urlBase);
-		
-		if (urlBase) {
-			content = this._convertRelativeUrlsToAbsolute(content, urlBase);
-		}
-		
-		content = this._convertTagsToNotionTags(content);
-		content = this._addNotionClasses(content);
-		content = this._addTargetToExternalLinks(content);
-		content = this._wrapInNotionStructure(content, title);
+	async renderPage(markdown, title, baseUrl = null, options = {}) {
+		const content = await this.render(markdown, baseUrl, options);
 		
 		return `<!DOCTYPE html>
 <html lang="en">
 <head>
 	<meta charset="UTF-8">
 	<meta name="viewport" content="width=device-width, initial-scale=1.0">
-	<title>${this._escapeHtml(title)}</title>
+	<title>${escapeHtml(title)}</title>
 	<style>
 		/* ==========================================================================
 		   Variables CSS (de GM Vault app.css)
@@ -576,6 +708,13 @@ export class MarkdownRenderer {
 			color: var(--color-text-muted);
 		}
 		
+		/* Notas embebidas (![[Nota]]) */
+		.notion-content .notion-embed {
+			border-left: 2px solid var(--color-accent-primary);
+			padding-left: var(--spacing-md);
+			margin: var(--spacing-sm) 0;
+		}
+		
 		.notion-content .notion-toggle {
 			margin: var(--spacing-xs) 0;
 		}
@@ -592,6 +731,225 @@ export class MarkdownRenderer {
 			margin-top: 2px;
 		}
 		
+		/* Callouts de Obsidian (> [!type]) */
+		.notion-content .notion-callout-title {
+			font-weight: var(--font-weight-medium);
+			margin-bottom: var(--spacing-xs);
+		}
+		
+		.notion-content details.notion-callout {
+			display: block;
+		}
+		
+		.notion-content details.notion-callout .notion-callout-title {
+			display: flex;
+			align-items: center;
+			gap: var(--spacing-md);
+			margin: 0;
+		}
+		
+		.notion-content details.notion-callout .notion-callout-content {
+			margin-left: 0;
+			margin-top: var(--spacing-sm);
+		}
+		
+		.notion-content .notion-callout-content > :last-child {
+			margin-bottom: 0;
+		}
+		
+		/* Tiradas de dados */
+		.notion-content .notion-dice {
+			display: inline-block;
+			padding: 0 6px;
+			border-radius: var(--radius-sm);
+			background: var(--color-bg-active);
+			border: 1px solid var(--color-border-active);
+			font-family: monospace;
+			white-space: nowrap;
+			cursor: pointer;
+		}
+		
+		.notion-content .notion-dice:hover {
+			background: var(--color-bg-hover);
+		}
+		
+		.notion-content .notion-dice-result {
+			margin-left: var(--spacing-xs);
+			font-weight: var(--font-weight-medium);
+		}
+		
+		/* Tablas aleatorias */
+		.notion-content .notion-roll-table-header {
+			display: flex;
+			align-items: center;
+			gap: var(--spacing-md);
+			margin-top: var(--font-size-base);
+		}
+		
+		.notion-content .notion-roll-table .notion-table {
+			margin-top: var(--spacing-sm);
+		}
+		
+		.notion-content .notion-roll-table-button {
+			padding: 2px var(--spacing-sm);
+			border-radius: var(--radius-sm);
+			background: var(--color-bg-active);
+			border: 1px solid var(--color-border-active);
+			cursor: pointer;
+			user-select: none;
+		}
+		
+		.notion-content .notion-roll-table-result {
+			font-weight: var(--font-weight-medium);
+		}
+		
+		/* Audio y vídeo */
+		.notion-content .notion-media {
+			margin: var(--font-size-base) 0;
+		}
+		
+		.notion-content .notion-media audio,
+		.notion-content .notion-media video {
+			display: block;
+			width: 100%;
+			max-width: 100%;
+			border-radius: var(--radius-md);
+		}
+		
+		.notion-content .notion-media video[width] {
+			width: auto;
+		}
+		
+		.notion-content .notion-media-footer {
+			display: flex;
+			align-items: center;
+			justify-content: space-between;
+			gap: var(--spacing-sm);
+			margin-top: var(--spacing-xs);
+			color: var(--color-text-muted);
+			font-size: 0.9em;
+		}
+		
+		.notion-content .notion-media-play {
+			padding: 2px var(--spacing-sm);
+			border-radius: var(--radius-sm);
+			background: var(--color-bg-active);
+			border: 1px solid var(--color-border-active);
+			color: var(--color-text-primary);
+			cursor: pointer;
+			user-select: none;
+		}
+		
+		/* Visor de PDF */
+		.notion-content .notion-pdf {
+			margin: var(--font-size-base) 0;
+		}
+		
+		.notion-content .notion-pdf-header {
+			display: flex;
+			align-items: center;
+			justify-content: space-between;
+			gap: var(--spacing-sm);
+			margin-bottom: var(--spacing-xs);
+			color: var(--color-text-muted);
+			font-size: 0.9em;
+		}
+		
+		.notion-content .notion-pdf-frame {
+			display: block;
+			width: 100%;
+			height: 70vh;
+			border: 1px solid var(--color-border-subtle);
+			border-radius: var(--radius-md);
+			background: var(--color-bg-surface);
+		}
+		
+		.notion-content .notion-table tr.notion-roll-table-row--selected {
+			background: var(--color-bg-active);
+			outline: 1px solid var(--color-border-active);
+		}
+		
+		/* Statblocks de criaturas */
+		.notion-content .notion-statblock {
+			margin: var(--font-size-base) 0;
+			padding: var(--spacing-md);
+			border-top: 3px solid rgb(156, 43, 27);
+			border-bottom: 3px solid rgb(156, 43, 27);
+			background: var(--color-bg-primary);
+		}
+		
+		.notion-content .notion-statblock-name {
+			font-size: 1.4em;
+			font-weight: var(--font-weight-medium);
+		}
+		
+		.notion-content .notion-statblock-meta {
+			font-style: italic;
+			color: var(--color-text-muted);
+		}
+		
+		.notion-content .notion-statblock-rule {
+			height: 2px;
+			margin: var(--spacing-sm) 0;
+			background: rgba(156, 43, 27, 0.8);
+		}
+		
+		.notion-content .notion-statblock-abilities {
+			margin: 0;
+			text-align: center;
+		}
+		
+		.notion-content .notion-statblock-abilities th,
+		.notion-content .notion-statblock-abilities td {
+			text-align: center;
+		}
+		
+		.notion-content .notion-statblock-section {
+			margin-top: var(--spacing-md);
+			border-bottom: 1px solid rgba(156, 43, 27, 0.8);
+			font-size: 1.15em;
+			font-weight: var(--font-weight-medium);
+		}
+		
+		.notion-content .notion-statblock-feature {
+			margin: var(--spacing-sm) 0;
+		}
+		
+		/* Índice de la página */
+		.notion-content .notion-toc {
+			margin: var(--spacing-md) 0;
+			padding: var(--spacing-sm) var(--spacing-md);
+			border-left: 3px solid var(--color-border-subtle);
+		}
+		
+		.notion-content .notion-toc-title {
+			margin: 0 0 var(--spacing-xs) 0;
+			font-weight: var(--font-weight-medium);
+			color: var(--color-text-muted);
+		}
+		
+		.notion-content .notion-toc-list {
+			list-style: none;
+			margin: 0;
+			padding: 0;
+		}
+		
+		.notion-content [id] {
+			scroll-margin-top: var(--spacing-md);
+		}
+		
+		/* Propiedades de la página (frontmatter) */
+		.notion-content .notion-page-cover img {
+			width: 100%;
+			max-height: 240px;
+			object-fit: cover;
+		}
+		
+		.notion-content .notion-page-properties th {
+			width: 30%;
+			color: var(--color-text-muted);
+		}
+		
 		/* ==========================================================================
 		   Notion Mentions (@Page links) - Exacto de app.css
 		   ========================================================================== */
@@ -830,6 +1188,30 @@ export class MarkdownRenderer {
 			console.log('✅ Mentions deshabilitados para modal');
 		}
 		
+		// Último mensaje de rol recibido (se vuelve a aplicar tras una recarga en vivo)
+		var lastRoleMessage = null;
+		
+		function applyUserRole(data) {
+			// Si está dentro de un modal, deshabilitar navegación de mentions
+			if (data.isInModal) {
+				console.log('🔒 Contenido en modal - deshabilitando navegación');
+				disableMentionsInModal();
+			} else if (data.isPlayer) {
+				convertMentionsToPlain();
+			}
+			
+			// Solo el GM reproduce audio y vídeo para la mesa
+			if (data.isPlayer) {
+				document.querySelectorAll('.notion-media-play').forEach(function(button) {
+					button.remove();
+				});
+			}
+			
+			// Todos pueden compartir imágenes (GM, coGM y Players)
+			console.log('🖼️ Añadiendo botones de share a imágenes para todos');
+			addShareButtonsToImages();
+		}
+		
 		// Escuchar mensajes de GM Vault para determinar el rol del usuario
 		window.addEventListener('message', function(event) {
 			if (event.data && event.data.type === 'setUserRole') {
@@ -837,18 +1219,8 @@ export class MarkdownRenderer {
 				userRole.isGM = event.data.isGM;
 				userRole.isPlayer = event.data.isPlayer;
 				userRole.isCoGM = event.data.isCoGM;
-				
-				// Si está dentro de un modal, deshabilitar navegación de mentions
-				if (event.data.isInModal) {
-					console.log('🔒 Contenido en modal - deshabilitando navegación');
-					disableMentionsInModal();
-				} else if (event.data.isPlayer) {
-					convertMentionsToPlain();
-				}
-				
-				// Todos pueden compartir imágenes (GM, coGM y Players)
-				console.log('🖼️ Añadiendo botones de share a imágenes para todos');
-				addShareButtonsToImages();
+				lastRoleMessage = event.data;
+				applyUserRole(event.data);
 			}
 		});
 		
@@ -865,8 +1237,17 @@ export class MarkdownRenderer {
 		console.log('✅ Listener de mensajes añadido');
 		
 		// Manejar clics en mentions - usar el sistema de modales de GM Vault
+		// Solo se navega a páginas de este mismo servidor (data-mention-page-url puede venir de HTML de la nota)
+		function isSameOriginUrl(value) {
+			try {
+				return new URL(value, window.location.href).origin === window.location.origin;
+			} catch (e) {
+				return false;
+			}
+		}
+		
 		// Si GM Vault no encuentra la página por ID, intentar buscarla por URL
-		(function() {
+		function setupMentions() {
 			const mentions = document.querySelectorAll('.notion-mention--link');
 			console.log('🔍 Mentions encontrados:', mentions.length);
 			
@@ -877,8 +1258,10 @@ export class MarkdownRenderer {
 				const pageId = mention.dataset.mentionPageId;
 				const pageName = mention.dataset.mentionPageName || 'Page';
 				const pageUrl = mention.dataset.mentionPageUrl;
+				// Sección de destino ([[Nota#Encabezado]]) para que GM Vault salte a ella
+				const pageAnchor = mention.dataset.mentionPageAnchor || null;
 				
-				console.log('📌 Mention configurado:', { pageId, pageName, pageUrl });
+				console.log('📌 Mention configurado:', { pageId, pageName, pageUrl, pageAnchor });
 				
 				// Click handler que usa postMessage para comunicarse con GM Vault de forma segura
 				mention.addEventListener('click', function(e) {
@@ -906,7 +1289,8 @@ export class MarkdownRenderer {
 								type: 'openMentionModal',
 								pageId: pageId,
 								pageName: pageName,
-								pageUrl: pageUrl
+								pageUrl: pageUrl,
+								anchor: pageAnchor
 							}, '*');
 							console.log('✅ Mensaje enviado a GM Vault');
 							return;
@@ -916,6 +1300,10 @@ export class MarkdownRenderer {
 					}
 					
 					// Fallback: navegar directamente a la página
+					if (!isSameOriginUrl(pageUrl)) {
+						console.warn('⚠️ pageUrl de otro origen, no se navega:', pageUrl);
+						return;
+					}
 					console.log('🔗 Navegando directamente a:', pageUrl);
 					window.location.href = pageUrl;
 				});
@@ -934,6 +1322,7 @@ export class MarkdownRenderer {
 						const pageId = this.dataset.mentionPageId;
 						const pageName = this.dataset.mentionPageName || 'Page';
 						const pageUrl = this.dataset.mentionPageUrl;
+						const pageAnchor = this.dataset.mentionPageAnchor || null;
 						
 						if (!pageUrl) return;
 						
@@ -944,7 +1333,8 @@ export class MarkdownRenderer {
 									type: 'openMentionModal',
 									pageId: pageId,
 									pageName: pageName,
-									pageUrl: pageUrl
+									pageUrl: pageUrl,
+									anchor: pageAnchor
 								}, '*');
 								return;
 							}
@@ -952,463 +1342,358 @@ export class MarkdownRenderer {
 							console.error('❌ Error al enviar mensaje:', error);
 						}
 						
-						window.location.href = pageUrl;
+						if (isSameOriginUrl(pageUrl)) {
+							window.location.href = pageUrl;
+						}
 					}
 				});
 			});
-		})();
-	</script>
-</body>
-</html>`;
-	}
-
-	/**
-	 * Añade clases de Notion al HTML renderizado usando regex.
-	 * 
-	 * @private
-	 * @param {string} html - HTML renderizado
-	 * @returns {string} HTML con clases de Notion
-	 */
-	_addNotionClasses(html) {
-		let processed = html;
-		
-		// Función helper para añadir clase solo si no existe
-		const addClass = (tag, className) => {
-			// Buscar tags que no tengan la clase ya
-			const regex = new RegExp(`<${tag}(?![^>]*class="[^"]*${className.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})([^>]*)>`, 'gi');
-			return processed.replace(regex, (match, attrs) => {
-				// Si ya tiene atributos, añadir la clase al final
-				if (attrs && attrs.trim()) {
-					return `<${tag}${attrs} class="${className}">`;
-				} else {
-					return `<${tag} class="${className}">`;
+		}
+		setupMentions();
+		
+		// Tiradas de dados (2d6+3, \`dice: 1d20\`): GM Vault las tira; fuera de GM Vault se tiran aquí
+		function rollDiceLocally(notation) {
+			var total = 0;
+			var parts = [];
+			var terms = notation.match(/[+-]?[^+-]+/g) || [];
+			terms.forEach(function(term) {
+				var sign = term.charAt(0) === '-' ? -1 : 1;
+				var value = term.replace(/^[+-]/, '');
+				var dice = value.match(/^([0-9]*)d([0-9]+|%)$/);
+				if (!dice) {
+					total += sign * (parseInt(value, 10) || 0);
+					parts.push(term);
+					return;
 				}
-			});
-		};
-		
-		// Normalizar párrafos
-		processed = addClass('p', 'notion-paragraph');
-		
-		// Normalizar listas
-		processed = addClass('ul', 'notion-bulleted-list');
-		processed = addClass('ol', 'notion-numbered-list');
-		
-		// Normalizar items de lista (más complejo porque depende del padre)
-		// Primero procesar los que están dentro de ul ya procesados
-		processed = processed.replace(/(<ul[^>]*class="[^"]*notion-bulleted-list[^>]*>)([\s\S]*?)(<\/ul>)/g, (match, open, content, close) => {
-			const processedContent = content.replace(/<li([^>]*)>/gi, (liMatch, liAttrs) => {
-				if (!liAttrs || !liAttrs.includes('class="notion-bulleted-list-item"')) {
-					return liAttrs.trim() 
-						? `<li${liAttrs} class="notion-bulleted-list-item">`
-						: `<li class="notion-bulleted-list-item">`;
+				var count = Math.min(parseInt(dice[1] || '1', 10), 100);
+				var sides = dice[2] === '%' ? 100 : parseInt(dice[2], 10);
+				var rolls = [];
+				for (var i = 0; i < count; i++) {
+					rolls.push(1 + Math.floor(Math.random() * sides));
 				}
-				return liMatch;
+				total += sign * rolls.reduce(function(sum, roll) { return sum + roll; }, 0);
+				parts.push((sign < 0 ? '-' : '') + '[' + rolls.join(', ') + ']');
 			});
-			return open + processedContent + close;
-		});
+			return { total: total, detail: parts.join(' ') };
+		}
 		
-		// Procesar los que están dentro de ol ya procesados
-		processed = processed.replace(/(<ol[^>]*class="[^"]*notion-numbered-list[^>]*>)([\s\S]*?)(<\/ol>)/g, (match, open, content, close) => {
-			const processedContent = content.replace(/<li([^>]*)>/gi, (liMatch, liAttrs) => {
-				if (!liAttrs || !liAttrs.includes('class="notion-numbered-list-item"')) {
-					return liAttrs.trim() 
-						? `<li${liAttrs} class="notion-numbered-list-item">`
-						: `<li class="notion-numbered-list-item">`;
+		function rollDice(chip) {
+			var notation = chip.dataset.dice;
+			var label = chip.dataset.diceLabel || null;
+			
+			if (window.parent && window.parent !== window) {
+				try {
+					window.parent.postMessage({ type: 'rollDice', notation: notation, label: label }, '*');
+					console.log('🎲 Tirada enviada a GM Vault:', notation);
+					return;
+				} catch (error) {
+					console.error('❌ Error al enviar la tirada:', error);
 				}
-				return liMatch;
-			});
-			return open + processedContent + close;
-		});
-		
-		// Normalizar código (bloques primero)
-		processed = addClass('pre', 'notion-code');
-		
-		// Código inline (solo si no está dentro de un pre)
-		processed = processed.replace(/<code(?![^>]*class="[^"]*notion-text-code)(?![^>]*<pre)([^>]*)>/gi, (match, attrs) => {
-			return attrs.trim() 
-				? `<code${attrs} class="notion-text-code">`
-				: `<code class="notion-text-code">`;
-		});
-		
-		// Normalizar enlaces (pero no añadir target aquí, se hace después)
-		processed = addClass('a', 'notion-text-link');
-		
-		// Normalizar texto en negrita (strong y b)
-		processed = processed.replace(/<(strong)(?![^>]*class="[^"]*notion-text-bold)([^>]*)>/gi, (match, tag, attrs) => {
-			return attrs.trim() 
-				? `<${tag}${attrs} class="notion-text-bold">`
-				: `<${tag} class="notion-text-bold">`;
-		});
-		processed = processed.replace(/<(b)(?![^>]*class="[^"]*notion-text-bold)([^>]*)>/gi, (match, tag, attrs) => {
-			return attrs.trim() 
-				? `<${tag}${attrs} class="notion-text-bold">`
-				: `<${tag} class="notion-text-bold">`;
-		});
-		
-		// Normalizar texto en cursiva (em e i)
-		processed = processed.replace(/<(em)(?![^>]*class="[^"]*notion-text-italic)([^>]*)>/gi, (match, tag, attrs) => {
-			return attrs.trim() 
-				? `<${tag}${attrs} class="notion-text-italic">`
-				: `<${tag} class="notion-text-italic">`;
-		});
-		processed = processed.replace(/<(i)(?![^>]*class="[^"]*notion-text-italic)([^>]*)>/gi, (match, tag, attrs) => {
-			return attrs.trim() 
-				? `<${tag}${attrs} class="notion-text-italic">`
-				: `<${tag} class="notion-text-italic">`;
-		});
-		
-		// Normalizar texto subrayado
-		processed = addClass('u', 'notion-text-underline');
-		
-		// Normalizar texto tachado (s y del)
-		processed = processed.replace(/<(s)(?![^>]*class="[^"]*notion-text-strikethrough)([^>]*)>/gi, (match, tag, attrs) => {
-			return attrs.trim() 
-				? `<${tag}${attrs} class="notion-text-strikethrough">`
-				: `<${tag} class="notion-text-strikethrough">`;
-		});
-		processed = processed.replace(/<(del)(?![^>]*class="[^"]*notion-text-strikethrough)([^>]*)>/gi, (match, tag, attrs) => {
-			return attrs.trim() 
-				? `<${tag}${attrs} class="notion-text-strikethrough">`
-				: `<${tag} class="notion-text-strikethrough">`;
-		});
-		
-		// Normalizar blockquotes
-		processed = addClass('blockquote', 'notion-quote');
-		
-		// Normalizar tablas
-		processed = addClass('table', 'notion-table');
-		
-		// Normalizar separadores
-		processed = addClass('hr', 'notion-divider');
-		
-		return processed;
-	}
-
-	/**
-	 * Configura el renderizador para manejar wiki links de Obsidian [[link]].
-	 * Nota: Los wiki links se procesan después del renderizado en el método render().
-	 * 
-	 * @private
-	 */
-	_configureWikiLinks() {
-		// Los wiki links se procesan después del renderizado en el método render()
-		// para evitar conflictos con el parsing de markdown-it
-	}
-
-	/**
-	 * Convierte wiki links [[nombre]] a enlaces markdown antes del renderizado.
-	 * Evita procesar wiki links dentro de bloques de código (tanto bloques como inline).
-	 * 
-	 * @private
-	 * @param {string} markdown - Markdown con wiki links sin procesar
-	 * @param {string|null} baseUrl - URL base para los enlaces (opcional)
-	 * @returns {string} Markdown con wiki links convertidos a enlaces markdown
-	 */
-	_convertWikiLinksInMarkdown(markdown, baseUrl = null) {
-		// Dividir el markdown en partes: bloques de código y texto normal
-		const parts = [];
-		let lastIndex = 0;
-		
-		// Buscar bloques de código (```...```) y código inline (`...`)
-		// Usar una regex que capture ambos tipos
-		const codeRegex = /```[\s\S]*?```|`[^`\n]+`/g;
-		let match;
-		
-		while ((match = codeRegex.exec(markdown)) !== null) {
-			// Procesar texto antes del código
-			if (match.index > lastIndex) {
-				const beforeCode = markdown.substring(lastIndex, match.index);
-				parts.push({ text: beforeCode, isCode: false });
 			}
-			// Guardar el código sin procesar
-			parts.push({ text: match[0], isCode: true });
-			lastIndex = match.index + match[0].length;
+			
+			// Fallback: tirar aquí y mostrar el resultado junto al chip
+			var result = rollDiceLocally(notation);
+			var resultEl = chip.nextElementSibling;
+			if (!resultEl || !resultEl.classList.contains('notion-dice-result')) {
+				resultEl = document.createElement('span');
+				resultEl.className = 'notion-dice-result';
+				chip.insertAdjacentElement('afterend', resultEl);
+			}
+			resultEl.textContent = '= ' + result.total;
+			resultEl.title = result.detail;
 		}
 		
-		// Procesar el resto del texto
-		if (lastIndex < markdown.length) {
-			parts.push({ text: markdown.substring(lastIndex), isCode: false });
+		function setupDice() {
+			document.querySelectorAll('.notion-dice').forEach(function(chip) {
+				if (chip.dataset.listenerAdded) return;
+				chip.dataset.listenerAdded = 'true';
+				
+				chip.addEventListener('click', function(e) {
+					e.preventDefault();
+					e.stopPropagation();
+					rollDice(chip);
+				});
+				chip.addEventListener('keydown', function(e) {
+					if (e.key === 'Enter' || e.key === ' ') {
+						e.preventDefault();
+						rollDice(chip);
+					}
+				});
+			});
 		}
+		setupDice();
 		
-		// Si no hay código, procesar todo el texto
-		if (parts.length === 0) {
-			parts.push({ text: markdown, isCode: false });
-		}
+		// Tablas aleatorias: fila al azar según el tamaño de su rango (1-2 pesa el doble que 3)
+		var postTableRolls = ${this.postTableRolls ? 'true' : 'false'};
 		
-		// Procesar solo las partes que no son código
-		const processedParts = parts.map(part => {
-			if (part.isCode) {
-				return part.text;
+		function rollTable(block) {
+			var rows = Array.prototype.slice.call(block.querySelectorAll('tr[data-roll-min]'));
+			if (rows.length === 0) return;
+			
+			var ranges = rows.map(function(row) {
+				var min = parseInt(row.dataset.rollMin, 10);
+				var max = parseInt(row.dataset.rollMax, 10);
+				return { row: row, min: min, size: max - min + 1 };
+			});
+			var total = ranges.reduce(function(sum, range) { return sum + range.size; }, 0);
+			var pick = Math.floor(Math.random() * total);
+			var selected = ranges[ranges.length - 1];
+			var roll = selected.min;
+			for (var i = 0; i < ranges.length; i++) {
+				if (pick < ranges[i].size) {
+					selected = ranges[i];
+					roll = ranges[i].min + pick;
+					break;
+				}
+				pick -= ranges[i].size;
 			}
 			
-			// Buscar wiki links: [[nombre]] o [[nombre|display]]
-			// Usar una regex más robusta que capture todo entre los corchetes
-			const wikiLinkRegex = /\[\[([^\]]+?)\]\]/g;
+			rows.forEach(function(row) {
+				row.classList.remove('notion-roll-table-row--selected');
+			});
+			selected.row.classList.add('notion-roll-table-row--selected');
+			selected.row.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
 			
-			return part.text.replace(wikiLinkRegex, (match, linkContent) => {
-				// Separar path y display name
-				const parts = linkContent.split('|');
-				const linkPath = parts[0].trim();
-				const displayName = (parts[1] || parts[0]).trim();
-				
-				// Si tenemos pageMap, convertir a mention de Notion directamente en HTML
-				if (this.pageMap) {
-					const pageInfo = this.pageMap.get(linkPath.toLowerCase());
-					if (pageInfo) {
-						// Página encontrada: crear mention clickeable
-						const urlBase = baseUrl || this.baseUrl;
-						const pageUrl = urlBase 
-							? `${urlBase}/pages/${pageInfo.slug}`
-							: `/pages/${pageInfo.slug}`;
-						return `<span class="notion-mention notion-mention--link" data-mention-page-id="${pageInfo.id}" data-mention-page-name="${this._escapeHtml(pageInfo.name)}" data-mention-page-url="${pageUrl}" role="button" tabindex="0" aria-label="Open ${this._escapeHtml(pageInfo.name)}">${this._escapeHtml(displayName)}</span>`;
-					} else {
-						// Página no encontrada: mention sin link
-						return `<span class="notion-mention notion-mention--plain" data-mention-page-name="${this._escapeHtml(linkPath)}">${this._escapeHtml(displayName)}</span>`;
-					}
+			var cells = Array.prototype.slice.call(selected.row.children, 1);
+			var result = cells.map(function(cell) { return cell.textContent.trim(); }).join(' — ');
+			var resultEl = block.querySelector('.notion-roll-table-result');
+			if (resultEl) {
+				resultEl.textContent = roll + ': ' + result;
+			}
+			
+			if (postTableRolls && window.parent && window.parent !== window) {
+				try {
+					window.parent.postMessage({
+						type: 'rollTableResult',
+						label: block.dataset.rollLabel || '',
+						roll: roll,
+						result: result
+					}, '*');
+					console.log('🎲 Resultado de tabla enviado a GM Vault:', roll, result);
+				} catch (error) {
+					console.error('❌ Error al enviar el resultado de la tabla:', error);
 				}
+			}
+		}
+		
+		function setupRollTables() {
+			document.querySelectorAll('.notion-roll-table').forEach(function(block) {
+				var button = block.querySelector('.notion-roll-table-button');
+				if (!button || button.dataset.listenerAdded) return;
+				button.dataset.listenerAdded = 'true';
 				
-				// Si no hay pageMap, convertir a enlace markdown estándar (fallback)
-				const slug = this._slugify(linkPath);
-				const urlBase = baseUrl || this.baseUrl;
-				const href = urlBase 
-					? `${urlBase}/pages/${slug}`
-					: `/pages/${slug}`;
-				
-				// Convertir a enlace markdown estándar
-				return `[${displayName}](${href})`;
+				button.addEventListener('click', function(e) {
+					e.preventDefault();
+					rollTable(block);
+				});
+				button.addEventListener('keydown', function(e) {
+					if (e.key === 'Enter' || e.key === ' ') {
+						e.preventDefault();
+						rollTable(block);
+					}
+				});
 			});
-		});
-		
-		return processedParts.join('');
-	}
-
-	/**
-	 * Convierte wiki links [[nombre]] a mentions de Notion después del renderizado.
-	 * Usa el pageMap para crear mentions con IDs correctos.
-	 * 
-	 * @private
-	 * @param {string} html - HTML renderizado que puede contener wiki links sin procesar
-	 * @param {string|null} baseUrl - URL base para los enlaces (opcional)
-	 * @returns {string} HTML con wiki links convertidos a mentions
-	 */
-	_convertWikiLinksToMentions(html, baseUrl = null) {
-		if (!this.pageMap) {
-			return html;
 		}
+		setupRollTables();
 		
-		// Dividir el HTML en partes: dentro de enlaces/spans y fuera
-		const parts = [];
-		let lastIndex = 0;
-		
-		// Buscar enlaces HTML y spans existentes para no procesar wiki links dentro de ellos
-		const existingElementsRegex = /<(a|span)\s+[^>]*>[\s\S]*?<\/(a|span)>/gi;
-		let match;
-		
-		while ((match = existingElementsRegex.exec(html)) !== null) {
-			// Procesar texto antes del elemento
-			if (match.index > lastIndex) {
-				const beforeElement = html.substring(lastIndex, match.index);
-				parts.push({ text: beforeElement, isElement: false });
+		// Audio y vídeo: "Play for table" pide a GM Vault que lo reproduzca para todos
+		function playMediaForTable(block) {
+			var player = block.querySelector('audio, video');
+			if (!player || !window.parent || window.parent === window) return;
+			try {
+				window.parent.postMessage({
+					type: 'playMedia',
+					mediaUrl: player.currentSrc || player.src,
+					mediaType: block.dataset.mediaType || 'audio',
+					name: block.dataset.mediaName || '',
+					currentTime: player.currentTime || 0
+				}, '*');
+				console.log('📢 Reproducción para la mesa enviada:', block.dataset.mediaName);
+			} catch (error) {
+				console.error('❌ Error al enviar la reproducción:', error);
 			}
-			// Guardar el elemento sin procesar
-			parts.push({ text: match[0], isElement: true });
-			lastIndex = match.index + match[0].length;
 		}
 		
-		// Procesar el resto del texto
-		if (lastIndex < html.length) {
-			parts.push({ text: html.substring(lastIndex), isElement: false });
+		function setupMedia() {
+			document.querySelectorAll('.notion-media').forEach(function(block) {
+				var button = block.querySelector('.notion-media-play');
+				if (!button || button.dataset.listenerAdded) return;
+				button.dataset.listenerAdded = 'true';
+				
+				// Fuera de GM Vault no hay mesa a la que enviarlo
+				if (!window.parent || window.parent === window) {
+					button.remove();
+					return;
+				}
+				
+				button.addEventListener('click', function(e) {
+					e.preventDefault();
+					playMediaForTable(block);
+				});
+				button.addEventListener('keydown', function(e) {
+					if (e.key === 'Enter' || e.key === ' ') {
+						e.preventDefault();
+						playMediaForTable(block);
+					}
+				});
+			});
 		}
+		setupMedia();
 		
-		// Si no hay elementos, procesar todo el texto
-		if (parts.length === 0) {
-			parts.push({ text: html, isElement: false });
+		// PDF: el visor se crea aquí, solo para archivos servidos por este servidor
+		function setupPdfs() {
+			document.querySelectorAll('.notion-pdf[data-pdf-url]').forEach(function(block) {
+				if (block.querySelector('.notion-pdf-frame')) return;
+				
+				var url;
+				try {
+					url = new URL(block.dataset.pdfUrl, window.location.href);
+				} catch (e) {
+					return;
+				}
+				if (url.origin !== window.location.origin || url.pathname.indexOf('/files/') === -1) return;
+				
+				var frame = document.createElement('iframe');
+				frame.className = 'notion-pdf-frame';
+				frame.title = block.dataset.pdfName || 'PDF';
+				frame.loading = 'lazy';
+				frame.src = url.href.split('#')[0] + (block.dataset.pdfPage ? '#page=' + block.dataset.pdfPage : '');
+				block.appendChild(frame);
+			});
 		}
+		setupPdfs();
 		
-		// Procesar solo las partes que no son elementos existentes
-		const processedParts = parts.map(part => {
-			if (part.isElement) {
-				return part.text;
-			}
+		// Recarga en vivo: escuchar los cambios del vault y actualizar el contenido sin recargar la página
+		(function() {
+			if (!window.EventSource) return;
 			
-			// Buscar wiki links: [[nombre]] o [[nombre|display]]
-			const wikiLinkRegex = /\[\[([^\]]+?)\]\]/g;
+			var pathname = window.location.pathname;
+			var pagesIndex = pathname.lastIndexOf('/pages/');
+			if (pagesIndex === -1) return;
 			
-			return part.text.replace(wikiLinkRegex, (match, linkContent) => {
-				// Separar path y display name
-				const parts = linkContent.split('|');
-				const linkPath = parts[0].trim();
-				const displayName = (parts[1] || parts[0]).trim();
-				
-				// Buscar la página en el mapeo
-				const pageInfo = this.pageMap.get(linkPath.toLowerCase());
-				
-				if (pageInfo) {
-					// Página encontrada: crear mention clickeable
-					const urlBase = baseUrl || this.baseUrl;
-					const pageUrl = urlBase 
-						? `${urlBase}/pages/${pageInfo.slug}`
-						: `/pages/${pageInfo.slug}`;
-					return `<span class="notion-mention notion-mention--link" data-mention-page-id="${pageInfo.id}" data-mention-page-name="${this._escapeHtml(pageInfo.name)}" data-mention-page-url="${pageUrl}" role="button" tabindex="0" aria-label="Open ${this._escapeHtml(pageInfo.name)}">${this._escapeHtml(displayName)}</span>`;
-				} else {
-					// Página no encontrada: mention sin link
-					return `<span class="notion-mention notion-mention--plain" data-mention-page-name="${this._escapeHtml(linkPath)}">${this._escapeHtml(displayName)}</span>`;
+			var basePath = pathname.slice(0, pagesIndex);
+			var pageSlug = decodeURIComponent(pathname.slice(pagesIndex + '/pages/'.length).split('/')[0]);
+			var token = new URLSearchParams(window.location.search).get('token');
+			var eventsUrl = basePath + '/events' + (token ? '?token=' + encodeURIComponent(token) : '');
+			var reloadTimer = null;
+			
+			function reloadContent() {
+				fetch(window.location.href, { cache: 'no-store' })
+					.then(function(response) {
+						if (!response.ok) throw new Error('HTTP ' + response.status);
+						return response.text();
+					})
+					.then(function(html) {
+						var doc = new DOMParser().parseFromString(html, 'text/html');
+						var newContent = doc.querySelector('.notion-content');
+						var content = document.querySelector('.notion-content');
+						if (!newContent || !content) return;
+						
+						// El body es el contenedor con scroll (overflow-y: auto); la ventana se guarda por si acaso
+						var bodyScrollTop = document.body.scrollTop;
+						var windowScrollY = window.scrollY;
+						content.innerHTML = newContent.innerHTML;
+						setupMentions();
+						setupDice();
+						setupRollTables();
+						setupMedia();
+						setupPdfs();
+						if (lastRoleMessage) {
+							applyUserRole(lastRoleMessage);
+						} else if (isInModal) {
+							disableMentionsInModal();
+						}
+						document.body.scrollTop = bodyScrollTop;
+						window.scrollTo(0, windowScrollY);
+						console.log('🔄 Contenido actualizado');
+					})
+					.catch(function(error) {
+						console.error('❌ Error recargando contenido:', error);
+					});
+			}
+			
+			var events = new EventSource(eventsUrl);
+			events.addEventListener('change', function(event) {
+				var change;
+				try {
+					change = JSON.parse(event.data);
+				} catch (e) {
+					return;
 				}
+				if (change.slug !== pageSlug && change.oldSlug !== pageSlug) return;
+				
+				// Obsidian guarda varias veces seguidas mientras se escribe
+				clearTimeout(reloadTimer);
+				reloadTimer = setTimeout(reloadContent, 300);
 			});
-		});
-		
-		return processedParts.join('');
+		})();
+	</script>
+</body>
+</html>`;
 	}
 
 	/**
-	 * Convierte wiki links [[nombre]] que quedaron en el HTML después del renderizado.
-	 * Esto captura los casos donde markdown-it escapó los corchetes.
-	 * Evita procesar wiki links que ya están dentro de enlaces HTML.
-	 * 
+	 * Renderiza una imagen de la galería. Las redimensionables llevan miniaturas en srcset
+	 * y la URL completa en data-full-src.
+	 *
 	 * @private
-	 * @param {string} html - HTML renderizado que puede contener wiki links escapados
-	 * @param {string|null} baseUrl - URL base para los enlaces (opcional)
-	 * @returns {string} HTML con wiki links convertidos a enlaces
+	 * @param {{name: string, path: string, resizable?: boolean}} image - Imagen
+	 * @param {string} normalizedBase - URL base sin barra final
+	 * @returns {string} HTML de la columna
 	 */
-	_convertWikiLinksInHTML(html, baseUrl = null) {
-		// Dividir el HTML en partes: dentro de enlaces y fuera de enlaces
-		const parts = [];
-		let lastIndex = 0;
-		
-		// Buscar enlaces HTML existentes para no procesar wiki links dentro de ellos
-		const linkRegex = /<a\s+[^>]*>[\s\S]*?<\/a>/gi;
-		let match;
-		
-		while ((match = linkRegex.exec(html)) !== null) {
-			// Procesar texto antes del enlace
-			if (match.index > lastIndex) {
-				const beforeLink = html.substring(lastIndex, match.index);
-				parts.push({ text: beforeLink, isLink: false });
-			}
-			// Guardar el enlace sin procesar
-			parts.push({ text: match[0], isLink: true });
-			lastIndex = match.index + match[0].length;
-		}
-		
-		// Procesar el resto del texto
-		if (lastIndex < html.length) {
-			parts.push({ text: html.substring(lastIndex), isLink: false });
-		}
-		
-		// Si no hay enlaces, procesar todo el texto
-		if (parts.length === 0) {
-			parts.push({ text: html, isLink: false });
-		}
-		
-		// Procesar solo las partes que no son enlaces
-		const processedParts = parts.map(part => {
-			if (part.isLink) {
-				return part.text;
-			}
-			
-			// Buscar wiki links que puedan haber sido escapados
-			// Patrón 1: [[nombre]] normal (por si no se procesó antes)
-			// Patrón 2: &lt;&lt;nombre&gt;&gt; (si fueron escapados como HTML entities)
-			const wikiLinkPatterns = [
-				/\[\[([^\]]+?)\]\]/g,  // [[nombre]] normal
-				/&lt;&lt;([^&]+?)&gt;&gt;/g  // &lt;&lt;nombre&gt;&gt; escapado
-			];
-			
-			let processedText = part.text;
-			for (const pattern of wikiLinkPatterns) {
-				processedText = processedText.replace(pattern, (match, linkContent) => {
-					// Separar path y display name
-					const parts = linkContent.split('|');
-					const linkPath = parts[0].trim();
-					const displayName = (parts[1] || parts[0]).trim();
-					
-					// Si tenemos pageMap, convertir a mention de Notion
-					if (this.pageMap) {
-						const pageInfo = this.pageMap.get(linkPath.toLowerCase());
-						if (pageInfo) {
-							// Página encontrada: crear mention clickeable
-							const urlBase = baseUrl || this.baseUrl;
-							const pageUrl = urlBase 
-								? `${urlBase}/pages/${pageInfo.slug}`
-								: `/pages/${pageInfo.slug}`;
-							return `<span class="notion-mention notion-mention--link" data-mention-page-id="${pageInfo.id}" data-mention-page-name="${this._escapeHtml(pageInfo.name)}" data-mention-page-url="${pageUrl}" role="button" tabindex="0" aria-label="Open ${this._escapeHtml(pageInfo.name)}">${this._escapeHtml(displayName)}</span>`;
-						} else {
-							// Página no encontrada: mention sin link
-							return `<span class="notion-mention notion-mention--plain" data-mention-page-name="${this._escapeHtml(linkPath)}">${this._escapeHtml(displayName)}</span>`;
-						}
-					}
-					
-					// Si no hay pageMap, convertir a enlace HTML (fallback)
-					const slug = this._slugify(linkPath);
-					const urlBase = baseUrl || this.baseUrl;
-					const href = urlBase 
-						? `${urlBase}/pages/${slug}`
-						: `/pages/${slug}`;
-					
-					// Convertir a enlace HTML
-					return `<a href="${href}" class="notion-text-link">${this._escapeHtml(displayName)}</a>`;
-				});
-			}
-			
-			return processedText;
-		});
-		
-		return processedParts.join('');
+	_renderGalleryImage(image, normalizedBase) {
+		const imgUrl = image.path.startsWith('http') ? image.path : `${normalizedBase}${image.path}`;
+		let sourceAttrs = `src="${escapeHtml(imgUrl)}"`;
+		if (image.resizable) {
+			const separator = imgUrl.includes('?') ? '&' : '?';
+			const srcset = GALLERY_THUMBNAIL_WIDTHS.map(width => `${imgUrl}${separator}w=${width} ${width}w`).join(', ');
+			sourceAttrs = `src="${escapeHtml(`${imgUrl}${separator}w=${GALLERY_THUMBNAIL_WIDTHS[0]}`)}" srcset="${escapeHtml(srcset)}" sizes="(max-width: 600px) 100vw, 33vw" data-full-src="${escapeHtml(imgUrl)}" loading="lazy"`;
+		}
+		return `
+					<div class="notion-image-container" style="flex: 1; position: relative;">
+						<img ${sourceAttrs} alt="${escapeHtml(image.name)}" class="notion-image-clickable" style="width: 100%; height: auto; border-radius: 4px; object-fit: contain; background: #f5f5f5; cursor: pointer;" />
+					</div>`;
 	}
 
 	/**
-	 * Convierte un texto a slug (similar a slugify.js pero inline).
-	 * 
+	 * Construye la URL de un archivo servido (/images/*, /media/*, /files/*) a partir de su ruta en el vault.
+	 *
 	 * @private
-	 * @param {string} text - Texto a convertir
-	 * @returns {string} Slug generado
+	 * @param {string|null} baseUrl - URL base
+	 * @param {string} routePrefix - Prefijo de la ruta con barras (ej: "/media/")
+	 * @param {string|null} path - Ruta en el vault, o null si no se puede servir
+	 * @returns {string|null} URL o null
 	 */
-	_slugify(text) {
-		return text
-			.toLowerCase()
-			.trim()
-			.replace(/[^\w\s-]/g, '')
-			.replace(/[\s_-]+/g, '-')
-			.replace(/^-+|-+$/g, '');
+	_buildFileUrl(baseUrl, routePrefix, path) {
+		if (!path) {
+			return null;
+		}
+		const encodedPath = path.split('/').map(segment => encodeURIComponent(segment)).join('/');
+		return `${baseUrl || ''}${routePrefix}${encodedPath}`;
 	}
 
 	/**
-	 * Convierte URLs relativas a absolutas en el HTML.
-	 * 
+	 * Busca la página destino de un wiki link.
+	 * Usa el resolver (rutas, alias, nota más cercana) y, si no hay, el mapeo por nombre.
+	 *
 	 * @private
-	 * @param {string} html - HTML con URLs relativas
-	 * @param {string} baseUrl - URL base (sin barra final)
-	 * @returns {string} HTML con URLs absolutas
+	 * @param {string} linkPath - Destino del link sin ancla ni texto (ej: "Capítulo 2/Taberna")
+	 * @param {string} sourcePath - Ruta de la nota que contiene el link
+	 * @returns {{id: string, name: string, slug: string}|null} Información de la página o null
 	 */
-	_convertRelativeUrlsToAbsolute(html, baseUrl) {
-		// Normalizar la URL base (eliminar barra final si existe)
-		const normalizedBase = baseUrl.replace(/\/$/, '');
-		
-		// Convertir enlaces <a href="/..."> a absolutos
-		html = html.replace(/<a\s+([^>]*\s+)?href="(\/[^"]+)"/gi, (match, attrs, href) => {
-			// Solo convertir si es una URL relativa que empieza con /
-			if (href.startsWith('/') && !href.startsWith('//')) {
-				return `<a ${attrs || ''}href="${normalizedBase}${href}"`.replace(/\s+/g, ' ').trim();
-			}
-			return match;
-		});
-		
-		// Convertir imágenes <img src="/..."> a absolutos
-		html = html.replace(/<img\s+([^>]*\s+)?src="(\/[^"]+)"/gi, (match, attrs, src) => {
-			// Solo convertir si es una URL relativa que empieza con /
-			if (src.startsWith('/') && !src.startsWith('//')) {
-				return `<img ${attrs || ''}src="${normalizedBase}${src}"`.replace(/\s+/g, ' ').trim();
-			}
-			return match;
-		});
-		
-		return html;
+	_findLinkedPage(linkPath, sourcePath) {
+		if (this.linkResolver) {
+			return this.linkResolver(linkPath, sourcePath);
+		}
+		return this.pageMap?.get(linkPath.toLowerCase()) || null;
 	}
 
 	/**
 	 * Renderiza una galería de imágenes en tres columnas.
+	 * Las imágenes redimensionables se cargan como miniaturas (srcset de /images/*?w=);
+	 * la imagen completa solo se pide al abrirla en el modal de GM Vault o al compartirla.
 	 * 
-	 * @param {Array<{name: string, path: string}>} images - Array de objetos con nombre y ruta de las imágenes
+	 * @param {Array<{name: string, path: string, resizable?: boolean}>} images - Array de objetos con nombre y ruta de las imágenes
 	 * @param {string} title - Título de la galería
 	 * @param {string|null} baseUrl - URL base para las imágenes
 	 * @returns {string} HTML de la galería
@@ -1422,38 +1707,10 @@ export class MarkdownRenderer {
 		for (let i = 0; i < images.length; i += 3) {
 			imagesHtml += '<div style="display: flex; gap: 16px; margin-bottom: 16px;">';
 			
-			// Columna 1
-			if (i < images.length) {
-				const img1 = images[i];
-				const imgUrl = img1.path.startsWith('http') ? img1.path : `${normalizedBase}${img1.path}`;
-				imagesHtml += `
-					<div class="notion-image-container" style="flex: 1; position: relative;">
-						<img src="${this._escapeHtml(imgUrl)}" alt="${this._escapeHtml(img1.name)}" class="notion-image-clickable" style="width: 100%; height: auto; border-radius: 4px; object-fit: contain; background: #f5f5f5; cursor: pointer;" />
-					</div>`;
-			}
-			
-			// Columna 2
-			if (i + 1 < images.length) {
-				const img2 = images[i + 1];
-				const imgUrl = img2.path.startsWith('http') ? img2.path : `${normalizedBase}${img2.path}`;
-				imagesHtml += `
-					<div class="notion-image-container" style="flex: 1; position: relative;">
-						<img src="${this._escapeHtml(imgUrl)}" alt="${this._escapeHtml(img2.name)}" class="notion-image-clickable" style="width: 100%; height: auto; border-radius: 4px; object-fit: contain; background: #f5f5f5; cursor: pointer;" />
-					</div>`;
-			} else {
-				imagesHtml += '<div style="flex: 1;"></div>';
-			}
-			
-			// Columna 3
-			if (i + 2 < images.length) {
-				const img3 = images[i + 2];
-				const imgUrl = img3.path.startsWith('http') ? img3.path : `${normalizedBase}${img3.path}`;
-				imagesHtml += `
-					<div class="notion-image-container" style="flex: 1; position: relative;">
-						<img src="${this._escapeHtml(imgUrl)}" alt="${this._escapeHtml(img3.name)}" class="notion-image-clickable" style="width: 100%; height: auto; border-radius: 4px; object-fit: contain; background: #f5f5f5; cursor: pointer;" />
-					</div>`;
-			} else {
-				imagesHtml += '<div style="flex: 1;"></div>';
+			for (let j = i; j < i + 3; j++) {
+				imagesHtml += j < images.length
+					? this._renderGalleryImage(images[j], normalizedBase)
+					: '<div style="flex: 1;"></div>';
 			}
 			
 			imagesHtml += '</div>';
@@ -1464,7 +1721,7 @@ export class MarkdownRenderer {
 <head>
 	<meta charset="UTF-8">
 	<meta name="viewport" content="width=device-width, initial-scale=1.0">
-	<title>${this._escapeHtml(title)}</title>
+	<title>${escapeHtml(title)}</title>
 	<style>
 		body {
 			margin: 0;
@@ -1515,7 +1772,7 @@ export class MarkdownRenderer {
 </head>
 <body>
 	<div id="notion-content" class="notion-content">
-		<h1>${this._escapeHtml(title)}</h1>
+		<h1>${escapeHtml(title)}</h1>
 		${imagesHtml}
 	</div>
 	<script>
@@ -1534,7 +1791,7 @@ export class MarkdownRenderer {
 					img.dataset.clickListenerAdded = 'true';
 					img.addEventListener('click', function(e) {
 						e.preventDefault();
-						const imageUrl = img.src;
+						const imageUrl = img.dataset.fullSrc || img.src;
 						const caption = img.alt || '';
 						console.log('🔍 Abriendo imagen en modal:', imageUrl);
 						if (window.parent && window.parent !== window) {
@@ -1556,7 +1813,7 @@ export class MarkdownRenderer {
 					shareBtn.addEventListener('click', function(e) {
 						e.preventDefault();
 						e.stopPropagation();
-						const imageUrl = img.src;
+						const imageUrl = img.dataset.fullSrc || img.src;
 						const caption = img.alt || '';
 						console.log('🖼️ Compartiendo imagen:', imageUrl);
 						if (window.parent && window.parent !== window) {
@@ -1591,166 +1848,5 @@ export class MarkdownRenderer {
 </body>
 </html>`;
 	}
-
-	/**
-	 * Convierte tags de Obsidian (#tag) a tags de Notion.
-	 * 
-	 * @private
-	 * @param {string} html - HTML con tags de Obsidian
-	 * @returns {string} HTML con tags de Notion
-	 */
-	_convertTagsToNotionTags(html) {
-		// Colores disponibles de Notion (sin el prefijo "notion-tag--")
-		const colors = ['default', 'gray', 'brown', 'orange', 'yellow', 'green', 'blue', 'purple', 'pink', 'red'];
-		
-		/**
-		 * Obtiene un color consistente para un tag basado en su nombre
-		 * @param {string} tagName - Nombre del tag
-		 * @returns {string} Color de Notion
-		 */
-		const getTagColor = (tagName) => {
-			// Hash simple del nombre para consistencia
-			let hash = 0;
-			for (let i = 0; i < tagName.length; i++) {
-				hash = ((hash << 5) - hash) + tagName.charCodeAt(i);
-				hash = hash & hash; // Convertir a 32bit integer
-			}
-			return colors[Math.abs(hash) % colors.length];
-		};
-		
-		// Patrón 1: tags: #tag1, #tag2 o tags: #tag1 #tag2 (al final de párrafos)
-		// Buscar líneas que empiecen con "tags:" seguido de tags
-		html = html.replace(
-			/<p[^>]*>tags:\s*([^<]+)<\/p>/gi,
-			(match, tagsText) => {
-				// Extraer todos los tags (#tag)
-				const tagMatches = tagsText.match(/#[\w-]+/g) || [];
-				if (tagMatches.length === 0) return match;
-				
-				// Convertir cada tag a tag de Notion
-				const notionTags = tagMatches.map(tag => {
-					const tagName = tag.substring(1); // Quitar el #
-					const color = getTagColor(tagName);
-					return `<span class="notion-tag notion-tag--${color}">${this._escapeHtml(tagName)}</span>`;
-				}).join(' ');
-				
-				return `<p class="notion-paragraph">${notionTags}</p>`;
-			}
-		);
-		
-		// Patrón 2: Tags individuales en línea (#tag)
-		// Procesar solo dentro de párrafos y listas, evitando code blocks
-		// Dividir el HTML en partes: dentro y fuera de code blocks
-		const parts = [];
-		let lastIndex = 0;
-		const codeBlockRegex = /<code[^>]*>[\s\S]*?<\/code>/gi;
-		let match;
-		
-		while ((match = codeBlockRegex.exec(html)) !== null) {
-			// Procesar texto antes del code block
-			if (match.index > lastIndex) {
-				const beforeCode = html.substring(lastIndex, match.index);
-				parts.push({ text: beforeCode, isCode: false });
-			}
-			// Guardar el code block sin procesar
-			parts.push({ text: match[0], isCode: true });
-			lastIndex = match.index + match[0].length;
-		}
-		
-		// Procesar el resto del texto
-		if (lastIndex < html.length) {
-			parts.push({ text: html.substring(lastIndex), isCode: false });
-		}
-		
-		// Procesar solo las partes que no son code blocks
-		const processedParts = parts.map(part => {
-			if (part.isCode) {
-				return part.text;
-			}
-			
-			// Reemplazar tags en esta parte
-			return part.text.replace(
-				/(?<![\w-])#([\w-]+)(?![\w-])/g,
-				(match, tagName) => {
-					const color = getTagColor(tagName);
-					return `<span class="notion-tag notion-tag--${color}">${this._escapeHtml(tagName)}</span>`;
-				}
-			);
-		});
-		
-		return processedParts.join('');
-	}
-
-	/**
-	 * Añade target="_blank" a enlaces externos (http/https).
-	 * No añade target a enlaces internos que apuntan a /pages/.
-	 * 
-	 * @private
-	 * @param {string} html - HTML con enlaces
-	 * @returns {string} HTML con target añadido a enlaces externos
-	 */
-	_addTargetToExternalLinks(html) {
-		return html.replace(/<a\s+([^>]*\s+)?href="([^"]+)"([^>]*)>/gi, (match, attrs1, href, attrs2) => {
-			// Si ya tiene target, no modificar
-			const allAttrs = (attrs1 || '') + (attrs2 || '');
-			if (allAttrs.includes('target=')) {
-				return match;
-			}
-			
-			// No añadir target a enlaces internos (que apuntan a /pages/)
-			if (href.includes('/pages/')) {
-				return match;
-			}
-			
-			// Solo añadir target a URLs externas (http/https)
-			if (href.startsWith('http://') || href.startsWith('https://')) {
-				// Asegurar que tenga la clase notion-text-link
-				let finalAttrs = allAttrs.trim();
-				if (!finalAttrs.includes('class="notion-text-link"')) {
-					finalAttrs = `class="notion-text-link" ${finalAttrs}`.trim();
-				}
-				return `<a href="${href}" ${finalAttrs} target="_blank" rel="noopener noreferrer">`;
-			}
-			
-			return match;
-		});
-	}
-
-	/**
-	 * Wraps content in Notion structure.
-	 * 
-	 * Note: We do NOT add an artificial H1 with the filename because:
-	 * - The page name is already in the JSON 'name' field
-	 * - The content should reflect the markdown file 1:1
-	 * - If the file has an H1, it will be rendered; if not, none is added
-	 * 
-	 * @private
-	 * @param {string} content - HTML content
-	 * @param {string} title - Page title (unused, kept for API compatibility)
-	 * @returns {string} HTML content as-is
-	 */
-	_wrapInNotionStructure(content, title) {
-		// Return content as-is, without adding artificial H1
-		// The page name is already provided in the JSON structure
-		return content.replace(/^\s*\n+/g, '');
-	}
-
-	/**
-	 * Escapa HTML para prevenir XSS.
-	 * 
-	 * @private
-	 * @param {string} text - Texto a escapar
-	 * @returns {string} Texto escapado
-	 */
-	_escapeHtml(text) {
-		const map = {
-			'&': '&amp;',
-			'<': '&lt;',
-			'>': '&gt;',
-			'"': '&quot;',
-			"'": '&#039;'
-		};
-		return text.replace(/[&<>"']/g, m => map[m]);
-	}
 }
 
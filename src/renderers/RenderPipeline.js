@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Pipeline de renderizado compartido por el servidor y el exportador.
+ *
+ * Markdown → transformaciones de Markdown → tokens de markdown-it (plugins de ./plugins/)
+ * → transformaciones de tokens → HTML → transformaciones de HTML.
+ * El contexto de renderizado es el env de markdown-it, así que los plugins lo leen al
+ * parsear y al renderizar. Cada destino tiene su lista de transformaciones:
+ * - RENDER_TARGETS.PAGE: contenido de las páginas en vivo (/pages/:slug)
+ * - RENDER_TARGETS.EMBEDDED: htmlContent de la exportación JSON
+ *
+ * Una funcionalidad (callouts, secretos, mentions...) se implementa una vez y
+ * se añade a los destinos que la necesiten.
+ */
+
+import MarkdownIt from 'markdown-it';
+import { calloutPlugin } from './plugins/callouts.js';
+import { wikiLinkPlugin } from './plugins/wikiLinks.js';
+import { tagPlugin } from './plugins/tags.js';
+import { notionClassesPlugin } from './plugins/notionClasses.js';
+import { headingsPlugin } from './plugins/headings.js';
+import { dicePlugin } from './plugins/dice.js';
+import { rollTablesPlugin } from './plugins/rollTables.js';
+import { statblocksPlugin } from './plugins/statblocks.js';
+import {
+	RENDER_TARGETS,
+	stripSecretsForPlayers,
+	stripFrontmatterBlock,
+	resolveMedia,
+	resolvePdfs,
+	resolveImages,
+	wrapLivePage,
+	wrapEmbeddedPage,
+	sanitizeUntrustedHtml
+} from './transforms.js';
+
+export { RENDER_TARGETS };
+
+/**
+ * @typedef {Object} RenderContext
+ * @property {string} target - Destino (RENDER_TARGETS)
+ * @property {string} [title] - Título de la página
+ * @property {string} [view='gm'] - 'gm' o 'player'
+ * @property {string|null} [baseUrl] - URL base de los enlaces (/pages, /images, /media, /files); null = relativos
+ * @property {string|null} [sourcePath] - Ruta de la nota (los links se resuelven desde ella)
+ * @property {function(string, string): ({id: string, name: string, slug: string}|null)} [findPage] - (linkPath, sourcePath) → página; sin él los wiki links son enlaces por slug
+ * @property {function(string, string): (string|null|Promise<string|null>)} [resolveImage] - (linkPath, sourcePath) → src de una imagen local, o null
+ * @property {string} [missingImageHint] - Texto del placeholder de imágenes no resueltas
+ * @property {function(string, string): (string|null|Promise<string|null>)} [resolveMedia] - (linkPath, sourcePath) → src de un audio o vídeo local, o null
+ * @property {string} [missingMediaHint] - Texto del placeholder de audio y vídeo no resueltos
+ * @property {function(string, string): (string|null|Promise<string|null>)} [resolvePdf] - (linkPath, sourcePath) → URL de un PDF local (o ruta del adjunto exportado), o null
+ * @property {string} [missingPdfHint] - Texto del placeholder de PDF no resueltos
+ * @property {Object|null} [properties] - Frontmatter de la nota (caché de metadatos de Obsidian)
+ * @property {string[]} [publicProperties] - Claves del frontmatter que se muestran en la cabecera
+ * @property {boolean} [tableOfContents=false] - Añadir un índice a las páginas largas (el frontmatter toc: true/false manda)
+ * @property {boolean} [trustedHtml=false] - No sanear el HTML (el HTML de las notas es de confianza)
+ * @property {MarkdownIt} [md] - Instancia de markdown-it (la añade el pipeline)
+ */
+
+/**
+ * Renders notes to HTML for a given output target.
+ *
+ * @class RenderPipeline
+ */
+export class RenderPipeline {
+	/**
+	 * Creates a RenderPipeline instance.
+	 */
+	constructor() {
+		/** @type {MarkdownIt} */
+		this.md = new MarkdownIt({
+			html: true,
+			linkify: true,
+			typographer: true
+		});
+		this.md
+			.use(calloutPlugin)
+			.use(wikiLinkPlugin)
+			.use(tagPlugin)
+			.use(dicePlugin)
+			.use(rollTablesPlugin)
+			.use(statblocksPlugin)
+			.use(notionClassesPlugin)
+			.use(headingsPlugin);
+
+		/**
+		 * Transformaciones por destino
+		 * @type {Object<string, {markdown: Function[], tokens: Function[], html: Function[]}>}
+		 */
+		this.targets = {
+			[RENDER_TARGETS.PAGE]: {
+				markdown: [stripSecretsForPlayers, stripFrontmatterBlock],
+				tokens: [resolveMedia, resolvePdfs, resolveImages],
+				html: [wrapLivePage, sanitizeUntrustedHtml]
+			},
+			[RENDER_TARGETS.EMBEDDED]: {
+				markdown: [stripSecretsForPlayers, stripFrontmatterBlock],
+				tokens: [resolveMedia, resolvePdfs, resolveImages],
+				html: [wrapEmbeddedPage, sanitizeUntrustedHtml]
+			}
+		};
+	}
+
+	/**
+	 * Renders Markdown through the transforms of the context's target.
+	 *
+	 * @param {string} markdown - Markdown (with embeds already expanded)
+	 * @param {RenderContext} context - Render context
+	 * @returns {Promise<string>} HTML content
+	 */
+	async render(markdown, context) {
+		const target = this.targets[context.target];
+		if (!target) {
+			throw new Error(`Unknown render target: ${context.target}`);
+		}
+
+		const renderContext = { view: 'gm', ...context, md: this.md };
+
+		for (const transform of target.markdown) {
+			markdown = await transform(markdown, renderContext);
+		}
+
+		let tokens = this.md.parse(markdown, renderContext);
+		for (const transform of target.tokens) {
+			tokens = await transform(tokens, renderContext);
+		}
+
+		let html = this.md.renderer.render(tokens, this.md.options, renderContext);
+
+		for (const transform of target.html) {
+			html = await transform(html, renderContext);
+		}
+
+		return html;
+	}
+}
@@ -0,0 +1,213 @@
+/**
+ * @fileoverview markdown-it plugin for Obsidian callouts.
+ *
+ * > [!warning] Title          → notion-callout with icon and colour
+ * > [!tip]- Collapsed title   → <details> (closed)
+ * > [!tip]+ Expanded title    → <details open>
+ *
+ * Built-in Obsidian types and their aliases are supported; GM types such as
+ * [!read-aloud] or [!dm-tip] map to GM Vault styles, and unknown types use the
+ * "note" style.
+ */
+
+import { escapeHtml } from '../../utils/html.js';
+
+/**
+ * GM Vault styles: icon and accent colour (RGB, used in inline styles so the
+ * colours survive in the exported htmlContent; "#" would be read as a tag).
+ */
+export const CALLOUT_STYLES = {
+	note: { icon: '📝', color: '90, 143, 214' },
+	abstract: { icon: '📋', color: '33, 160, 196' },
+	info: { icon: 'ℹ️', color: '90, 143, 214' },
+	todo: { icon: '☑️', color: '90, 143, 214' },
+	tip: { icon: '💡', color: '47, 179, 158' },
+	success: { icon: '✅', color: '76, 175, 80' },
+	question: { icon: '❓', color: '224, 160, 48' },
+	warning: { icon: '⚠️', color: '232, 145, 45' },
+	failure: { icon: '❌', color: '229, 83, 75' },
+	danger: { icon: '⚡', color: '229, 83, 75' },
+	bug: { icon: '🐞', color: '229, 83, 75' },
+	example: { icon: '📑', color: '150, 122, 204' },
+	quote: { icon: '💬', color: '155, 155, 155' },
+	'read-aloud': { icon: '📜', color: '201, 169, 110' },
+	secret: { icon: '🔒', color: '181, 73, 91' }
+};
+
+/**
+ * Callout types (Obsidian aliases and GM types) → style.
+ */
+export const CALLOUT_TYPES = {
+	summary: 'abstract',
+	tldr: 'abstract',
+	hint: 'tip',
+	important: 'tip',
+	check: 'success',
+	done: 'success',
+	help: 'question',
+	faq: 'question',
+	caution: 'warning',
+	attention: 'warning',
+	fail: 'failure',
+	missing: 'failure',
+	error: 'danger',
+	cite: 'quote',
+	// Tipos de GM
+	'boxed-text': 'read-aloud',
+	boxed: 'read-aloud',
+	readaloud: 'read-aloud',
+	narration: 'read-aloud',
+	'dm-tip': 'tip',
+	'gm-tip': 'tip',
+	'dm-note': 'note',
+	'gm-note': 'note',
+	gm: 'secret',
+	'gm-only': 'secret',
+	trap: 'danger',
+	loot: 'success',
+	treasure: 'success',
+	npc: 'example',
+	encounter: 'warning'
+};
+
+const CALLOUT_MARKER = /^\[!([\w-]+)\]([+-])?[ \t]*(.*)$/;
+
+/**
+ * Returns the style name of a callout type.
+ *
+ * @param {string} type - Callout type (lowercase)
+ * @returns {string} Style name (key of CALLOUT_STYLES)
+ */
+export function getCalloutStyle(type) {
+	if (CALLOUT_STYLES[type]) {
+		return type;
+	}
+	return CALLOUT_TYPES[type] || 'note';
+}
+
+/**
+ * Registers the callout rule and renderers.
+ *
+ * @param {import('markdown-it')} md - markdown-it instance
+ */
+export function calloutPlugin(md) {
+	// Después del parseo de bloques y antes del inline: los títulos se parsean como texto inline normal
+	md.core.ruler.after('block', 'obsidian_callouts', (state) => {
+		const tokens = state.tokens;
+
+		for (let i = 0; i < tokens.length; i++) {
+			if (tokens[i].type !== 'blockquote_open') {
+				continue;
+			}
+
+			const paragraph = tokens[i + 1];
+			const inline = tokens[i + 2];
+			if (paragraph?.type !== 'paragraph_open' || inline?.type !== 'inline') {
+				continue;
+			}
+
+			const [firstLine, ...rest] = inline.content.split('\n');
+			const marker = firstLine.match(CALLOUT_MARKER);
+			if (!marker) {
+				continue;
+			}
+
+			const closeIndex = findClosingBlockquote(tokens, i);
+			if (closeIndex === -1) {
+				continue;
+			}
+
+			const type = marker[1].toLowerCase();
+			const meta = {
+				type,
+				style: getCalloutStyle(type),
+				fold: marker[2] || null,
+				title: marker[3].trim() || defaultTitle(type)
+			};
+
+			const open = tokens[i];
+			open.type = 'callout_open';
+			open.meta = meta;
+
+			const close = tokens[closeIndex];
+			close.type = 'callout_close';
+			close.meta = meta;
+
+			const titleOpen = new state.Token('callout_title_open', '', 1);
+			titleOpen.meta = meta;
+			const title = new state.Token('inline', '', 0);
+			title.content = meta.title;
+			title.map = inline.map;
+			title.children = [];
+			const titleClose = new state.Token('callout_title_close', '', -1);
+			titleClose.meta = meta;
+
+			const body = rest.join('\n').trim();
+			if (body) {
+				// El resto del primer párrafo es el inicio del contenido
+				inline.content = body;
+				tokens.splice(i + 1, 0, titleOpen, title, titleClose);
+			} else {
+				tokens.splice(i + 1, 3, titleOpen, title, titleClose);
+			}
+		}
+	});
+
+	md.renderer.rules.callout_open = (tokens, idx) => {
+		const { type, style, fold } = tokens[idx].meta;
+		const { color } = CALLOUT_STYLES[style];
+		const attrs = `class="notion-callout notion-callout--${style}${fold ? ' notion-toggle' : ''}" data-callout="${escapeHtml(type)}" style="border-left-color: rgb(${color}); background: rgba(${color}, 0.12);"`;
+		if (fold) {
+			return `<details ${attrs}${fold === '+' ? ' open' : ''}>\n`;
+		}
+		return `<div ${attrs}>\n`;
+	};
+
+	md.renderer.rules.callout_title_open = (tokens, idx) => {
+		const { style, fold } = tokens[idx].meta;
+		const icon = `<span class="notion-callout-icon">${CALLOUT_STYLES[style].icon}</span>`;
+		if (fold) {
+			return `<summary class="notion-toggle-summary notion-callout-title">${icon}<span class="notion-callout-title-text">`;
+		}
+		return `${icon}<div class="notion-callout-content">\n<div class="notion-callout-title">`;
+	};
+
+	md.renderer.rules.callout_title_close = (tokens, idx) => {
+		if (tokens[idx].meta.fold) {
+			return '</span></summary>\n<div class="notion-callout-content notion-toggle-content">\n';
+		}
+		return '</div>\n';
+	};
+
+	md.renderer.rules.callout_close = (tokens, idx) => {
+		return tokens[idx].meta.fold ? '</div>\n</details>\n' : '</div>\n</div>\n';
+	};
+}
+
+/**
+ * Finds the blockquote_close that matches a blockquote_open.
+ *
+ * @param {Array} tokens - Block tokens
+ * @param {number} openIndex - Index of blockquote_open
+ * @returns {number} Index of the closing token or -1
+ */
+function findClosingBlockquote(tokens, openIndex) {
+	const level = tokens[openIndex].level;
+	for (let j = openIndex + 1; j < tokens.length; j++) {
+		if (tokens[j].type === 'blockquote_close' && tokens[j].level === level) {
+			return j;
+		}
+	}
+	return -1;
+}
+
+/**
+ * Title used when the callout has none (Obsidian shows the type).
+ *
+ * @param {string} type - Callout type
+ * @returns {string} Capitalized type
+ */
+function defaultTitle(type) {
+	const words = type.replace(/-/g, ' ');
+	return words.charAt(0).toUpperCase() + words.slice(1);
+}
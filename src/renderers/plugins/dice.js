@@ -0,0 +1,142 @@
+/**
+ * @fileoverview markdown-it plugin for dice notation.
+ *
+ * 2d6+3, 1d20, d8 in the text and `dice: 3d8` (Dice Roller plugin syntax) in
+ * inline code become dice chips. Clicking a chip in the live page sends a rollDice
+ * message to GM Vault, or rolls locally outside of it (see MarkdownRenderer).
+ *
+ * Dice in code, links and URLs are left as they are.
+ */
+
+import { escapeHtml } from '../../utils/html.js';
+
+/**
+ * A die (NdM) followed by more dice or modifiers: 2d6+3, 1d20, d8, 1d8 + 2d6 - 1.
+ * Counts and sides start at 1 (0d6, d0 and d00 are not dice).
+ */
+const DICE_TERM = '(?:[1-9]\\d{0,2})?[dD](?:[1-9]\\d{0,3}|%)';
+const DICE_PATTERN = new RegExp(`(^|[^\\w/#.-])(${DICE_TERM}(?:\\s*[+-]\\s*(?:${DICE_TERM}|\\d+)(?![\\w]))*)(?![\\w%])`, 'g');
+const DICE_CODE_PATTERN = new RegExp(`^dice:\\s*(${DICE_TERM}(?:\\s*[+-]\\s*(?:${DICE_TERM}|\\d+))*)\\s*$`, 'i');
+
+/**
+ * Registers the dice rule and renderer.
+ *
+ * @param {import('markdown-it')} md - markdown-it instance
+ */
+export function dicePlugin(md) {
+	md.core.ruler.push('dice_notation', (state) => {
+		for (const token of state.tokens) {
+			if (token.type !== 'inline' || !token.children) {
+				continue;
+			}
+
+			let linkLevel = 0;
+			const children = [];
+			for (const child of token.children) {
+				if (child.type === 'link_open') linkLevel++;
+				if (child.type === 'link_close') linkLevel--;
+
+				if (child.type === 'code_inline') {
+					const match = child.content.match(DICE_CODE_PATTERN);
+					if (match) {
+						children.push(createDiceToken(state, match[1]));
+						continue;
+					}
+				}
+
+				if (child.type !== 'text' || linkLevel > 0) {
+					children.push(child);
+					continue;
+				}
+				children.push(...splitDice(state, child));
+			}
+			token.children = children;
+		}
+	});
+
+	md.renderer.rules.dice_roll = (tokens, idx) => {
+		const { notation, label } = tokens[idx].meta;
+		return renderDiceChip(notation, label, tokens[idx].content);
+	};
+}
+
+/**
+ * Renders a clickable dice chip.
+ *
+ * @param {string} notation - Dice notation (e.g. "2d6+3")
+ * @param {string} [label] - What the roll is for (e.g. "Scimitar"), sent with the roll
+ * @param {string} [text] - Text of the chip (the notation by default)
+ * @returns {string} HTML
+ */
+export function renderDiceChip(notation, label, text) {
+	const labelAttr = label ? ` data-dice-label="${escapeHtml(label)}"` : '';
+	return `<span class="notion-dice" data-dice="${escapeHtml(notation)}"${labelAttr} role="button" tabindex="0" title="Roll ${escapeHtml(notation)}">🎲 ${escapeHtml(text || notation)}</span>`;
+}
+
+/**
+ * Normalizes dice notation: no spaces, lowercase "d", implicit 1 (d20 → 1d20).
+ *
+ * @param {string} notation - Dice notation as written
+ * @returns {string} Normalized notation
+ */
+export function normalizeDiceNotation(notation) {
+	return notation
+		.replace(/\s+/g, '')
+		.replace(/D/g, 'd')
+		.replace(/(^|[+-])d/g, '$11d');
+}
+
+/**
+ * Splits a text token around the dice expressions it contains.
+ *
+ * @param {Object} state - Core state
+ * @param {Object} token - Text token
+ * @returns {Array} Tokens
+ */
+function splitDice(state, token) {
+	const text = token.content;
+	const tokens = [];
+	let lastIndex = 0;
+	let match;
+
+	DICE_PATTERN.lastIndex = 0;
+	while ((match = DICE_PATTERN.exec(text)) !== null) {
+		const start = match.index + match[1].length;
+		if (start > lastIndex) {
+			tokens.push(createTextToken(state, text.slice(lastIndex, start)));
+		}
+		tokens.push(createDiceToken(state, match[2]));
+		lastIndex = start + match[2].length;
+	}
+
+	if (lastIndex === 0) {
+		return [token];
+	}
+	if (lastIndex < text.length) {
+		tokens.push(createTextToken(state, text.slice(lastIndex)));
+	}
+	return tokens;
+}
+
+/**
+ * @param {Object} state - Core state
+ * @param {string} notation - Dice notation
+ * @returns {Object} dice_roll token
+ */
+function createDiceToken(state, notation) {
+	const token = new state.Token('dice_roll', '', 0);
+	token.meta = { notation: normalizeDiceNotation(notation) };
+	token.content = notation;
+	return token;
+}
+
+/**
+ * @param {Object} state - Core state
+ * @param {string} content - Text
+ * @returns {Object} text token
+ */
+function createTextToken(state, content) {
+	const token = new state.Token('text', '', 0);
+	token.content = content;
+	return token;
+}
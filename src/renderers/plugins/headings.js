@@ -0,0 +1,163 @@
+/**
+ * @fileoverview markdown-it plugin for heading anchors, block IDs and the table of contents.
+ *
+ * - Every heading gets a slug ID, the same one [[Note#Heading]] links use
+ *   (getLinkAnchor); repeated headings get -1, -2...
+ * - Obsidian block IDs ("text ^rumor") are removed from the text and become the
+ *   ID of their paragraph or list item (#^rumor)
+ * - With env.tableOfContents, a list of links to the headings goes at the top of the
+ *   page (after the first H1, which is the page title)
+ */
+
+import { slugify } from '../../utils/slugify.js';
+import { escapeHtml } from '../../utils/html.js';
+import { parseWikiLink } from '../../utils/wikiLinks.js';
+
+/**
+ * Headings needed before an automatic table of contents is added.
+ */
+export const TOC_MIN_HEADINGS = 3;
+
+/**
+ * Deepest heading level listed in the table of contents.
+ */
+const TOC_MAX_LEVEL = 3;
+
+const BLOCK_ID_PATTERN = /\s\^([A-Za-z0-9-]+)\s*$/;
+
+/**
+ * Registers the anchor and table of contents rule.
+ *
+ * @param {import('markdown-it')} md - markdown-it instance
+ */
+export function headingsPlugin(md) {
+	md.core.ruler.push('heading_anchors', (state) => {
+		const tokens = state.tokens;
+		const usedIds = new Map();
+		const headings = [];
+
+		for (let i = 0; i < tokens.length; i++) {
+			const token = tokens[i];
+
+			if (token.type === 'heading_open' && !token.attrGet('id')) {
+				const inline = tokens[i + 1];
+				const slug = slugify(inline.content) || 'section';
+				const count = usedIds.get(slug) || 0;
+				usedIds.set(slug, count + 1);
+
+				const id = count === 0 ? slug : `${slug}-${count}`;
+				token.attrSet('id', id);
+				headings.push({ index: i, level: Number(token.tag.slice(1)), id, text: getPlainText(inline) });
+			} else if (token.type === 'inline' && tokens[i - 1]?.type === 'paragraph_open') {
+				setBlockId(tokens, i);
+			}
+		}
+
+		if (isTableOfContentsEnabled(state.env || {}, headings)) {
+			insertTableOfContents(state, headings);
+		}
+	});
+}
+
+/**
+ * Moves a trailing "^block-id" to the ID of the paragraph (or of its list item,
+ * since paragraphs of tight lists are not rendered).
+ *
+ * @param {Array} tokens - Block tokens
+ * @param {number} inlineIndex - Index of the paragraph's inline token
+ */
+function setBlockId(tokens, inlineIndex) {
+	const inline = tokens[inlineIndex];
+	const last = inline.children[inline.children.length - 1];
+	const match = last?.type === 'text' ? last.content.match(BLOCK_ID_PATTERN) : null;
+	if (!match) {
+		return;
+	}
+
+	last.content = last.content.slice(0, match.index);
+
+	let target = tokens[inlineIndex - 1];
+	if (target.hidden) {
+		for (let j = inlineIndex - 2; j >= 0; j--) {
+			if (tokens[j].type === 'list_item_open') {
+				target = tokens[j];
+				break;
+			}
+		}
+	}
+	target.attrSet('id', `^${match[1]}`);
+}
+
+/**
+ * @param {Object} env - Render context
+ * @param {Array} headings - Headings of the page
+ * @returns {boolean} true if the page gets a table of contents
+ */
+function isTableOfContentsEnabled(env, headings) {
+	// El frontmatter (toc: true/false) manda sobre el ajuste
+	const toc = env.properties?.toc;
+	if (toc === true || toc === false) {
+		return toc && listedHeadings(headings).length > 0;
+	}
+	return Boolean(env.tableOfContents) && listedHeadings(headings).length >= TOC_MIN_HEADINGS;
+}
+
+/**
+ * Headings listed in the table of contents: up to TOC_MAX_LEVEL, without the page title.
+ *
+ * @param {Array} headings - Headings of the page
+ * @returns {Array} Listed headings
+ */
+function listedHeadings(headings) {
+	return headings.filter((heading, index) => {
+		const isTitle = index === 0 && heading.index === 0 && heading.level === 1;
+		return !isTitle && heading.level <= TOC_MAX_LEVEL;
+	});
+}
+
+/**
+ * Inserts the table of contents after the page title (or at the top).
+ *
+ * @param {Object} state - Core state
+ * @param {Array} headings - Headings of the page
+ */
+function insertTableOfContents(state, headings) {
+	const listed = listedHeadings(headings);
+	const minLevel = Math.min(...listed.map(heading => heading.level));
+
+	const items = listed.map(heading => {
+		const indent = heading.level - minLevel;
+		const style = indent > 0 ? ` style="margin-left: ${indent * 1.5}em;"` : '';
+		return `<li class="notion-toc-item notion-toc-item--level-${heading.level}"${style}><a href="#${escapeHtml(heading.id)}" class="notion-text-link">${escapeHtml(heading.text)}</a></li>`;
+	});
+
+	const token = new state.Token('html_block', '', 0);
+	token.content = `<div class="notion-toc">\n<p class="notion-toc-title">Contents</p>\n<ul class="notion-toc-list">\n${items.join('\n')}\n</ul>\n</div>\n`;
+
+	// Después del H1 inicial (heading_open, inline, heading_close)
+	const position = headings[0]?.index === 0 && headings[0].level === 1 ? 3 : 0;
+	state.tokens.splice(position, 0, token);
+}
+
+/**
+ * Plain text of a heading, as shown (without Markdown).
+ *
+ * @param {Object} inline - Inline token of the heading
+ * @returns {string} Text
+ */
+function getPlainText(inline) {
+	return (inline.children || []).map(child => {
+		switch (child.type) {
+			case 'text':
+			case 'code_inline':
+			case 'dice_roll':
+				return child.content;
+			case 'wiki_link':
+				return parseWikiLink(child.meta.content).display;
+			case 'obsidian_tag':
+				return `#${child.meta.name}`;
+			default:
+				return '';
+		}
+	}).join('').trim();
+}
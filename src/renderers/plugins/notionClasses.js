@@ -0,0 +1,141 @@
+/**
+ * @fileoverview markdown-it plugin that gives the rendered HTML GM Vault's Notion classes.
+ *
+ * Works on the token stream (no HTML rewriting):
+ * - Notion classes for paragraphs, headings, lists (each item by its own parent list,
+ *   so nested lists keep their classes), code, links, emphasis, quotes, tables, dividers
+ * - External links open in a new tab
+ * - Relative /pages and /images URLs get the base URL of the render context, and
+ *   page links keep the player view
+ */
+
+/**
+ * Class of each token type.
+ */
+const TOKEN_CLASSES = {
+	paragraph_open: 'notion-paragraph',
+	bullet_list_open: 'notion-bulleted-list',
+	ordered_list_open: 'notion-numbered-list',
+	code_inline: 'notion-text-code',
+	code_block: 'notion-code',
+	fence: 'notion-text-code',
+	link_open: 'notion-text-link',
+	strong_open: 'notion-text-bold',
+	em_open: 'notion-text-italic',
+	s_open: 'notion-text-strikethrough',
+	blockquote_open: 'notion-quote',
+	table_open: 'notion-table',
+	hr: 'notion-divider'
+};
+
+/**
+ * Class of raw inline HTML formatting tags (<u>, <b>...) written in the note.
+ */
+const RAW_TAG_CLASSES = {
+	b: 'notion-text-bold',
+	i: 'notion-text-italic',
+	u: 'notion-text-underline',
+	s: 'notion-text-strikethrough',
+	del: 'notion-text-strikethrough'
+};
+
+/**
+ * Registers the class rule and the code block renderer.
+ *
+ * @param {import('markdown-it')} md - markdown-it instance
+ */
+export function notionClassesPlugin(md) {
+	md.core.ruler.push('notion_classes', (state) => {
+		const env = state.env || {};
+		const listStack = [];
+
+		for (const token of state.tokens) {
+			if (token.type === 'bullet_list_open' || token.type === 'ordered_list_open') {
+				listStack.push(token.type);
+			} else if (token.type === 'bullet_list_close' || token.type === 'ordered_list_close') {
+				listStack.pop();
+			} else if (token.type === 'list_item_open') {
+				const parent = listStack[listStack.length - 1];
+				token.attrJoin('class', parent === 'ordered_list_open' ? 'notion-numbered-list-item' : 'notion-bulleted-list-item');
+			} else if (token.type === 'heading_open' && ['h1', 'h2', 'h3'].includes(token.tag)) {
+				token.attrJoin('class', `notion-heading-${token.tag.slice(1)}`);
+			}
+
+			addTokenClass(token, env);
+			for (const child of token.children || []) {
+				addTokenClass(child, env);
+			}
+		}
+	});
+
+	// El class del token de un bloque ``` va en <code>; la clase del bloque va en <pre>
+	const renderFence = md.renderer.rules.fence;
+	md.renderer.rules.fence = (tokens, idx, options, env, self) => {
+		return renderFence(tokens, idx, options, env, self).replace(/^<pre>/, '<pre class="notion-code">');
+	};
+}
+
+/**
+ * Adds the Notion class of a token and fixes its URLs.
+ *
+ * @param {Object} token - markdown-it token
+ * @param {Object} env - Render context
+ */
+function addTokenClass(token, env) {
+	const className = TOKEN_CLASSES[token.type];
+	if (className) {
+		token.attrJoin('class', className);
+	}
+
+	if (token.type === 'link_open') {
+		const href = absolutize(token.attrGet('href') || '', env.baseUrl);
+		token.attrSet('href', addViewParam(href, env.view));
+
+		// Enlaces externos en una pestaña nueva (los de /pages/ navegan dentro del iframe)
+		if (/^https?:\/\//i.test(href) && !href.includes('/pages/')) {
+			token.attrSet('target', '_blank');
+			token.attrSet('rel', 'noopener noreferrer');
+		}
+	} else if (token.type === 'image') {
+		token.attrSet('src', absolutize(token.attrGet('src') || '', env.baseUrl));
+	} else if (token.type === 'html_inline') {
+		const rawTag = token.content.match(/^<(b|i|u|s|del)>$/i);
+		if (rawTag) {
+			token.content = `<${rawTag[1]} class="${RAW_TAG_CLASSES[rawTag[1].toLowerCase()]}">`;
+		}
+	}
+}
+
+/**
+ * Makes a root-relative URL (/pages/..., /images/...) absolute.
+ *
+ * @param {string} url - URL
+ * @param {string|null} baseUrl - Base URL (without trailing slash)
+ * @returns {string} URL
+ */
+function absolutize(url, baseUrl) {
+	if (!baseUrl || !url.startsWith('/') || url.startsWith('//')) {
+		return url;
+	}
+	return `${baseUrl.replace(/\/$/, '')}${url}`;
+}
+
+/**
+ * Añade el parámetro view a las URLs de páginas para que la navegación
+ * desde una vista de jugador siga en vista de jugador.
+ *
+ * @param {string} url - URL
+ * @param {string} [view] - Vista del contexto
+ * @returns {string} URL
+ */
+function addViewParam(url, view) {
+	if (view !== 'player' || !url.includes('/pages/') || /[?&]view=/.test(url)) {
+		return url;
+	}
+	// El parámetro va antes del ancla (#encabezado)
+	const hashIndex = url.indexOf('#');
+	const path = hashIndex === -1 ? url : url.slice(0, hashIndex);
+	const hash = hashIndex === -1 ? '' : url.slice(hashIndex);
+	const separator = path.includes('?') ? '&' : '?';
+	return `${path}${separator}view=${view}${hash}`;
+}
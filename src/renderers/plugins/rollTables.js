@@ -0,0 +1,106 @@
+/**
+ * @fileoverview markdown-it plugin for rollable random tables.
+ *
+ * A table whose first column holds die ranges (see utils/rollTables.js) is wrapped in
+ * a .notion-roll-table block with a "Roll" button, and each row gets its range
+ * (data-roll-min / data-roll-max). The page script picks a weighted random row.
+ */
+
+import { escapeHtml } from '../../utils/html.js';
+import { getRollRanges } from '../../utils/rollTables.js';
+
+/**
+ * Registers the rollable table rule.
+ *
+ * @param {import('markdown-it')} md - markdown-it instance
+ */
+export function rollTablesPlugin(md) {
+	md.core.ruler.push('roll_tables', (state) => {
+		const tokens = state.tokens;
+		let lastHeading = null;
+
+		for (let i = 0; i < tokens.length; i++) {
+			if (tokens[i].type === 'heading_open') {
+				lastHeading = tokens[i + 1].content;
+				continue;
+			}
+			if (tokens[i].type !== 'table_open') {
+				continue;
+			}
+
+			const closeIndex = findClose(tokens, i);
+			const table = readTable(tokens, i, closeIndex);
+			const ranges = getRollRanges(table.headerCell, table.rows.map(row => row.firstCell));
+			if (!ranges) {
+				i = closeIndex;
+				continue;
+			}
+
+			table.rows.forEach((row, index) => {
+				row.token.attrSet('data-roll-min', String(ranges[index].min));
+				row.token.attrSet('data-roll-max', String(ranges[index].max));
+			});
+
+			const label = lastHeading || table.secondHeaderCell || 'Random table';
+			const open = new state.Token('html_block', '', 0);
+			open.content = `<div class="notion-roll-table" data-roll-label="${escapeHtml(label)}">\n<div class="notion-roll-table-header"><span class="notion-roll-table-button" role="button" tabindex="0" title="Roll on this table">🎲 Roll</span><span class="notion-roll-table-result"></span></div>\n`;
+			const close = new state.Token('html_block', '', 0);
+			close.content = '</div>\n';
+
+			tokens.splice(closeIndex + 1, 0, close);
+			tokens.splice(i, 0, open);
+			i = closeIndex + 2;
+		}
+	});
+}
+
+/**
+ * @param {Array} tokens - Block tokens
+ * @param {number} openIndex - Index of table_open
+ * @returns {number} Index of the matching table_close
+ */
+function findClose(tokens, openIndex) {
+	let depth = 0;
+	for (let i = openIndex; i < tokens.length; i++) {
+		if (tokens[i].type === 'table_open') depth++;
+		if (tokens[i].type === 'table_close' && --depth === 0) return i;
+	}
+	return tokens.length - 1;
+}
+
+/**
+ * Reads the first column of a table.
+ *
+ * @param {Array} tokens - Block tokens
+ * @param {number} start - Index of table_open
+ * @param {number} end - Index of table_close
+ * @returns {{headerCell: string, secondHeaderCell: string|null, rows: Array<{token: Object, firstCell: string}>}} Table
+ */
+function readTable(tokens, start, end) {
+	const headerCells = [];
+	const rows = [];
+	let inBody = false;
+	let currentRow = null;
+
+	for (let i = start; i < end; i++) {
+		const token = tokens[i];
+		if (token.type === 'tbody_open') {
+			inBody = true;
+		} else if (token.type === 'tr_open' && inBody) {
+			currentRow = { token, firstCell: null };
+			rows.push(currentRow);
+		} else if (token.type === 'inline') {
+			if (!inBody) {
+				headerCells.push(token.content);
+			} else if (currentRow && currentRow.firstCell === null) {
+				currentRow.firstCell = token.content;
+			}
+		}
+	}
+
+	return {
+		headerCell: headerCells[0] || '',
+		secondHeaderCell: headerCells[1] || null,
+		rows: rows.map(row => ({ token: row.token, firstCell: row.firstCell ?? '' }))
+	};
+}
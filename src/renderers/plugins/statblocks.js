@@ -0,0 +1,291 @@
+/**
+ * @fileoverview markdown-it plugin for creature statblocks.
+ *
+ * - ```statblock blocks (Fantasy Statblocks YAML) → creature card with abilities,
+ *   saves, skills, traits, actions, reactions and legendary actions
+ * - 5e ability tables (| STR | DEX | CON | INT | WIS | CHA |) → clickable scores
+ *
+ * Ability scores, saves, skills, "+4 to hit" and damage dice become dice chips
+ * (see dice.js), so the GM can roll them from the page.
+ */
+
+import { parseYaml } from 'obsidian';
+import { escapeHtml } from '../../utils/html.js';
+import { ABILITIES, STATBLOCK_LANGUAGE, abilityModifier, formatBonus, isAbilityHeader } from '../../utils/statblocks.js';
+import { renderDiceChip } from './dice.js';
+
+const RULE = '<div class="notion-statblock-rule"></div>';
+
+/**
+ * Simple properties of the card, in order: [YAML key, label].
+ */
+const HEADER_PROPERTIES = [
+	['ac', 'Armor Class'],
+	['hp', 'Hit Points'],
+	['speed', 'Speed']
+];
+
+const DETAIL_PROPERTIES = [
+	['damage_vulnerabilities', 'Damage Vulnerabilities'],
+	['damage_resistances', 'Damage Resistances'],
+	['damage_immunities', 'Damage Immunities'],
+	['condition_immunities', 'Condition Immunities'],
+	['senses', 'Senses'],
+	['languages', 'Languages'],
+	['cr', 'Challenge']
+];
+
+/**
+ * Feature sections, in order: [YAML key, title]. Traits have no title.
+ */
+const FEATURE_SECTIONS = [
+	['traits', null],
+	['spells', 'Spellcasting'],
+	['actions', 'Actions'],
+	['bonus_actions', 'Bonus Actions'],
+	['reactions', 'Reactions'],
+	['legendary_actions', 'Legendary Actions'],
+	['lair_actions', 'Lair Actions']
+];
+
+/**
+ * Registers the statblock fence renderer and the ability table rule.
+ *
+ * @param {import('markdown-it')} md - markdown-it instance
+ */
+export function statblocksPlugin(md) {
+	const renderFence = md.renderer.rules.fence;
+	md.renderer.rules.fence = (tokens, idx, options, env, self) => {
+		const token = tokens[idx];
+		if (token.info.trim().split(/\s+/)[0].toLowerCase() !== STATBLOCK_LANGUAGE) {
+			return renderFence(tokens, idx, options, env, self);
+		}
+
+		let creature = null;
+		try {
+			creature = parseYaml(token.content);
+		} catch (error) {
+			console.warn('[GM Vault Exporter] Invalid statblock YAML:', error.message);
+		}
+		if (!creature || typeof creature !== 'object') {
+			return renderFence(tokens, idx, options, env, self);
+		}
+		return renderStatblock(creature, md, env || {});
+	};
+
+	md.core.ruler.push('ability_tables', (state) => {
+		const tokens = state.tokens;
+		for (let i = 0; i < tokens.length; i++) {
+			if (tokens[i].type !== 'table_open') {
+				continue;
+			}
+
+			const header = [];
+			let j = i + 1;
+			for (; j < tokens.length && tokens[j].type !== 'tbody_open' && tokens[j].type !== 'table_close'; j++) {
+				if (tokens[j].type === 'inline') header.push(tokens[j].content);
+			}
+			if (!isAbilityHeader(header)) {
+				continue;
+			}
+
+			// Celdas del cuerpo: "14 (+2)" → tirada de característica
+			let column = 0;
+			for (; j < tokens.length && tokens[j].type !== 'table_close'; j++) {
+				if (tokens[j].type === 'tr_open') column = 0;
+				if (tokens[j].type !== 'inline') continue;
+
+				const ability = ABILITIES[column++];
+				const score = tokens[j].content.match(/^\s*(\d{1,2})\s*(\([^)]*\))?\s*$/);
+				if (ability && score) {
+					const diceToken = new state.Token('dice_roll', '', 0);
+					diceToken.meta = { notation: d20Notation(abilityModifier(score[1])), label: `${ability.name} check` };
+					diceToken.content = tokens[j].content.trim();
+					tokens[j].children = [diceToken];
+				}
+			}
+			i = j;
+		}
+	});
+}
+
+/**
+ * Renders a creature card.
+ *
+ * @param {Object} creature - Parsed statblock YAML
+ * @param {import('markdown-it')} md - markdown-it instance (for inline Markdown in texts)
+ * @param {Object} env - Render context
+ * @returns {string} HTML
+ */
+function renderStatblock(creature, md, env) {
+	const name = String(creature.name || creature.monster || 'Creature');
+	const inline = (value) => md.renderInline(String(value), env);
+	const parts = [];
+
+	parts.push(`<div class="notion-statblock-name">${escapeHtml(name)}</div>`);
+
+	const subtype = creature.subtype ? ` (${creature.subtype})` : '';
+	const meta = [[creature.size, creature.type].filter(Boolean).join(' ') + subtype, creature.alignment].filter(Boolean).join(', ');
+	if (meta) {
+		parts.push(`<div class="notion-statblock-meta">${escapeHtml(meta)}</div>`);
+	}
+
+	const headerLines = HEADER_PROPERTIES
+		.filter(([key]) => hasValue(creature[key]))
+		.map(([key, label]) => {
+			let value = inline(creature[key]);
+			if (key === 'hp' && creature.hit_dice) {
+				value += ` (${renderDiceChip(normalizeNotation(creature.hit_dice), `${name} hit points`, String(creature.hit_dice))})`;
+			}
+			return renderProperty(label, value);
+		});
+	if (headerLines.length > 0) {
+		parts.push(RULE, ...headerLines);
+	}
+
+	const stats = Array.isArray(creature.stats) ? creature.stats : null;
+	if (stats && stats.length >= ABILITIES.length) {
+		const headerCells = ABILITIES.map(ability => `<th>${ability.label}</th>`).join('');
+		const scoreCells = ABILITIES.map((ability, i) => {
+			const modifier = abilityModifier(stats[i]);
+			return `<td>${renderDiceChip(d20Notation(modifier), `${name} ${ability.name} check`, `${stats[i]} (${formatBonus(modifier)})`)}</td>`;
+		}).join('');
+		parts.push(RULE, `<table class="notion-table notion-statblock-abilities"><thead><tr>${headerCells}</tr></thead><tbody><tr>${scoreCells}</tr></tbody></table>`);
+	}
+
+	const detailLines = [];
+	const saves = renderBonusList(creature.saves, name, 'save', key => findAbility(key)?.label || key);
+	if (saves) {
+		detailLines.push(renderProperty('Saving Throws', saves));
+	}
+	const skills = renderBonusList(creature.skillsaves, name, 'check', key => capitalize(key));
+	if (skills) {
+		detailLines.push(renderProperty('Skills', skills));
+	}
+	for (const [key, label] of DETAIL_PROPERTIES) {
+		if (hasValue(creature[key])) {
+			detailLines.push(renderProperty(label, inline(creature[key])));
+		}
+	}
+	if (detailLines.length > 0) {
+		parts.push(RULE, ...detailLines);
+	}
+
+	for (const [key, title] of FEATURE_SECTIONS) {
+		const features = toList(creature[key]);
+		if (features.length === 0) {
+			continue;
+		}
+		parts.push(title ? `<div class="notion-statblock-section">${title}</div>` : RULE);
+		for (const feature of features) {
+			parts.push(renderFeature(feature, name, inline));
+		}
+	}
+
+	return `<div class="notion-statblock" data-statblock="${escapeHtml(name)}">\n${parts.join('\n')}\n</div>\n`;
+}
+
+/**
+ * @param {string} label - Property name
+ * @param {string} valueHtml - Value (HTML)
+ * @returns {string} HTML
+ */
+function renderProperty(label, valueHtml) {
+	return `<div class="notion-statblock-property"><strong>${escapeHtml(label)}</strong> ${valueHtml}</div>`;
+}
+
+/**
+ * Renders a trait, action or reaction. "+4 to hit" becomes a d20 roll.
+ *
+ * @param {Object|string} feature - { name, desc } or text
+ * @param {string} creatureName - Creature name (roll label)
+ * @param {function(*): string} inline - Inline Markdown renderer
+ * @returns {string} HTML
+ */
+function renderFeature(feature, creatureName, inline) {
+	if (typeof feature !== 'object' || feature === null) {
+		return `<p class="notion-statblock-feature">${inline(feature)}</p>`;
+	}
+
+	const featureName = feature.name ? String(feature.name) : '';
+	const label = featureName ? `${creatureName} ${featureName}` : creatureName;
+	const desc = inline(feature.desc ?? feature.description ?? '')
+		.replace(/(^|[\s(])([+-]\d{1,2})(?= to hit)/g, (match, before, bonus) => {
+			return before + renderDiceChip(d20Notation(parseInt(bonus, 10)), label, bonus);
+		});
+	const title = featureName ? `<strong><em>${escapeHtml(featureName)}.</em></strong> ` : '';
+	return `<p class="notion-statblock-feature">${title}${desc}</p>`;
+}
+
+/**
+ * Renders saves or skills ([{ dexterity: 4 }] or { dexterity: 4 }) as d20 rolls.
+ *
+ * @param {Array|Object} entries - YAML value
+ * @param {string} creatureName - Creature name (roll label)
+ * @param {string} kind - "save" or "check"
+ * @param {function(string): string} formatName - Display name of a key
+ * @returns {string} HTML ('' if empty)
+ */
+function renderBonusList(entries, creatureName, kind, formatName) {
+	const pairs = toList(entries).flatMap(entry => typeof entry === 'object' && entry !== null ? Object.entries(entry) : []);
+	return pairs
+		.filter(([, bonus]) => Number.isFinite(Number(bonus)))
+		.map(([key, bonus]) => {
+			const value = Number(bonus);
+			const name = formatName(key);
+			return renderDiceChip(d20Notation(value), `${creatureName} ${name} ${kind}`, `${name} ${formatBonus(value)}`);
+		})
+		.join(', ');
+}
+
+/**
+ * @param {number} bonus - Bonus
+ * @returns {string} d20 notation (1d20+2, 1d20-1, 1d20)
+ */
+function d20Notation(bonus) {
+	if (!bonus) return '1d20';
+	return bonus > 0 ? `1d20+${bonus}` : `1d20${bonus}`;
+}
+
+/**
+ * @param {string} notation - Dice notation as written in the YAML
+ * @returns {string} Notation without spaces, with lowercase "d"
+ */
+function normalizeNotation(notation) {
+	return String(notation).replace(/\s+/g, '').replace(/D/g, 'd');
+}
+
+/**
+ * @param {string} key - "dexterity", "dex", "Dex"...
+ * @returns {{key: string, label: string, name: string}|undefined} Ability
+ */
+function findAbility(key) {
+	return ABILITIES.find(ability => String(key).toLowerCase().startsWith(ability.key));
+}
+
+/**
+ * @param {*} value - YAML value
+ * @returns {Array} Value as a list
+ */
+function toList(value) {
+	if (Array.isArray(value)) return value;
+	if (value === null || value === undefined || value === '') return [];
+	return [value];
+}
+
+/**
+ * @param {*} value - YAML value
+ * @returns {boolean} true if there is something to show
+ */
+function hasValue(value) {
+	return value !== null && value !== undefined && String(value).trim() !== '';
+}
+
+/**
+ * @param {string} text - Text
+ * @returns {string} Text with its first letter in uppercase
+ */
+function capitalize(text) {
+	const value = String(text);
+	return value.charAt(0).toUpperCase() + value.slice(1);
+}
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview markdown-it plugin for Obsidian tags.
+ *
+ * #tag (after a space or at the start of the text) → Notion tag badge.
+ * A paragraph made only of "tags: #a, #b" becomes a row of badges.
+ *
+ * Tags are inline tokens, so "#" inside URLs, code, attributes or words
+ * (page#anchor) is never converted. Like Obsidian, a tag needs at least one
+ * non-numeric character (#1 is not a tag).
+ */
+
+import { escapeHtml } from '../../utils/html.js';
+
+/**
+ * Colores disponibles de Notion para los tags (sin el prefijo "notion-tag--").
+ */
+const TAG_COLORS = ['default', 'gray', 'brown', 'orange', 'yellow', 'green', 'blue', 'purple', 'pink', 'red'];
+
+const TAG_PATTERN = /^#([\w/-]*[A-Za-z_/-][\w/-]*)/;
+
+/**
+ * Registers the tag rule and renderer.
+ *
+ * @param {import('markdown-it')} md - markdown-it instance
+ */
+export function tagPlugin(md) {
+	md.inline.ruler.push('obsidian_tag', (state, silent) => {
+		const pos = state.pos;
+		if (state.src.charCodeAt(pos) !== 0x23/* # */) {
+			return false;
+		}
+
+		// Solo al principio del texto o tras un espacio
+		if (pos > 0 && !/\s/.test(state.src[pos - 1])) {
+			return false;
+		}
+
+		const match = state.src.slice(pos, state.posMax).match(TAG_PATTERN);
+		if (!match) {
+			return false;
+		}
+
+		if (!silent) {
+			const token = state.push('obsidian_tag', '', 0);
+			token.meta = { name: match[1] };
+			token.markup = '#';
+		}
+
+		state.pos += match[0].length;
+		return true;
+	});
+
+	// "tags: #a, #b": el párrafo queda solo con los badges
+	md.core.ruler.after('inline', 'obsidian_tags_line', (state) => {
+		for (const token of state.tokens) {
+			if (token.type !== 'inline' || !/^tags:\s*#/i.test(token.content)) {
+				continue;
+			}
+
+			const tags = token.children.filter(child => child.type === 'obsidian_tag');
+			const onlyTags = token.children.every(child => {
+				return child.type === 'obsidian_tag' || (child.type === 'text' && /^(tags:)?[\s,]*$/i.test(child.content));
+			});
+			if (tags.length === 0 || !onlyTags) {
+				continue;
+			}
+
+			token.children = tags.flatMap((tag, index) => {
+				if (index === 0) {
+					return [tag];
+				}
+				const separator = new state.Token('text', '', 0);
+				separator.content = ' ';
+				return [separator, tag];
+			});
+		}
+	});
+
+	md.renderer.rules.obsidian_tag = (tokens, idx) => {
+		const { name } = tokens[idx].meta;
+		return `<span class="notion-tag notion-tag--${getTagColor(name)}">${escapeHtml(name)}</span>`;
+	};
+}
+
+/**
+ * Obtiene un color consistente para un tag basado en su nombre.
+ *
+ * @param {string} tagName - Nombre del tag
+ * @returns {string} Color de Notion
+ */
+function getTagColor(tagName) {
+	// Hash simple del nombre para consistencia
+	let hash = 0;
+	for (let i = 0; i < tagName.length; i++) {
+		hash = ((hash << 5) - hash) + tagName.charCodeAt(i);
+		hash = hash & hash; // Convertir a 32bit integer
+	}
+	return TAG_COLORS[Math.abs(hash) % TAG_COLORS.length];
+}
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview markdown-it plugin for Obsidian wiki links and embeds.
+ *
+ * [[Note]], [[Note|Text]], [[Note#Heading]] → wiki_link token → GM Vault mention
+ * ![[map.png]], ![[map.png|400]]            → wiki_embed token → image (src resolved
+ *                                             beforehand by resolveImages in transforms.js)
+ * ![[tavern.mp3]], ![[clip.mp4|400]]        → wiki_embed token → audio/video player
+ *                                             (src resolved by resolveMedia)
+ * ![[Handout.pdf#page=3]]                    → wiki_embed token → PDF viewer (resolvePdfs)
+ *
+ * Links are tokens, so [[...]] inside code, URLs or attributes is never touched.
+ * Rendering reads the render context from markdown-it's env (see RenderPipeline).
+ */
+
+import { slugify } from '../../utils/slugify.js';
+import { escapeHtml } from '../../utils/html.js';
+import { parseWikiLink, getLinkAnchor } from '../../utils/wikiLinks.js';
+import { RENDER_TARGETS, createImageHtml, createImagePlaceholder, createMediaHtml, createMediaPlaceholder, renderPdfEmbed } from '../transforms.js';
+
+/**
+ * Registers the wiki link and embed rules and renderers.
+ *
+ * @param {import('markdown-it')} md - markdown-it instance
+ */
+export function wikiLinkPlugin(md) {
+	md.inline.ruler.before('image', 'wiki_embed', (state, silent) => {
+		if (state.src.charCodeAt(state.pos) !== 0x21/* ! */) {
+			return false;
+		}
+		return parseWikiBrackets(state, silent, state.pos + 1, 'wiki_embed');
+	});
+
+	md.inline.ruler.before('link', 'wiki_link', (state, silent) => {
+		return parseWikiBrackets(state, silent, state.pos, 'wiki_link');
+	});
+
+	md.renderer.rules.wiki_link = (tokens, idx, options, env) => {
+		return renderWikiLink(parseWikiLink(tokens[idx].meta.content), env || {});
+	};
+
+	md.renderer.rules.wiki_embed = (tokens, idx, options, env) => {
+		const { content, src, media, pdf } = tokens[idx].meta;
+		const [linkPath, size] = content.split('|').map(part => part.trim());
+
+		if (pdf) {
+			return renderPdfEmbed(src, linkPath.split('#')[0].split('/').pop(), pdf.page, env || {});
+		}
+
+		if (media) {
+			const name = linkPath.split('#')[0].split('/').pop();
+			return src
+				? createMediaHtml(src, media, name, /^\d+/.exec(size || '')?.[0])
+				: createMediaPlaceholder(name, media, env?.missingMediaHint);
+		}
+
+		// URL externa embebida
+		if (/^https?:\/\//i.test(linkPath)) {
+			return createImageHtml(linkPath, 'Image');
+		}
+
+		if (!src) {
+			return createImagePlaceholder(linkPath, env?.missingImageHint);
+		}
+		return createImageHtml(src, linkPath.split('/').pop().replace(/\.[^.]+$/, ''), /^\d+/.exec(size || '')?.[0]);
+	};
+}
+
+/**
+ * Builds the URL of a live page, with the base URL and the view of the render context.
+ *
+ * @param {Object} env - Render context
+ * @param {string} slug - Page slug
+ * @param {string} [anchor=''] - Fragment including "#"
+ * @returns {string} Page URL
+ */
+export function buildPageUrl(env, slug, anchor = '') {
+	const view = env.view === 'player' ? '?view=player' : '';
+	return `${env.baseUrl || ''}/pages/${slug}${view}${anchor}`;
+}
+
+/**
+ * Parses [[...]] at a position and pushes a token.
+ *
+ * @param {Object} state - Inline state
+ * @param {boolean} silent - Validation mode
+ * @param {number} start - Position of the first "["
+ * @param {string} type - Token type
+ * @returns {boolean} true if a link was parsed
+ */
+function parseWikiBrackets(state, silent, start, type) {
+	if (state.src.charCodeAt(start) !== 0x5B/* [ */ || state.src.charCodeAt(start + 1) !== 0x5B/* [ */) {
+		return false;
+	}
+
+	const end = state.src.indexOf(']]', start + 2);
+	if (end === -1 || end + 2 > state.posMax) {
+		return false;
+	}
+
+	const content = state.src.slice(start + 2, end);
+	if (!content.trim() || /[[\]\n]/.test(content)) {
+		return false;
+	}
+
+	if (!silent) {
+		const token = state.push(type, '', 0);
+		token.meta = { content };
+		token.markup = type === 'wiki_embed' ? '![[' : '[[';
+	}
+
+	state.pos = end + 2;
+	return true;
+}
+
+/**
+ * Renders a wiki link.
+ * With env.findPage, links to session pages become clickable mentions and the rest plain
+ * mentions; without it, links to /pages/<slug>. In the exported htmlContent,
+ * data-mention-page-url is only added with a base URL (a relative URL means nothing in GM Vault).
+ *
+ * @param {{path: string, heading: string|null, blockId: string|null, display: string}} link - Parsed link
+ * @param {Object} env - Render context
+ * @returns {string} HTML
+ */
+function renderWikiLink(link, env) {
+	const anchor = getLinkAnchor(link);
+
+	// Sin mapeo de páginas: enlace estándar por slug
+	if (!env.findPage) {
+		return `<a href="${escapeHtml(buildPageUrl(env, slugify(link.path), anchor))}" class="notion-text-link">${escapeHtml(link.display)}</a>`;
+	}
+
+	const pageInfo = env.findPage(link.path, env.sourcePath || '');
+	if (!pageInfo) {
+		// Página no encontrada: mention sin link
+		return `<span class="notion-mention notion-mention--plain" data-mention-page-name="${escapeHtml(link.path)}">${escapeHtml(link.display)}</span>`;
+	}
+
+	// Página encontrada: crear mention clickeable
+	const hasPageUrl = Boolean(env.baseUrl) || env.target !== RENDER_TARGETS.EMBEDDED;
+	const urlAttr = hasPageUrl ? ` data-mention-page-url="${escapeHtml(buildPageUrl(env, pageInfo.slug, anchor))}"` : '';
+	const anchorAttr = anchor ? ` data-mention-page-anchor="${escapeHtml(anchor.slice(1))}"` : '';
+	return `<span class="notion-mention notion-mention--link" data-mention-page-id="${pageInfo.id}" data-mention-page-name="${escapeHtml(pageInfo.name)}"${urlAttr}${anchorAttr} role="button" tabindex="0" aria-label="Open ${escapeHtml(pageInfo.name)}">${escapeHtml(link.display)}</span>`;
+}
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Cabecera de propiedades de página (frontmatter) al estilo Notion.
+ *
+ * El frontmatter nunca se renderiza como Markdown; solo las claves públicas
+ * (ajuste "Public page properties") se muestran en la cabecera de la página:
+ * - Portada (cover, banner, image): imagen a todo el ancho
+ * - tags: badges de tags
+ * - El resto: tabla de propiedades (el valor admite Markdown inline y [[links]])
+ */
+
+import { escapeHtml } from '../utils/html.js';
+
+/**
+ * Claves públicas por defecto.
+ */
+export const DEFAULT_PUBLIC_PROPERTIES = ['cover', 'tags', 'aliases'];
+
+/**
+ * Claves que se muestran como imagen de portada.
+ */
+const COVER_KEYS = ['cover', 'banner', 'image'];
+
+/**
+ * Claves que nunca se muestran (configuración del plugin y de Obsidian).
+ */
+const HIDDEN_KEYS = ['gm-vault', 'position', 'cssclasses', 'cssclass'];
+
+/**
+ * Renderiza la cabecera con las propiedades públicas de la nota.
+ *
+ * @param {import('./RenderPipeline.js').RenderContext} context - Contexto de renderizado (properties, publicProperties, md)
+ * @returns {Promise<string>} HTML de la cabecera ('' si no hay propiedades que mostrar)
+ */
+export async function renderPropertiesHeader(context) {
+	const properties = context.properties;
+	if (!properties || typeof properties !== 'object') {
+		return '';
+	}
+
+	// Las claves del frontmatter no distinguen mayúsculas (como en Obsidian)
+	const keys = new Map(Object.keys(properties).map(key => [key.toLowerCase(), key]));
+
+	let cover = '';
+	const rows = [];
+	for (const publicKey of context.publicProperties || DEFAULT_PUBLIC_PROPERTIES) {
+		const name = publicKey.trim().toLowerCase();
+		const key = keys.get(name);
+		if (!key || HIDDEN_KEYS.includes(name)) {
+			continue;
+		}
+
+		const values = toValueList(properties[key]);
+		if (values.length === 0) {
+			continue;
+		}
+
+		if (COVER_KEYS.includes(name)) {
+			cover = cover || await renderCover(values[0], context);
+			continue;
+		}
+
+		const valueHtml = name === 'tags'
+			? values.map(tag => context.md.renderInline(`#${tag.replace(/^#/, '')}`, context)).join(' ')
+			: values.map(value => context.md.renderInline(value, context)).join(', ');
+		rows.push(`<tr class="notion-property"><th class="notion-property-name">${escapeHtml(key)}</th><td class="notion-property-value">${valueHtml}</td></tr>`);
+	}
+
+	const table = rows.length > 0
+		? `<table class="notion-table notion-page-properties"><tbody>\n${rows.join('\n')}\n</tbody></table>\n`
+		: '';
+	return `${cover}${table}`;
+}
+
+/**
+ * Renderiza la imagen de portada ([[cover.png]], cover.png o una URL).
+ *
+ * @param {string} value - Valor de la propiedad
+ * @param {import('./RenderPipeline.js').RenderContext} context - Contexto de renderizado
+ * @returns {Promise<string>} HTML de la portada ('' si la imagen no se resuelve)
+ */
+async function renderCover(value, context) {
+	const linkPath = value.replace(/^!?\[\[([^\]|]+)(\|[^\]]*)?\]\]$/, '$1').trim();
+	const src = /^https?:\/\//i.test(linkPath)
+		? linkPath
+		: await context.resolveImage?.(linkPath, context.sourcePath || '');
+	if (!src) {
+		return '';
+	}
+	const imageUrlAttr = /^https?:\/\//i.test(src) ? ` data-image-url="${escapeHtml(src)}"` : '';
+	return `<div class="notion-image-container notion-page-cover"><img src="${escapeHtml(src)}" alt="Cover" class="notion-image-clickable"${imageUrlAttr} /></div>\n`;
+}
+
+/**
+ * Convierte el valor de una propiedad en una lista de textos (los objetos se ignoran).
+ *
+ * @param {*} value - Valor del frontmatter
+ * @returns {string[]} Valores
+ */
+function toValueList(value) {
+	const list = Array.isArray(value) ? value : [value];
+	return list
+		.filter(item => item !== null && item !== undefined && typeof item !== 'object')
+		.map(item => typeof item === 'boolean' ? (item ? 'Yes' : 'No') : String(item).trim())
+		.filter(item => item !== '');
+}
@@ -0,0 +1,413 @@
+/**
+ * @fileoverview Transformaciones del pipeline de renderizado.
+ *
+ * Cada transformación recibe el Markdown, los tokens de markdown-it o el HTML y el
+ * contexto de renderizado, y devuelve el resultado (o una promesa). RenderPipeline decide
+ * qué transformaciones se aplican a cada destino (página en vivo o htmlContent embebido).
+ *
+ * Las conversiones de Markdown (mentions, tags, clases de Notion, callouts) son plugins
+ * de markdown-it en ./plugins/.
+ */
+
+import { stripSecrets, stripFrontmatter } from '../utils/secrets.js';
+import { escapeHtml } from '../utils/html.js';
+import { sanitizeHtml } from '../utils/sanitize.js';
+import { getMediaKind } from '../utils/media.js';
+import { isPdfPath, getPdfPage } from '../utils/files.js';
+import { renderPropertiesHeader } from './properties.js';
+
+/**
+ * Destinos de renderizado.
+ */
+export const RENDER_TARGETS = {
+	PAGE: 'page',
+	EMBEDDED: 'embedded'
+};
+
+// ============================================
+// TRANSFORMACIONES DE MARKDOWN
+// ============================================
+
+/**
+ * Elimina el contenido solo para el GM en la vista de jugador.
+ *
+ * @param {string} markdown - Markdown de la nota
+ * @param {import('./RenderPipeline.js').RenderContext} context - Contexto de renderizado
+ * @returns {string} Markdown sin secretos en la vista de jugador
+ */
+export function stripSecretsForPlayers(markdown, context) {
+	return context.view === 'player' ? stripSecrets(markdown) : markdown;
+}
+
+/**
+ * Elimina el frontmatter YAML: sus propiedades públicas se muestran en la cabecera
+ * de la página (context.properties), nunca como Markdown.
+ *
+ * @param {string} markdown - Markdown de la nota
+ * @returns {string} Markdown sin frontmatter
+ */
+export function stripFrontmatterBlock(markdown) {
+	return stripFrontmatter(markdown);
+}
+
+// ============================================
+// TRANSFORMACIONES DE TOKENS
+// ============================================
+
+/**
+ * Resuelve el audio y el vídeo locales (![[ambiente.mp3]], ![](clip.mp4)) con
+ * context.resolveMedia (URL de /media/*). Sin resolver, quedan como placeholder.
+ * Va antes de resolveImages, que ignora los embeds multimedia.
+ *
+ * @param {Array} tokens - Tokens de markdown-it
+ * @param {import('./RenderPipeline.js').RenderContext} context - Contexto de renderizado
+ * @returns {Promise<Array>} Tokens con el audio y el vídeo resueltos
+ */
+export async function resolveMedia(tokens, context) {
+	const resolve = async (linkPath) => {
+		// El fragmento (#t=30) se conserva: el navegador empieza la pista en ese punto
+		const [path, fragment] = linkPath.split('#');
+		const src = context.resolveMedia ? await context.resolveMedia(path, context.sourcePath || '') : null;
+		return src && fragment ? `${src}#${fragment}` : src;
+	};
+
+	for (const token of tokens) {
+		for (const child of token.children || []) {
+			if (child.type === 'wiki_embed') {
+				const linkPath = child.meta.content.split('|')[0].trim();
+				const kind = !isExternalUrl(linkPath) && getMediaKind(linkPath);
+				if (kind) {
+					child.meta.media = kind;
+					child.meta.src = await resolve(linkPath);
+				}
+				continue;
+			}
+
+			if (child.type !== 'image') {
+				continue;
+			}
+
+			const src = child.attrGet('src') || '';
+			const kind = !isExternalUrl(src) && !src.startsWith('data:') && getMediaKind(src);
+			if (kind) {
+				// El token pasa a ser HTML: el reproductor o el placeholder
+				const linkPath = decodeImagePath(src) + (src.includes('#') ? src.slice(src.indexOf('#')) : '');
+				const mediaSrc = await resolve(linkPath);
+				const name = linkPath.split('#')[0].split('/').pop();
+				child.type = 'html_inline';
+				child.content = mediaSrc
+					? createMediaHtml(mediaSrc, kind, name)
+					: createMediaPlaceholder(name, kind, context.missingMediaHint);
+				child.children = null;
+			}
+		}
+	}
+
+	return tokens;
+}
+
+/**
+ * Resuelve los PDF locales (![[Handout.pdf]], ![[Handout.pdf#page=3]], ![](Handout.pdf))
+ * con context.resolvePdf: URL de /files/* en la página en vivo, o ruta del adjunto en
+ * el paquete exportado. Va antes de resolveImages, que ignora los embeds de PDF.
+ *
+ * @param {Array} tokens - Tokens de markdown-it
+ * @param {import('./RenderPipeline.js').RenderContext} context - Contexto de renderizado
+ * @returns {Promise<Array>} Tokens con los PDF resueltos
+ */
+export async function resolvePdfs(tokens, context) {
+	const resolve = async (linkPath) => {
+		const path = linkPath.split('#')[0];
+		return context.resolvePdf ? await context.resolvePdf(path, context.sourcePath || '') : null;
+	};
+
+	for (const token of tokens) {
+		for (const child of token.children || []) {
+			if (child.type === 'wiki_embed') {
+				const linkPath = child.meta.content.split('|')[0].trim();
+				if (!isExternalUrl(linkPath) && isPdfPath(linkPath)) {
+					child.meta.pdf = { page: getPdfPage(linkPath) };
+					child.meta.src = await resolve(linkPath);
+				}
+				continue;
+			}
+
+			const src = child.type === 'image' ? child.attrGet('src') || '' : '';
+			if (src && !isExternalUrl(src) && isPdfPath(src)) {
+				// El token pasa a ser HTML: el visor o el placeholder
+				const linkPath = decodeImagePath(src);
+				child.type = 'html_inline';
+				child.content = renderPdfEmbed(await resolve(linkPath), linkPath.split('/').pop(), getPdfPage(src), context);
+				child.children = null;
+			}
+		}
+	}
+
+	return tokens;
+}
+
+/**
+ * Resuelve las imágenes locales (![](mapa.png) y ![[mapa.png]]) con context.resolveImage
+ * (URL de /images/* o data URI). Las que no se resuelven se reemplazan con un placeholder.
+ * Las URLs externas se mantienen, clickeables.
+ *
+ * @param {Array} tokens - Tokens de markdown-it
+ * @param {import('./RenderPipeline.js').RenderContext} context - Contexto de renderizado
+ * @returns {Promise<Array>} Tokens con las imágenes resueltas
+ */
+export async function resolveImages(tokens, context) {
+	// La resolución puede ser asíncrona (lectura de archivos); cada imagen se resuelve una vez
+	const sources = new Map();
+	const resolve = async (linkPath) => {
+		if (!sources.has(linkPath)) {
+			sources.set(linkPath, context.resolveImage ? await context.resolveImage(linkPath, context.sourcePath || '') : null);
+		}
+		return sources.get(linkPath);
+	};
+
+	for (const token of tokens) {
+		for (const child of token.children || []) {
+			if (child.type === 'wiki_embed') {
+				const linkPath = child.meta.content.split('|')[0].trim();
+				if (!isExternalUrl(linkPath) && !child.meta.media && !child.meta.pdf) {
+					child.meta.src = await resolve(linkPath);
+				}
+				continue;
+			}
+
+			if (child.type !== 'image') {
+				continue;
+			}
+
+			let src = child.attrGet('src') || '';
+			if (!isExternalUrl(src) && !src.startsWith('data:')) {
+				const linkPath = decodeImagePath(src);
+				src = await resolve(linkPath);
+				if (!src) {
+					// El token pasa a ser HTML: el placeholder
+					child.type = 'html_inline';
+					child.content = createImagePlaceholder(linkPath.split('/').pop() || 'imagen', context.missingImageHint);
+					child.children = null;
+					continue;
+				}
+				child.attrSet('src', src);
+			}
+
+			child.attrJoin('class', 'notion-image-clickable');
+			if (isExternalUrl(src)) {
+				child.attrSet('data-image-url', src);
+			}
+		}
+	}
+
+	return tokens;
+}
+
+// ============================================
+// TRANSFORMACIONES DE HTML
+// ============================================
+
+/**
+ * Prepara el contenido de una página en vivo: cabecera de propiedades y contenido.
+ * No se añade un H1 artificial: el nombre de la página ya está en el JSON de GM Vault
+ * y el contenido refleja el archivo markdown 1:1.
+ *
+ * @param {string} html - Contenido HTML
+ * @param {import('./RenderPipeline.js').RenderContext} context - Contexto de renderizado
+ * @returns {Promise<string>} Contenido sin saltos de línea iniciales
+ */
+export async function wrapLivePage(html, context) {
+	const header = await renderPropertiesHeader(context);
+	return header + html.replace(/^\s*\n+/g, '');
+}
+
+/**
+ * Envuelve el contenido embebido (htmlContent) con el título de la página y la
+ * cabecera de propiedades. El primer H1 del markdown se elimina para no duplicar el título.
+ *
+ * @param {string} html - Contenido HTML
+ * @param {import('./RenderPipeline.js').RenderContext} context - Contexto de renderizado (title, md)
+ * @returns {Promise<string>} HTML con estructura de Notion
+ */
+export async function wrapEmbeddedPage(html, context) {
+	// Buscar y remover el primer H1 (puede tener clases de Notion ya aplicadas)
+	let cleanedContent = html.replace(/^<h1[^>]*>.*?<\/h1>\s*/i, '');
+
+	// También buscar H1 que pueda estar al inicio de un párrafo o bloque
+	cleanedContent = cleanedContent.replace(/^<p[^>]*>\s*<h1[^>]*>.*?<\/h1>\s*<\/p>\s*/i, '');
+
+	const title = context.title || '';
+	let titleHtml;
+	if (title.includes('**') || title.includes('*') || title.includes('`') || title.includes('[')) {
+		// Renderizar el markdown del título (con las clases de Notion)
+		titleHtml = context.md.renderInline(title, context);
+	} else {
+		titleHtml = escapeHtml(title);
+	}
+
+	const header = await renderPropertiesHeader(context);
+	return `<h1 class="notion-page-title">${titleHtml}</h1>\n${header}${cleanedContent}`;
+}
+
+/**
+ * Elimina el HTML peligroso (scripts, on*, javascript:...) del contenido renderizado,
+ * salvo que el HTML de las notas sea de confianza (context.trustedHtml).
+ * Va al final: también limpia el título que añade wrapEmbeddedPage.
+ *
+ * @param {string} html - Contenido HTML
+ * @param {import('./RenderPipeline.js').RenderContext} context - Contexto de renderizado
+ * @returns {string} HTML saneado
+ */
+export function sanitizeUntrustedHtml(html, context) {
+	return context.trustedHtml ? html : sanitizeHtml(html);
+}
+
+// ============================================
+// HTML COMPARTIDO
+// ============================================
+
+/**
+ * Crea el HTML de una imagen clickeable.
+ *
+ * @param {string} src - URL o data URI
+ * @param {string} alt - Texto alternativo
+ * @param {string} [width] - Ancho en píxeles
+ * @returns {string} HTML de la imagen
+ */
+export function createImageHtml(src, alt, width) {
+	const widthAttr = width ? ` width="${width}"` : '';
+	const imageUrlAttr = isExternalUrl(src) ? ` data-image-url="${escapeHtml(src)}"` : '';
+	return `<div class="notion-image-container">
+			<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}"${widthAttr} class="notion-image-clickable"${imageUrlAttr} />
+		</div>`;
+}
+
+/**
+ * Crea un placeholder para una imagen local que no se puede mostrar.
+ *
+ * @param {string} fileName - Nombre del archivo
+ * @param {string} [hint='(Imagen no encontrada)'] - Explicación bajo el nombre
+ * @returns {string} HTML del placeholder
+ */
+export function createImagePlaceholder(fileName, hint = '(Imagen no encontrada)') {
+	return `<div class="notion-image-container" style="padding: 20px; text-align: center; background: #f5f5f5; border-radius: 4px;">
+			<p style="color: #666; margin: 0;">🖼️ ${escapeHtml(fileName)}</p>
+			<p style="color: #999; font-size: 12px; margin: 5px 0 0 0;">${escapeHtml(hint)}</p>
+		</div>`;
+}
+
+/**
+ * Crea el HTML de un reproductor de audio o vídeo, con el botón "Play for table"
+ * (postMessage playMedia a GM Vault; el script de la página lo muestra solo al GM).
+ *
+ * @param {string} src - URL de /media/*
+ * @param {'audio'|'video'} kind - Tipo de reproductor
+ * @param {string} name - Nombre del archivo
+ * @param {string} [width] - Ancho en píxeles (vídeo)
+ * @returns {string} HTML del reproductor
+ */
+export function createMediaHtml(src, kind, name, width) {
+	const widthAttr = kind === 'video' && width ? ` width="${width}"` : '';
+	const player = kind === 'video'
+		? `<video src="${escapeHtml(src)}" controls preload="metadata" playsinline${widthAttr}></video>`
+		: `<audio src="${escapeHtml(src)}" controls preload="metadata"></audio>`;
+	return `<div class="notion-media notion-media--${kind}" data-media-type="${kind}" data-media-name="${escapeHtml(name)}">
+			${player}
+			<div class="notion-media-footer"><span class="notion-media-name">${kind === 'video' ? '🎬' : '🎵'} ${escapeHtml(name)}</span><span class="notion-media-play" role="button" tabindex="0" title="Play for everyone at the table">📢 Play for table</span></div>
+		</div>`;
+}
+
+/**
+ * Crea un placeholder para un audio o vídeo local que no se puede reproducir.
+ *
+ * @param {string} fileName - Nombre del archivo
+ * @param {'audio'|'video'} kind - Tipo de archivo
+ * @param {string} [hint='(Archivo no encontrado)'] - Explicación bajo el nombre
+ * @returns {string} HTML del placeholder
+ */
+export function createMediaPlaceholder(fileName, kind, hint = '(Archivo no encontrado)') {
+	return `<div class="notion-media notion-media--missing" style="padding: 20px; text-align: center; background: #f5f5f5; border-radius: 4px;">
+			<p style="color: #666; margin: 0;">${kind === 'video' ? '🎬' : '🎵'} ${escapeHtml(fileName)}</p>
+			<p style="color: #999; font-size: 12px; margin: 5px 0 0 0;">${escapeHtml(hint)}</p>
+		</div>`;
+}
+
+/**
+ * Renderiza un embed de PDF según el destino: visor en la página en vivo, y en la
+ * exportación una tarjeta con la ruta del adjunto (o un placeholder si no se incluye).
+ *
+ * @param {string|null} src - URL de /files/*, ruta del adjunto, o null si no se resolvió
+ * @param {string} name - Nombre del archivo
+ * @param {number|null} page - Página inicial
+ * @param {import('./RenderPipeline.js').RenderContext} context - Contexto de renderizado
+ * @returns {string} HTML
+ */
+export function renderPdfEmbed(src, name, page, context) {
+	if (!src) {
+		return createPdfPlaceholder(name, context.missingPdfHint);
+	}
+	if (context.target === RENDER_TARGETS.EMBEDDED) {
+		return createPdfPlaceholder(name, `📎 ${src}`, 'attachment');
+	}
+	return createPdfHtml(src, name, page);
+}
+
+/**
+ * Crea el HTML de un visor de PDF. El iframe lo añade el script de la página
+ * (el saneado elimina los iframes del contenido de las notas).
+ *
+ * @param {string} src - URL de /files/*
+ * @param {string} name - Nombre del archivo
+ * @param {number|null} [page] - Página inicial
+ * @returns {string} HTML del visor
+ */
+export function createPdfHtml(src, name, page = null) {
+	const url = page ? `${src}#page=${page}` : src;
+	const pageAttr = page ? ` data-pdf-page="${page}"` : '';
+	const pageLabel = page ? ` (page ${page})` : '';
+	return `<div class="notion-pdf" data-pdf-url="${escapeHtml(src)}"${pageAttr} data-pdf-name="${escapeHtml(name)}">
+			<div class="notion-pdf-header"><span class="notion-pdf-name">📄 ${escapeHtml(name)}${pageLabel}</span><a href="${escapeHtml(url)}" class="notion-text-link" target="_blank" rel="noopener noreferrer">Open</a></div>
+		</div>`;
+}
+
+/**
+ * Crea un placeholder para un PDF que no se puede mostrar.
+ *
+ * @param {string} fileName - Nombre del archivo
+ * @param {string} [hint='(Archivo no encontrado)'] - Explicación bajo el nombre
+ * @param {string} [modifier='missing'] - Modificador de la clase ('missing' o 'attachment')
+ * @returns {string} HTML del placeholder
+ */
+export function createPdfPlaceholder(fileName, hint = '(Archivo no encontrado)', modifier = 'missing') {
+	return `<div class="notion-pdf notion-pdf--${modifier}" style="padding: 20px; text-align: center; background: #f5f5f5; border-radius: 4px;">
+			<p style="color: #666; margin: 0;">📄 ${escapeHtml(fileName)}</p>
+			<p style="color: #999; font-size: 12px; margin: 5px 0 0 0;">${escapeHtml(hint)}</p>
+		</div>`;
+}
+
+// ============================================
+// AUXILIARES
+// ============================================
+
+/**
+ * Decodifica el src de una imagen local a la ruta del link en el vault.
+ *
+ * @param {string} src - Atributo src (codificado, puede tener query o ancla)
+ * @returns {string} Ruta del link
+ */
+function decodeImagePath(src) {
+	const path = src.split(/[?#]/)[0].replace(/&amp;/g, '&');
+	try {
+		return decodeURIComponent(path);
+	} catch {
+		return path;
+	}
+}
+
+/**
+ * @param {string} url - URL
+ * @returns {boolean} true si es http(s)
+ */
+function isExternalUrl(url) {
+	return url.startsWith('http://') || url.startsWith('https://');
+}
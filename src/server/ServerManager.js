@@ -5,11 +5,103 @@
  * - Start/stop HTTP server on localhost
  * - Manage server lifecycle
  * - Register routes
+ * - Check access tokens and allowed origins
+ * - Push Server-Sent Events to subscribed clients
+ * - Stream files with HTTP Range support
+ * - Cache validators (ETag, Last-Modified), 304 responses and per-route Cache-Control
  * - No domain logic
  */
 
 import http from 'http';
 import { URL } from 'url';
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+
+/**
+ * Interval between SSE keep-alive comments (ms).
+ * Keeps idle connections open through the tunnel and proxies.
+ */
+const SSE_HEARTBEAT_INTERVAL = 25000;
+
+/**
+ * Cache-Control policies for registerRoute().
+ * Every URL carries an access token, so responses are never cacheable by shared caches
+ * (the Cloudflare edge): a rotated token must stop working at once. Browsers keep a
+ * private copy and revalidate it with the ETag / Last-Modified validators.
+ */
+export const CACHE_POLICIES = {
+	/** Never stored (event streams) */
+	NO_STORE: 'no-store',
+	/** Browser-only copy, revalidated on every use (ETag → 304) */
+	REVALIDATE: 'private, no-cache'
+};
+
+/**
+ * Builds a strong ETag from the content of a response.
+ *
+ * @param {string|Buffer} body - Response body
+ * @returns {string} Quoted ETag
+ */
+export function createContentETag(body) {
+	return `"${createHash('sha1').update(body).digest('base64url')}"`;
+}
+
+/**
+ * Builds an ETag for a file from its size and modification time (no need to read it).
+ *
+ * @param {number} size - Size in bytes
+ * @param {number} mtime - Modification time (ms)
+ * @param {string} [variant=''] - Variant of the file (e.g. "w400" for a thumbnail)
+ * @returns {string} Quoted ETag
+ */
+export function createFileETag(size, mtime, variant = '') {
+	const suffix = variant ? `-${variant}` : '';
+	return `"${size.toString(16)}-${Math.floor(mtime).toString(16)}${suffix}"`;
+}
+
+/**
+ * Generates a random URL-safe access token.
+ *
+ * @returns {string} Hex token (32 chars)
+ */
+export function generateAccessToken() {
+	return randomBytes(16).toString('hex');
+}
+
+/**
+ * Parses a single-range Range header ("bytes=0-1023", "bytes=500-", "bytes=-500").
+ * Multiple ranges are not supported; the whole file is sent instead.
+ *
+ * @param {string|undefined} header - Range header
+ * @param {number} size - File size in bytes
+ * @returns {{start: number, end: number}|null|false} Inclusive byte range, null if there is no
+ *   usable range (send the whole file), or false if it cannot be satisfied (416)
+ */
+export function parseRange(header, size) {
+	const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+	if (!match || (match[1] === '' && match[2] === '')) {
+		return null;
+	}
+
+	let start;
+	let end;
+	if (match[1] === '') {
+		// Suffix range: the last N bytes
+		const length = parseInt(match[2], 10);
+		if (length === 0) {
+			return false;
+		}
+		start = Math.max(0, size - length);
+		end = size - 1;
+	} else {
+		start = parseInt(match[1], 10);
+		end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+	}
+
+	if (start >= size || end < start) {
+		return false;
+	}
+	return { start, end };
+}
 
 /**
  * Local HTTP server manager.
@@ -31,6 +123,43 @@ export class ServerManager {
 		
 		/** @type {Map<string, Function>} */
 		this.routes = new Map();
+		
+		/** @type {Map<string, string>} Route key → Cache-Control policy */
+		this.cachePolicies = new Map();
+		
+		/** @type {Object<string, string>|null} Role → token (e.g. { gm, player }); null disables the check */
+		this.accessTokens = null;
+		
+		/** @type {string[]} Allowed CORS origins; empty allows any origin */
+		this.allowedOrigins = [];
+		
+		/** @type {Map<http.ServerResponse, string|null>} Open Server-Sent Events connections → access role */
+		this.eventClients = new Map();
+		
+		/** @type {NodeJS.Timeout|null} */
+		this.heartbeatTimer = null;
+	}
+
+	/**
+	 * Sets the access tokens required in the URL path.
+	 * Requests must start with /<token>/ (or carry ?token=<token>); the prefix is
+	 * removed before routing and the matching role is exposed as req.accessRole.
+	 *
+	 * @param {Object<string, string>|null} tokens - Role → token map, or null to disable
+	 */
+	setAccessTokens(tokens) {
+		this.accessTokens = tokens;
+	}
+
+	/**
+	 * Sets the origins allowed by CORS.
+	 *
+	 * @param {string[]} origins - Allowed origins (e.g. "https://www.owlbear.rodeo"); empty allows any
+	 */
+	setAllowedOrigins(origins) {
+		this.allowedOrigins = (origins || [])
+			.map(origin => origin.trim().replace(/\/$/, ''))
+			.filter(Boolean);
 	}
 
 	/**
@@ -72,6 +201,9 @@ export class ServerManager {
 			return;
 		}
 
+		// Close open event streams, otherwise close() waits for them forever
+		this._closeEventClients();
+
 		return new Promise((resolve) => {
 			this.server.close(() => {
 				this.server = null;
@@ -95,10 +227,114 @@ export class ServerManager {
 	 * @param {string} method - HTTP method (GET, POST, etc.)
 	 * @param {string} path - Path (may include params like :slug)
 	 * @param {Function} handler - Handler function(req, res, params)
+	 * @param {Object} [options] - Route options
+	 * @param {string} [options.cache] - Cache-Control of successful responses (CACHE_POLICIES); errors are never cached
 	 */
-	registerRoute(method, path, handler) {
+	registerRoute(method, path, handler, options = {}) {
 		const key = `${method}:${path}`;
 		this.routes.set(key, handler);
+		if (options.cache) {
+			this.cachePolicies.set(key, options.cache);
+		} else {
+			this.cachePolicies.delete(key);
+		}
+	}
+
+	/**
+	 * Registers a Server-Sent Events endpoint.
+	 * Clients connected to it receive the events passed to broadcast() for their access role.
+	 *
+	 * @param {string} path - Path of the endpoint (e.g. "/events")
+	 */
+	registerEventStream(path) {
+		this.registerRoute('GET', path, (req, res) => this._openEventStream(req, res), { cache: CACHE_POLICIES.NO_STORE });
+	}
+
+	/**
+	 * Sends an event to the connected Server-Sent Events clients.
+	 *
+	 * @param {string} event - Event name
+	 * @param {Object|function((string|null)): (Object|null)} data - Event payload (sent as JSON), or
+	 *   access role → payload for that role (null: clients with that role don't get the event)
+	 */
+	broadcast(event, data) {
+		const messages = new Map();
+		for (const [client, role] of this.eventClients) {
+			if (!messages.has(role)) {
+				const payload = typeof data === 'function' ? data(role) : data;
+				messages.set(role, payload === null ? null : `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+			}
+			const message = messages.get(role);
+			if (message !== null) {
+				client.write(message);
+			}
+		}
+	}
+
+	/**
+	 * @param {string} role - Access role (e.g. 'player')
+	 * @returns {boolean} true if a Server-Sent Events client with that role is connected
+	 */
+	hasEventClients(role) {
+		return [...this.eventClients.values()].includes(role);
+	}
+
+	/**
+	 * Opens a Server-Sent Events stream on the response and keeps it until the client disconnects.
+	 *
+	 * @private
+	 * @param {http.IncomingMessage} req - Request
+	 * @param {http.ServerResponse} res - Response
+	 */
+	_openEventStream(req, res) {
+		res.writeHead(200, {
+			'Content-Type': 'text/event-stream',
+			'Cache-Control': 'no-cache',
+			'Connection': 'keep-alive',
+			'X-Accel-Buffering': 'no'
+		});
+		res.write('retry: 3000\n\n');
+		
+		this.eventClients.set(res, req.accessRole || null);
+		if (!this.heartbeatTimer) {
+			this.heartbeatTimer = setInterval(() => {
+				for (const client of this.eventClients.keys()) {
+					client.write(': ping\n\n');
+				}
+			}, SSE_HEARTBEAT_INTERVAL);
+		}
+		
+		req.on('close', () => {
+			this.eventClients.delete(res);
+			if (this.eventClients.size === 0) {
+				this._stopHeartbeat();
+			}
+		});
+	}
+
+	/**
+	 * Ends every open Server-Sent Events connection.
+	 *
+	 * @private
+	 */
+	_closeEventClients() {
+		for (const client of this.eventClients.keys()) {
+			client.end();
+		}
+		this.eventClients.clear();
+		this._stopHeartbeat();
+	}
+
+	/**
+	 * Stops the SSE keep-alive timer.
+	 *
+	 * @private
+	 */
+	_stopHeartbeat() {
+		if (this.heartbeatTimer) {
+			clearInterval(this.heartbeatTimer);
+			this.heartbeatTimer = null;
+		}
 	}
 
 	/**
@@ -120,19 +356,88 @@ export class ServerManager {
 
 		const url = new URL(req.url, `http://${req.headers.host}`);
 		const method = req.method;
-		const pathname = url.pathname;
+		let pathname = url.pathname;
+		
+		// Check access token and strip it from the URL seen by handlers
+		if (this.accessTokens) {
+			const access = this._authenticate(url);
+			if (!access) {
+				this.sendError(res, 401, 'Unauthorized');
+				return;
+			}
+			
+			req.accessRole = access.role;
+			pathname = access.pathname;
+			url.searchParams.delete('token');
+			req.url = `${pathname}${url.search}`;
+		}
 
 		// Find matching route
 		const handler = this._findRoute(method, pathname);
 		
 		if (handler) {
+			const cachePolicy = this.cachePolicies.get(`${method}:${handler.route}`);
+			if (cachePolicy) {
+				res.setHeader('Cache-Control', cachePolicy);
+			}
 			const params = this._extractParams(method, pathname, handler.route);
 			handler.fn(req, res, params);
 		} else {
-			this._sendError(res, 404, 'Route not found');
+			this.sendError(res, 404, 'Route not found');
 		}
 	}
 
+	/**
+	 * Validates the access token of a request.
+	 * Accepts the token as the first path segment or as the "token" query param.
+	 *
+	 * @private
+	 * @param {URL} url - Parsed request URL
+	 * @returns {{role: string, pathname: string}|null} Role and path without token, or null if invalid
+	 */
+	_authenticate(url) {
+		const match = url.pathname.match(/^\/([^/]+)(\/.*)?$/);
+		if (match) {
+			const role = this._findTokenRole(match[1]);
+			if (role) {
+				return { role, pathname: match[2] || '/' };
+			}
+		}
+		
+		const queryToken = url.searchParams.get('token');
+		if (queryToken) {
+			const role = this._findTokenRole(queryToken);
+			if (role) {
+				return { role, pathname: url.pathname };
+			}
+		}
+		
+		return null;
+	}
+
+	/**
+	 * Returns the role whose token matches (constant-time comparison).
+	 *
+	 * @private
+	 * @param {string} candidate - Token from the request
+	 * @returns {string|null} Role or null
+	 */
+	_findTokenRole(candidate) {
+		const candidateBuffer = Buffer.from(candidate);
+		
+		for (const [role, token] of Object.entries(this.accessTokens || {})) {
+			if (!token) {
+				continue;
+			}
+			const tokenBuffer = Buffer.from(token);
+			if (tokenBuffer.length === candidateBuffer.length && timingSafeEqual(tokenBuffer, candidateBuffer)) {
+				return role;
+			}
+		}
+		
+		return null;
+	}
+
 	/**
 	 * Finds the route that matches the path.
 	 *
@@ -224,53 +529,226 @@ export class ServerManager {
 	 * @param {http.IncomingMessage} req - Request (optional, for private network detection)
 	 */
 	_setCORSHeaders(res, req = null) {
-		res.setHeader('Access-Control-Allow-Origin', '*');
+		if (this.allowedOrigins.length === 0) {
+			res.setHeader('Access-Control-Allow-Origin', '*');
+		} else {
+			// Only echo back allowed origins; other origins get no CORS header and are blocked by the browser
+			const origin = (req?.headers.origin || '').replace(/\/$/, '');
+			if (this.allowedOrigins.includes(origin)) {
+				res.setHeader('Access-Control-Allow-Origin', origin);
+			}
+			res.setHeader('Vary', 'Origin');
+		}
 		res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-		res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Access-Control-Request-Private-Network');
+		res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Range, Access-Control-Request-Private-Network');
+		res.setHeader('Access-Control-Expose-Headers', 'Accept-Ranges, Content-Range, Content-Length, ETag, Last-Modified');
 		res.setHeader('Access-Control-Max-Age', '86400'); // Cache preflight 24h
 		
 		// Private Network Access (Chrome/modern browsers)
 		res.setHeader('Access-Control-Allow-Private-Network', 'true');
-		
-		// NOTE: In production, restrict origin:
-		// res.setHeader('Access-Control-Allow-Origin', 'https://owlbear.rodeo');
 	}
 
 	/**
-	 * Sends an error response.
+	 * Sends an error response ({ error: message }).
 	 *
-	 * @private
 	 * @param {http.ServerResponse} res - Response
 	 * @param {number} statusCode - HTTP status code
 	 * @param {string} message - Error message
 	 */
-	_sendError(res, statusCode, message) {
-		res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+	sendError(res, statusCode, message) {
+		res.writeHead(statusCode, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
 		res.end(JSON.stringify({ error: message }));
 	}
 
 	/**
-	 * Sends a JSON response.
+	 * Sends a JSON response. Successful responses carry an ETag of the content
+	 * and get a 304 when the client already has them.
 	 *
 	 * @param {http.ServerResponse} res - Response
 	 * @param {Object} data - Data to send
 	 * @param {number} statusCode - Status code (default 200)
+	 * @param {Object} [options] - Cache options
+	 * @param {number} [options.lastModified] - Modification time of the source files (ms)
 	 */
-	sendJSON(res, data, statusCode = 200) {
-		res.writeHead(statusCode, { 'Content-Type': 'application/json' });
-		res.end(JSON.stringify(data, null, 2));
+	sendJSON(res, data, statusCode = 200, options = {}) {
+		this._sendContent(res, JSON.stringify(data, null, 2), 'application/json', statusCode, options);
 	}
 
 	/**
-	 * Sends an HTML response.
+	 * Sends an HTML response. Successful responses carry an ETag of the content
+	 * and get a 304 when the client already has them.
 	 *
 	 * @param {http.ServerResponse} res - Response
 	 * @param {string} html - HTML to send
 	 * @param {number} statusCode - Status code (default 200)
+	 * @param {Object} [options] - Cache options
+	 * @param {number} [options.lastModified] - Modification time of the source files (ms)
 	 */
-	sendHTML(res, html, statusCode = 200) {
-		res.writeHead(statusCode, { 'Content-Type': 'text/html; charset=utf-8' });
-		res.end(html);
+	sendHTML(res, html, statusCode = 200, options = {}) {
+		this._sendContent(res, html, 'text/html; charset=utf-8', statusCode, options);
 	}
-}
 
+	/**
+	 * Sends a binary response (e.g. an image), with 304 support.
+	 *
+	 * @param {http.ServerResponse} res - Response
+	 * @param {Buffer} data - Content
+	 * @param {string} contentType - MIME type
+	 * @param {Object} [options] - Cache options
+	 * @param {string} [options.etag] - ETag (see createFileETag); a content hash by default
+	 * @param {number} [options.lastModified] - Modification time of the file (ms)
+	 */
+	sendBuffer(res, data, contentType, options = {}) {
+		const validators = this._getValidators(options.etag || createContentETag(data), options.lastModified);
+		if (this._isNotModified(res.req, validators)) {
+			this._sendNotModified(res, validators);
+			return;
+		}
+		
+		res.writeHead(200, {
+			'Content-Type': contentType,
+			'Content-Length': data.length,
+			...validators
+		});
+		res.end(data);
+	}
+
+	/**
+	 * Streams a file, honouring the Range header (206 Partial Content) so audio and
+	 * video can be seeked without downloading the whole file.
+	 *
+	 * @param {http.IncomingMessage} req - Request
+	 * @param {http.ServerResponse} res - Response
+	 * @param {Object} file - File to send
+	 * @param {number} file.size - Size in bytes
+	 * @param {string} file.contentType - MIME type
+	 * @param {function(number, number): import('stream').Readable} file.openStream - (start, end) → stream of the inclusive byte range
+	 * @param {number} [file.mtime] - Modification time (ms), for ETag, Last-Modified and 304 responses
+	 */
+	sendStream(req, res, { size, contentType, openStream, mtime }) {
+		const validators = mtime ? this._getValidators(createFileETag(size, mtime), mtime) : {};
+		if (mtime && this._isNotModified(req, validators)) {
+			this._sendNotModified(res, validators);
+			return;
+		}
+		
+		// If-Range: the range is only valid for the version the client already has
+		const ifRange = req.headers['if-range'];
+		const rangeHeader = ifRange && ifRange !== validators.ETag && ifRange !== validators['Last-Modified']
+			? null
+			: req.headers.range;
+		const range = parseRange(rangeHeader, size);
+		
+		if (range === false) {
+			res.writeHead(416, { 'Content-Range': `bytes */${size}`, 'Accept-Ranges': 'bytes', 'Cache-Control': 'no-store' });
+			res.end();
+			return;
+		}
+		
+		const start = range ? range.start : 0;
+		const end = range ? range.end : size - 1;
+		const headers = {
+			'Content-Type': contentType,
+			'Content-Length': size === 0 ? 0 : end - start + 1,
+			'Accept-Ranges': 'bytes',
+			...validators
+		};
+		if (range) {
+			headers['Content-Range'] = `bytes ${start}-${end}/${size}`;
+		}
+		res.writeHead(range ? 206 : 200, headers);
+		
+		if (size === 0) {
+			res.end();
+			return;
+		}
+		
+		const stream = openStream(start, end);
+		stream.on('error', (error) => {
+			console.error('[ServerManager] Error streaming file:', error);
+			res.destroy(error);
+		});
+		// Players abort requests when seeking; stop reading the file
+		res.on('close', () => stream.destroy());
+		stream.pipe(res);
+	}
+
+	/**
+	 * Sends text content: errors as-is and never cached, successful responses with validators.
+	 *
+	 * @private
+	 * @param {http.ServerResponse} res - Response
+	 * @param {string} body - Content
+	 * @param {string} contentType - MIME type
+	 * @param {number} statusCode - Status code
+	 * @param {{lastModified?: number}} options - Cache options
+	 */
+	_sendContent(res, body, contentType, statusCode, options) {
+		if (statusCode !== 200) {
+			res.writeHead(statusCode, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+			res.end(body);
+			return;
+		}
+		
+		const validators = this._getValidators(createContentETag(body), options.lastModified);
+		if (this._isNotModified(res.req, validators)) {
+			this._sendNotModified(res, validators);
+			return;
+		}
+		
+		res.writeHead(200, { 'Content-Type': contentType, ...validators });
+		res.end(body);
+	}
+
+	/**
+	 * @private
+	 * @param {string} etag - ETag
+	 * @param {number} [lastModified] - Modification time (ms)
+	 * @returns {{ETag: string, 'Last-Modified'?: string}} Validator headers
+	 */
+	_getValidators(etag, lastModified) {
+		const headers = { 'ETag': etag };
+		if (lastModified) {
+			headers['Last-Modified'] = new Date(lastModified).toUTCString();
+		}
+		return headers;
+	}
+
+	/**
+	 * Checks the conditional headers of a request. If-None-Match takes precedence:
+	 * If-Modified-Since is only used when the client sends no ETag.
+	 *
+	 * @private
+	 * @param {http.IncomingMessage|undefined} req - Request
+	 * @param {{ETag: string, 'Last-Modified'?: string}} validators - Validators of the response
+	 * @returns {boolean} true if the client's copy is still valid (304)
+	 */
+	_isNotModified(req, validators) {
+		if (!req || req.method !== 'GET') {
+			return false;
+		}
+		
+		const ifNoneMatch = req.headers['if-none-match'];
+		if (ifNoneMatch) {
+			const etag = validators.ETag.replace(/^W\//, '');
+			return ifNoneMatch.trim() === '*'
+				|| ifNoneMatch.split(',').some(candidate => candidate.trim().replace(/^W\//, '') === etag);
+		}
+		
+		const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+		const lastModified = Date.parse(validators['Last-Modified'] || '');
+		return Number.isFinite(ifModifiedSince) && Number.isFinite(lastModified) && lastModified <= ifModifiedSince;
+	}
+
+	/**
+	 * Sends 304 Not Modified with the validators (and the route's Cache-Control, already set).
+	 *
+	 * @private
+	 * @param {http.ServerResponse} res - Response
+	 * @param {Object} validators - Validator headers
+	 */
+	_sendNotModified(res, validators) {
+		res.writeHead(304, validators);
+		res.end();
+	}
+}
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview On-disk cache of image thumbnails served by /images/*?w=.
+ *
+ * Responsibilities:
+ * - Store resized images in a folder of the plugin directory
+ * - Key entries by vault path, modification time and width, so editing an image
+ *   invalidates its thumbnails
+ * - Remove thumbnails of older versions of an image, and of deleted or renamed images
+ * - Generate each thumbnail once, even with concurrent requests
+ */
+
+import { mkdir, readFile, readdir, unlink, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { createHash } from 'crypto';
+
+/**
+ * File extension → MIME type of stored thumbnails.
+ */
+const THUMBNAIL_FORMATS = {
+	'jpg': 'image/jpeg',
+	'webp': 'image/webp',
+	'png': 'image/png'
+};
+
+/**
+ * Image thumbnail cache in the plugin directory.
+ *
+ * @class ThumbnailCache
+ */
+export class ThumbnailCache {
+	/**
+	 * Creates a ThumbnailCache instance.
+	 *
+	 * @param {string|null} directory - Absolute path of the cache folder; null disables the disk cache
+	 */
+	constructor(directory) {
+		/** @type {string|null} */
+		this.directory = directory;
+
+		/** @type {Map<string, Promise<{data: Buffer, mimeType: string}>>} Thumbnails being generated */
+		this.pending = new Map();
+	}
+
+	/**
+	 * Returns the thumbnail of an image, generating and storing it if needed.
+	 *
+	 * @param {Object} image - Image to resize
+	 * @param {string} image.path - Vault path
+	 * @param {number} image.mtime - Modification time (ms)
+	 * @param {number} width - Thumbnail width in pixels
+	 * @param {function(): Promise<{data: ArrayBuffer, mimeType: string}>} generate - Resizes the image (cache miss)
+	 * @returns {Promise<{data: Buffer, mimeType: string}>} Thumbnail
+	 */
+	async get(image, width, generate) {
+		const key = `${this._hashPath(image.path)}-${Math.floor(image.mtime)}-w${width}`;
+		if (!this.pending.has(key)) {
+			const promise = this._load(key, image, generate).finally(() => this.pending.delete(key));
+			this.pending.set(key, promise);
+		}
+		return this.pending.get(key);
+	}
+
+	/**
+	 * Removes every thumbnail of an image (deleted or renamed in the vault).
+	 * Errors are logged: a leftover thumbnail is never served again, it only takes space.
+	 *
+	 * @param {string} path - Vault path the image had
+	 * @returns {Promise<void>}
+	 */
+	async remove(path) {
+		if (!this.directory) {
+			return;
+		}
+
+		const hash = this._hashPath(path);
+		try {
+			for (const name of await readdir(this.directory)) {
+				if (name.startsWith(`${hash}-`)) {
+					await unlink(join(this.directory, name)).catch(() => {});
+				}
+			}
+		} catch (error) {
+			if (error.code !== 'ENOENT') {
+				console.warn('[ThumbnailCache] Could not remove thumbnails:', error);
+			}
+		}
+	}
+
+	/**
+	 * Reads a thumbnail from disk or generates it.
+	 *
+	 * @private
+	 * @param {string} key - Cache key (file name without extension)
+	 * @param {{path: string, mtime: number}} image - Image to resize
+	 * @param {function(): Promise<{data: ArrayBuffer, mimeType: string}>} generate - Resizes the image
+	 * @returns {Promise<{data: Buffer, mimeType: string}>} Thumbnail
+	 */
+	async _load(key, image, generate) {
+		const cached = await this._read(key);
+		if (cached) {
+			return cached;
+		}
+
+		const thumbnail = await generate();
+		const data = Buffer.from(thumbnail.data);
+		await this._write(key, image.path, data, thumbnail.mimeType);
+		return { data, mimeType: thumbnail.mimeType };
+	}
+
+	/**
+	 * @private
+	 * @param {string} key - Cache key
+	 * @returns {Promise<{data: Buffer, mimeType: string}|null>} Cached thumbnail or null
+	 */
+	async _read(key) {
+		if (!this.directory) {
+			return null;
+		}
+
+		// The extension stores the MIME type (a small image may be kept in its original format)
+		for (const [extension, mimeType] of Object.entries(THUMBNAIL_FORMATS)) {
+			try {
+				return { data: await readFile(join(this.directory, `${key}.${extension}`)), mimeType };
+			} catch (error) {
+				if (error.code !== 'ENOENT') {
+					console.warn('[ThumbnailCache] Could not read thumbnail:', error);
+				}
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Stores a thumbnail and removes the ones of older versions of the same image.
+	 * Errors are logged: the thumbnail is still served, just not cached.
+	 *
+	 * @private
+	 * @param {string} key - Cache key
+	 * @param {string} path - Vault path of the image
+	 * @param {Buffer} data - Thumbnail
+	 * @param {string} mimeType - MIME type
+	 * @returns {Promise<void>}
+	 */
+	async _write(key, path, data, mimeType) {
+		const extension = Object.keys(THUMBNAIL_FORMATS).find(ext => THUMBNAIL_FORMATS[ext] === mimeType);
+		if (!this.directory || !extension) {
+			return;
+		}
+
+		try {
+			await mkdir(this.directory, { recursive: true });
+			await writeFile(join(this.directory, `${key}.${extension}`), data);
+
+			const [hash, mtime] = key.split('-');
+			for (const name of await readdir(this.directory)) {
+				if (name.startsWith(`${hash}-`) && !name.startsWith(`${hash}-${mtime}-`)) {
+					await unlink(join(this.directory, name)).catch(() => {});
+				}
+			}
+		} catch (error) {
+			console.warn('[ThumbnailCache] Could not store thumbnail:', error);
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {string} path - Vault path
+	 * @returns {string} Short hex hash of the path (safe as a file name)
+	 */
+	_hashPath(path) {
+		return createHash('sha1').update(path).digest('hex').slice(0, 16);
+	}
+}
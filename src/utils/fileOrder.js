@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Orden de archivos y carpetas según la configuración del explorador de Obsidian.
+ */
+
+/**
+ * Lee el orden del explorador de archivos de la configuración del vault.
+ *
+ * @param {import('obsidian').Vault} vault - Vault de Obsidian
+ * @returns {string} 'alphabetical', 'alphabeticalReverse', 'byModifiedTime', 'byModifiedTimeReverse', 'byCreatedTime' o 'byCreatedTimeReverse'
+ */
+export function getFileSortOrder(vault) {
+	return vault.getConfig?.('fileSortOrder')
+		|| vault.config?.fileSortOrder
+		|| 'alphabetical';
+}
+
+/**
+ * Ordena archivos o carpetas como el explorador de archivos de Obsidian.
+ *
+ * @template {import('obsidian').TAbstractFile} T
+ * @param {T[]} items - Archivos o carpetas
+ * @param {import('obsidian').Vault} vault - Vault de Obsidian (de donde se lee el orden)
+ * @returns {T[]} Copia ordenada
+ */
+export function sortByObsidianConfig(items, vault) {
+	const sorted = [...items];
+
+	switch (getFileSortOrder(vault)) {
+		case 'alphabeticalReverse':
+			sorted.sort((a, b) => b.name.localeCompare(a.name));
+			break;
+		case 'byModifiedTime':
+			sorted.sort((a, b) => (b.stat?.mtime || 0) - (a.stat?.mtime || 0));
+			break;
+		case 'byModifiedTimeReverse':
+			sorted.sort((a, b) => (a.stat?.mtime || 0) - (b.stat?.mtime || 0));
+			break;
+		case 'byCreatedTime':
+			sorted.sort((a, b) => (b.stat?.ctime || 0) - (a.stat?.ctime || 0));
+			break;
+		case 'byCreatedTimeReverse':
+			sorted.sort((a, b) => (a.stat?.ctime || 0) - (b.stat?.ctime || 0));
+			break;
+		default:
+			// 'alphabetical' y cualquier valor desconocido
+			sorted.sort((a, b) => a.name.localeCompare(b.name));
+	}
+
+	return sorted;
+}
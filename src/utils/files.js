@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Utilidades para documentos del vault (handouts en PDF).
+ *
+ * Los PDF se sirven por /files/* y se muestran en un visor dentro de la página.
+ * En la exportación JSON pueden ir como adjuntos del paquete exportado.
+ */
+
+/**
+ * Tipos MIME de las extensiones de documento soportadas.
+ */
+export const FILE_MIME_TYPES = {
+	'pdf': 'application/pdf'
+};
+
+/**
+ * Carpeta de los adjuntos dentro del paquete exportado.
+ */
+export const ATTACHMENTS_FOLDER = 'attachments';
+
+/**
+ * @param {string} path - Ruta o nombre del archivo (puede llevar #page=3)
+ * @returns {boolean} true si es un PDF
+ */
+export function isPdfPath(path) {
+	return /\.pdf$/i.test(String(path).split('#')[0].trim());
+}
+
+/**
+ * Lee la página de un enlace a un PDF: "Handout.pdf#page=3" → 3.
+ *
+ * @param {string} linkPath - Enlace con o sin fragmento
+ * @returns {number|null} Página (desde 1), o null si no se indica
+ */
+export function getPdfPage(linkPath) {
+	const match = /#(?:.*&)?page=(\d+)/i.exec(String(linkPath));
+	const page = match ? parseInt(match[1], 10) : 0;
+	return page > 0 ? page : null;
+}
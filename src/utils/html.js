@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Utilidades de HTML compartidas por el renderizado y la exportación.
+ */
+
+const HTML_ESCAPES = {
+	'&': '&amp;',
+	'<': '&lt;',
+	'>': '&gt;',
+	'"': '&quot;',
+	"'": '&#039;'
+};
+
+/**
+ * Escapa HTML para prevenir XSS.
+ *
+ * @param {string} text - Texto a escapar
+ * @returns {string} Texto escapado
+ */
+export function escapeHtml(text) {
+	if (!text) return '';
+	return String(text).replace(/[&<>"']/g, m => HTML_ESCAPES[m]);
+}
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Utilidades para imágenes del vault: tipos MIME, redimensionado, miniaturas y data URIs.
+ *
+ * El redimensionado usa las APIs de imagen del navegador (createImageBitmap + canvas),
+ * disponibles en Obsidian. Si no lo están, se conserva la imagen original.
+ */
+
+/**
+ * Tipos MIME de las extensiones de imagen soportadas.
+ */
+export const IMAGE_MIME_TYPES = {
+	'jpg': 'image/jpeg',
+	'jpeg': 'image/jpeg',
+	'png': 'image/png',
+	'gif': 'image/gif',
+	'webp': 'image/webp',
+	'svg': 'image/svg+xml'
+};
+
+/**
+ * Extensiones de imagen soportadas (galerías, /images/* y exportación).
+ */
+export const IMAGE_EXTENSIONS = Object.keys(IMAGE_MIME_TYPES);
+
+/**
+ * Formatos que se pueden redimensionar (GIF puede ser animado y SVG es vectorial).
+ */
+const RESIZABLE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'webp'];
+
+/**
+ * Anchos de miniatura que sirve /images/*?w=: cualquier otro se redondea al siguiente,
+ * así la caché en disco no crece con cada ancho pedido.
+ */
+export const THUMBNAIL_WIDTHS = [200, 400, 800, 1200];
+
+/**
+ * Calidad (0–1) de las miniaturas.
+ */
+export const THUMBNAIL_QUALITY = 0.8;
+
+/**
+ * @param {string} extension - Extensión del archivo (ej: 'png')
+ * @returns {boolean} true si la imagen se puede redimensionar
+ */
+export function isResizableImage(extension) {
+	return RESIZABLE_EXTENSIONS.includes(String(extension).toLowerCase());
+}
+
+/**
+ * Redondea un ancho pedido al ancho de miniatura más cercano por arriba.
+ *
+ * @param {string|number|null} requested - Ancho pedido (?w=400)
+ * @returns {number|null} Ancho de THUMBNAIL_WIDTHS, o null si no es un ancho válido
+ */
+export function getThumbnailWidth(requested) {
+	const width = parseInt(requested, 10);
+	if (!Number.isFinite(width) || width <= 0) {
+		return null;
+	}
+	return THUMBNAIL_WIDTHS.find(size => size >= width) || THUMBNAIL_WIDTHS[THUMBNAIL_WIDTHS.length - 1];
+}
+
+/**
+ * Reduce una imagen para que su lado mayor no supere maxDimension (y su ancho, maxWidth).
+ * JPEG se recodifica como JPEG y el resto como WebP (conserva la transparencia).
+ * Devuelve la imagen original si no hace falta reducirla, no se puede, o el resultado ocupa más.
+ *
+ * @param {ArrayBuffer} data - Contenido del archivo
+ * @param {string} extension - Extensión del archivo (ej: 'png')
+ * @param {Object} options - Opciones
+ * @param {number} [options.maxDimension] - Lado mayor máximo en píxeles (0 = sin límite)
+ * @param {number} [options.maxWidth] - Ancho máximo en píxeles (0 = sin límite)
+ * @param {number} options.quality - Calidad de 0 a 1
+ * @returns {Promise<{data: ArrayBuffer, mimeType: string, resized: boolean}>} Imagen resultante
+ */
+export async function resizeImage(data, extension, { maxDimension = 0, maxWidth = 0, quality }) {
+	const ext = extension.toLowerCase();
+	const original = { data, mimeType: IMAGE_MIME_TYPES[ext] || 'application/octet-stream', resized: false };
+
+	if ((!maxDimension && !maxWidth) || !isResizableImage(ext) || typeof createImageBitmap !== 'function') {
+		return original;
+	}
+
+	let bitmap;
+	try {
+		bitmap = await createImageBitmap(new Blob([data], { type: original.mimeType }));
+		const scale = Math.min(
+			maxDimension ? maxDimension / Math.max(bitmap.width, bitmap.height) : Infinity,
+			maxWidth ? maxWidth / bitmap.width : Infinity
+		);
+		if (scale >= 1) {
+			return original;
+		}
+
+		const width = Math.max(1, Math.round(bitmap.width * scale));
+		const height = Math.max(1, Math.round(bitmap.height * scale));
+		const canvas = document.createElement('canvas');
+		canvas.width = width;
+		canvas.height = height;
+		canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+
+		const mimeType = original.mimeType === 'image/jpeg' ? 'image/jpeg' : 'image/webp';
+		const blob = await new Promise(resolve => canvas.toBlob(resolve, mimeType, quality));
+		if (!blob || blob.size >= data.byteLength) {
+			return original;
+		}
+
+		return { data: await blob.arrayBuffer(), mimeType: blob.type || mimeType, resized: true };
+	} catch (error) {
+		console.warn(`[images] Could not resize image (${ext}), using the original:`, error);
+		return original;
+	} finally {
+		bitmap?.close?.();
+	}
+}
+
+/**
+ * Convierte datos binarios en un data URI.
+ *
+ * @param {ArrayBuffer} data - Contenido
+ * @param {string} mimeType - Tipo MIME
+ * @returns {string} data URI en base64
+ */
+export function toDataUri(data, mimeType) {
+	return `data:${mimeType};base64,${Buffer.from(data).toString('base64')}`;
+}
@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Utilidades para audio y vídeo del vault (ambientes, clips).
+ *
+ * Los archivos se sirven por /media/* en streaming, con soporte de Range, para que
+ * el navegador pueda avanzar en la pista sin descargarla entera.
+ */
+
+/**
+ * Tipos MIME de las extensiones de audio y vídeo soportadas.
+ */
+export const MEDIA_MIME_TYPES = {
+	'mp3': 'audio/mpeg',
+	'ogg': 'audio/ogg',
+	'wav': 'audio/wav',
+	'm4a': 'audio/mp4',
+	'mp4': 'video/mp4',
+	'webm': 'video/webm'
+};
+
+/**
+ * Devuelve el tipo de reproductor de un archivo multimedia.
+ * WebM se trata como vídeo: <video> también reproduce WebM de solo audio.
+ *
+ * @param {string} path - Ruta o nombre del archivo (ej: "Ambience/tavern.mp3")
+ * @returns {'audio'|'video'|null} Tipo, o null si no es un archivo multimedia
+ */
+export function getMediaKind(path) {
+	const extension = String(path).split(/[?#]/)[0].split('.').pop().toLowerCase();
+	const mimeType = MEDIA_MIME_TYPES[extension];
+	if (!mimeType) {
+		return null;
+	}
+	return mimeType.startsWith('audio/') ? 'audio' : 'video';
+}
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Detección de tablas aleatorias (rollable tables).
+ *
+ * Una tabla es aleatoria si la primera columna de cada fila tiene un rango de dado
+ * (1, 2-3, 01–05) y la cabecera de esa columna es un dado (d6, 1d20, d%). Sin dado en
+ * la cabecera, la columna debe tener algún rango (2-3) y los rangos deben empezar en 1
+ * y seguirse sin huecos: así una tabla "Level | XP" o una lista numerada de pasos no
+ * cuentan como tabla aleatoria.
+ *
+ * | d6  | Rumor              |
+ * |-----|--------------------|
+ * | 1-2 | The mayor is a ghoul |
+ * | 3-6 | Nothing to worry    |
+ *
+ * La usan el renderizado (botón "Roll") y SessionParser (blockType "table").
+ */
+
+/**
+ * Filas necesarias para considerar una tabla aleatoria.
+ */
+const MIN_ROWS = 2;
+
+/**
+ * Parsea un rango de dado: "1", "2-3", "2–3", "01-05", "00" (= 100).
+ *
+ * @param {string} text - Texto de la celda
+ * @returns {{min: number, max: number}|null} Rango o null
+ */
+export function parseDieRange(text) {
+	const match = String(text).trim().match(/^(\d{1,3})(?:\s*[-–—]\s*(\d{1,3}))?$/);
+	if (!match) {
+		return null;
+	}
+	const toNumber = (value) => value === '00' ? 100 : parseInt(value, 10);
+	const min = toNumber(match[1]);
+	const max = match[2] !== undefined ? toNumber(match[2]) : min;
+	return max >= min ? { min, max } : null;
+}
+
+/**
+ * @param {string} text - Texto de la cabecera de la primera columna
+ * @returns {boolean} true si es un dado (d6, 1d20, d%)
+ */
+export function isDieHeader(text) {
+	return /^\d*d(\d+|%)$/i.test(String(text).trim());
+}
+
+/**
+ * Decide si una tabla es aleatoria a partir de su primera columna.
+ *
+ * @param {string} headerCell - Cabecera de la primera columna
+ * @param {string[]} firstCells - Primera celda de cada fila del cuerpo
+ * @returns {Array<{min: number, max: number}>|null} Rangos de las filas, o null si no es aleatoria
+ */
+export function getRollRanges(headerCell, firstCells) {
+	if (firstCells.length < MIN_ROWS) {
+		return null;
+	}
+
+	const ranges = firstCells.map(parseDieRange);
+	if (ranges.some(range => range === null)) {
+		return null;
+	}
+
+	if (isDieHeader(headerCell)) {
+		return ranges;
+	}
+
+	// Sin dado en la cabecera: al menos un rango (2-3), empezando en 1 y sin huecos ni solapes
+	const hasRange = ranges.some(range => range.max > range.min);
+	const contiguous = ranges[0].min === 1 && ranges.every((range, i) => i === 0 || range.min === ranges[i - 1].max + 1);
+	return hasRange && contiguous ? ranges : null;
+}
+
+/**
+ * Indica si el markdown de una nota contiene alguna tabla aleatoria.
+ *
+ * @param {string} markdown - Contenido de la nota
+ * @returns {boolean} true si hay al menos una
+ */
+export function hasRollableTable(markdown) {
+	// Las tablas dentro de callouts también cuentan
+	const lines = markdown.split('\n').map(line => line.replace(/^\s*(?:>\s*)+/, ''));
+	let fence = null;
+
+	for (let i = 0; i < lines.length - 1; i++) {
+		const fenceMatch = lines[i].match(/^\s*(```+|~~~+)/);
+		if (fence) {
+			if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+				fence = null;
+			}
+			continue;
+		}
+		if (fenceMatch) {
+			fence = fenceMatch[1];
+			continue;
+		}
+
+		if (!lines[i].includes('|') || !/^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1])) {
+			continue;
+		}
+
+		const header = splitRow(lines[i])[0];
+		const firstCells = [];
+		let j = i + 2;
+		while (j < lines.length && lines[j].includes('|') && lines[j].trim() !== '') {
+			firstCells.push(splitRow(lines[j])[0]);
+			j++;
+		}
+
+		if (getRollRanges(header, firstCells)) {
+			return true;
+		}
+		i = j - 1;
+	}
+
+	return false;
+}
+
+/**
+ * Divide una fila de tabla markdown en celdas.
+ *
+ * @param {string} line - Fila
+ * @returns {string[]} Celdas
+ */
+function splitRow(line) {
+	return line.trim()
+		.replace(/^\||\|$/g, '')
+		.split(/(?<!\\)\|/)
+		.map(cell => cell.trim());
+}
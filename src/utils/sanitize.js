@@ -0,0 +1,253 @@
+/**
+ * @fileoverview Allowlist HTML sanitizer for rendered notes.
+ *
+ * Notes are rendered with raw HTML enabled (<u>, <span>, <details>...) and served to every
+ * player's browser, so anything that can run code is removed: <script>, <iframe>, on*
+ * handlers, javascript: URLs, CSS expressions. Tags outside the allowlist are dropped
+ * (their text is kept); attributes outside the allowlist are dropped.
+ *
+ * Works on the HTML string (no DOM), so it runs the same in Obsidian and in Node.
+ */
+
+import { escapeHtml } from './html.js';
+
+/**
+ * Allowed tags, with the attributes each one accepts on top of GLOBAL_ATTRIBUTES.
+ */
+const ALLOWED_TAGS = {
+	a: ['href', 'target', 'rel', 'name'],
+	abbr: [],
+	audio: ['src', 'controls', 'preload', 'loop', 'muted'],
+	b: [],
+	blockquote: [],
+	br: [],
+	caption: [],
+	code: [],
+	col: ['span'],
+	colgroup: ['span'],
+	dd: [],
+	del: [],
+	details: ['open'],
+	div: [],
+	dl: [],
+	dt: [],
+	em: [],
+	figcaption: [],
+	figure: [],
+	h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+	hr: [],
+	i: [],
+	img: ['src', 'alt', 'width', 'height', 'loading'],
+	ins: [],
+	kbd: [],
+	li: ['value'],
+	mark: [],
+	ol: ['start', 'type', 'reversed'],
+	p: [],
+	pre: [],
+	s: [],
+	small: [],
+	source: ['src', 'type'],
+	span: [],
+	strong: [],
+	sub: [],
+	summary: [],
+	sup: [],
+	table: [],
+	tbody: [],
+	td: ['colspan', 'rowspan', 'align'],
+	tfoot: [],
+	th: ['colspan', 'rowspan', 'align', 'scope'],
+	thead: [],
+	tr: [],
+	u: [],
+	ul: [],
+	video: ['src', 'controls', 'preload', 'loop', 'muted', 'playsinline', 'poster', 'width', 'height']
+};
+
+/**
+ * Attributes allowed on every tag (plus data-* and aria-*).
+ */
+const GLOBAL_ATTRIBUTES = ['class', 'id', 'title', 'style', 'role', 'tabindex', 'lang', 'dir'];
+
+/**
+ * Tags removed together with their content.
+ */
+const DROP_WITH_CONTENT = ['script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'noscript', 'template', 'textarea', 'title', 'xmp', 'svg', 'math'];
+
+const VOID_TAGS = ['br', 'col', 'hr', 'img', 'source'];
+
+const URL_ATTRIBUTES = ['href', 'src', 'poster'];
+
+/**
+ * data-* attributes holding a URL that the page script follows (data-mention-page-url,
+ * data-image-url, data-pdf-url, data-full-src...): checked like href and src.
+ */
+const URL_DATA_ATTRIBUTE_PATTERN = /^data-(?:[a-z0-9_.-]+-)?(?:url|src)$/;
+
+const TAG_PATTERN = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?|\s*\/)*)\s*>/g;
+
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * Removes everything outside the allowlist from an HTML fragment.
+ *
+ * @param {string} html - Rendered HTML
+ * @returns {string} Sanitized HTML
+ */
+export function sanitizeHtml(html) {
+	if (!html) return '';
+
+	let result = '';
+	let lastIndex = 0;
+	let match;
+
+	TAG_PATTERN.lastIndex = 0;
+	while ((match = TAG_PATTERN.exec(html)) !== null) {
+		result += escapeStrayBrackets(html.slice(lastIndex, match.index));
+		lastIndex = TAG_PATTERN.lastIndex;
+
+		const [, closing, rawName, rawAttributes] = match;
+		if (!rawName) {
+			// Comentario HTML
+			continue;
+		}
+
+		const name = rawName.toLowerCase();
+
+		if (DROP_WITH_CONTENT.includes(name)) {
+			if (!closing) {
+				// Saltar hasta el cierre (o hasta el final si no lo hay)
+				const closeMatch = new RegExp(`</${name}\\s*>`, 'ig');
+				closeMatch.lastIndex = lastIndex;
+				const close = closeMatch.exec(html);
+				lastIndex = close ? closeMatch.lastIndex : html.length;
+				TAG_PATTERN.lastIndex = lastIndex;
+			}
+			continue;
+		}
+
+		if (!Object.prototype.hasOwnProperty.call(ALLOWED_TAGS, name)) {
+			continue;
+		}
+
+		if (closing) {
+			if (!VOID_TAGS.includes(name)) {
+				result += `</${name}>`;
+			}
+			continue;
+		}
+
+		result += `<${name}${sanitizeAttributes(name, rawAttributes || '')}>`;
+	}
+
+	result += escapeStrayBrackets(html.slice(lastIndex));
+	return result;
+}
+
+/**
+ * Keeps the allowed attributes of a tag, re-escaped.
+ *
+ * @param {string} tagName - Tag name (lowercase)
+ * @param {string} rawAttributes - Attribute source
+ * @returns {string} Attributes, each with a leading space
+ */
+function sanitizeAttributes(tagName, rawAttributes) {
+	const allowed = ALLOWED_TAGS[tagName];
+	const seen = new Set();
+	let attributes = '';
+	let match;
+
+	ATTRIBUTE_PATTERN.lastIndex = 0;
+	while ((match = ATTRIBUTE_PATTERN.exec(rawAttributes)) !== null) {
+		const name = match[1].toLowerCase();
+		const isAllowed = allowed.includes(name) || GLOBAL_ATTRIBUTES.includes(name) || /^(data|aria)-[a-z0-9_.-]+$/.test(name);
+		if (!isAllowed || seen.has(name)) {
+			continue;
+		}
+
+		const hasValue = match[2] !== undefined || match[3] !== undefined || match[4] !== undefined;
+		const value = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+
+		const isUrl = URL_ATTRIBUTES.includes(name) || URL_DATA_ATTRIBUTE_PATTERN.test(name);
+		if (isUrl && !isSafeUrl(value, tagName === 'img' && name !== 'href')) {
+			continue;
+		}
+		if (name === 'style' && !isSafeStyle(value)) {
+			continue;
+		}
+
+		seen.add(name);
+		attributes += hasValue ? ` ${name}="${escapeHtml(value)}"` : ` ${name}`;
+	}
+
+	return attributes;
+}
+
+/**
+ * @param {string} url - Decoded URL
+ * @param {boolean} allowImageData - Whether data:image/* URIs are allowed (SVG included: an <img> does not run its scripts)
+ * @returns {boolean} true for http(s), mailto, relative URLs and anchors
+ */
+function isSafeUrl(url, allowImageData) {
+	// Los navegadores ignoran espacios y caracteres de control dentro del esquema
+	const normalized = url.replace(/[\u0000- \u007f-\u009f]/g, '').toLowerCase();
+	const scheme = /^([a-z][a-z0-9+.-]*):/.exec(normalized);
+	if (!scheme) {
+		return true;
+	}
+	if (['http', 'https', 'mailto'].includes(scheme[1])) {
+		return true;
+	}
+	return allowImageData && /^data:image\/(png|jpe?g|gif|webp|avif|bmp|svg\+xml);/.test(normalized);
+}
+
+/**
+ * @param {string} style - Decoded style attribute
+ * @returns {boolean} true if the CSS cannot load resources or run code
+ */
+function isSafeStyle(style) {
+	const normalized = style.replace(/\\|\/\*[\s\S]*?\*\//g, '').toLowerCase();
+	return !/url\s*\(|expression\s*\(|javascript:|@import|behavior\s*:|-moz-binding/.test(normalized);
+}
+
+/**
+ * Escapes "<" that does not start a tag, so leftovers of broken markup stay as text.
+ *
+ * @param {string} text - Text between tags
+ * @returns {string} Escaped text
+ */
+function escapeStrayBrackets(text) {
+	return text.replace(/</g, '&lt;');
+}
+
+/**
+ * Decodes the character references of an attribute value.
+ *
+ * @param {string} value - Attribute value as written
+ * @returns {string} Decoded value
+ */
+function decodeEntities(value) {
+	return value.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos|colon|tab|newline);?/gi, (entity, code) => {
+		const lower = code.toLowerCase();
+		if (lower.startsWith('#x')) {
+			return safeFromCodePoint(parseInt(lower.slice(2), 16));
+		}
+		if (lower.startsWith('#')) {
+			return safeFromCodePoint(parseInt(lower.slice(1), 10));
+		}
+		return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", colon: ':', tab: '\t', newline: '\n' }[lower];
+	});
+}
+
+/**
+ * @param {number} codePoint - Code point
+ * @returns {string} Character, or U+FFFD if invalid
+ */
+function safeFromCodePoint(codePoint) {
+	try {
+		return String.fromCodePoint(codePoint);
+	} catch {
+		return '�';
+	}
+}
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Utilidades para eliminar contenido solo para el GM antes de servir páginas a jugadores.
+ *
+ * Se consideran secretos:
+ * - Comentarios de Obsidian: %% texto %% (en línea o multilínea)
+ * - Callouts secretos: > [!secret], > [!gm] o > [!gm-only] (con todo su contenido)
+ * - El frontmatter YAML de la nota
+ *
+ * El contenido dentro de bloques de código se deja intacto.
+ */
+
+/**
+ * Tipos de callout cuyo contenido es solo para el GM.
+ */
+export const SECRET_CALLOUT_TYPES = ['secret', 'gm', 'gm-only'];
+
+/**
+ * Vistas de página disponibles.
+ */
+export const PAGE_VIEWS = ['gm', 'player'];
+
+/**
+ * Normaliza el valor de una vista de página ('gm' por defecto).
+ *
+ * @param {string|null|undefined} view - Vista solicitada
+ * @returns {string} 'gm' o 'player'
+ */
+export function normalizeView(view) {
+	return PAGE_VIEWS.includes(view) ? view : 'gm';
+}
+
+/**
+ * Elimina los bloques secretos del markdown para la vista de jugador.
+ *
+ * @param {string} markdown - Contenido markdown de la nota
+ * @returns {string} Markdown sin secretos
+ */
+export function stripSecrets(markdown) {
+	const calloutRegex = new RegExp(`^\\s*((?:>\\s*)+)\\[!(${SECRET_CALLOUT_TYPES.join('|')})\\][-+]?`, 'i');
+	const lines = stripFrontmatter(markdown).split('\n');
+	const output = [];
+
+	let fence = null;
+	let inComment = false;
+	let secretCalloutDepth = 0;
+
+	for (const line of lines) {
+		// Bloques de código: se copian tal cual
+		const fenceMatch = line.match(/^\s*(```+|~~~+)/);
+		if (fence) {
+			if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+				fence = null;
+			}
+			output.push(line);
+			continue;
+		}
+		if (fenceMatch && !inComment && secretCalloutDepth === 0) {
+			fence = fenceMatch[1];
+			output.push(line);
+			continue;
+		}
+
+		// Callout secreto: saltar mientras sigan las líneas citadas con al menos la misma profundidad
+		// y las líneas sin ">" que continúan su párrafo (continuación perezosa) hasta una línea en blanco
+		if (secretCalloutDepth > 0) {
+			if (quoteDepth(line) >= secretCalloutDepth || line.trim() !== '') {
+				continue;
+			}
+			secretCalloutDepth = 0;
+		}
+
+		if (!inComment) {
+			const calloutMatch = line.match(calloutRegex);
+			if (calloutMatch) {
+				secretCalloutDepth = (calloutMatch[1].match(/>/g) || []).length;
+				continue;
+			}
+		}
+
+		// Comentarios %% ... %%
+		const result = stripComments(line, inComment);
+		inComment = result.inComment;
+
+		// Una línea que solo contenía un comentario desaparece por completo
+		if (result.text.trim() === '' && line.trim() !== '') {
+			continue;
+		}
+		output.push(result.text);
+	}
+
+	return output.join('\n');
+}
+
+/**
+ * Elimina el bloque de frontmatter YAML del principio del markdown.
+ *
+ * @param {string} markdown - Contenido markdown
+ * @returns {string} Markdown sin frontmatter
+ */
+export function stripFrontmatter(markdown) {
+	return markdown.replace(/^---\r?\n[\s\S]*?\r?\n---[ \t]*(\r?\n|$)/, '');
+}
+
+/**
+ * Cuenta el nivel de cita (número de ">") al inicio de una línea.
+ *
+ * @param {string} line - Línea de markdown
+ * @returns {number} Profundidad de cita
+ */
+function quoteDepth(line) {
+	const match = line.match(/^\s*((?:>\s*)*)/);
+	return (match[1].match(/>/g) || []).length;
+}
+
+/**
+ * Elimina comentarios %% ... %% de una línea, respetando el código inline.
+ *
+ * @param {string} line - Línea de markdown
+ * @param {boolean} inComment - Si la línea empieza dentro de un comentario abierto
+ * @returns {{text: string, inComment: boolean}} Línea procesada y estado final
+ */
+function stripComments(line, inComment) {
+	let text = '';
+	let i = 0;
+
+	while (i < line.length) {
+		if (inComment) {
+			const end = line.indexOf('%%', i);
+			if (end === -1) {
+				return { text, inComment: true };
+			}
+			inComment = false;
+			i = end + 2;
+			continue;
+		}
+
+		// Código inline: copiar sin buscar comentarios
+		if (line[i] === '`') {
+			const end = line.indexOf('`', i + 1);
+			if (end !== -1) {
+				text += line.slice(i, end + 1);
+				i = end + 1;
+				continue;
+			}
+		}
+
+		if (line.startsWith('%%', i)) {
+			inComment = true;
+			i += 2;
+			continue;
+		}
+
+		text += line[i];
+		i++;
+	}
+
+	return { text, inComment };
+}
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Utilidades de bloques de estadísticas de criaturas (statblocks).
+ *
+ * Formatos reconocidos:
+ * - Bloques ```statblock con YAML (formato del plugin Fantasy Statblocks)
+ * - Tablas de características al estilo 5e (| STR | DEX | CON | INT | WIS | CHA |)
+ *
+ * La usan el renderizado (tarjeta de criatura) y SessionParser (blockType "enemy").
+ */
+
+/**
+ * Características en orden, con su abreviatura y nombre completo.
+ */
+export const ABILITIES = [
+	{ key: 'str', label: 'STR', name: 'Strength' },
+	{ key: 'dex', label: 'DEX', name: 'Dexterity' },
+	{ key: 'con', label: 'CON', name: 'Constitution' },
+	{ key: 'int', label: 'INT', name: 'Intelligence' },
+	{ key: 'wis', label: 'WIS', name: 'Wisdom' },
+	{ key: 'cha', label: 'CHA', name: 'Charisma' }
+];
+
+/**
+ * Lenguaje del bloque de código de Fantasy Statblocks.
+ */
+export const STATBLOCK_LANGUAGE = 'statblock';
+
+/**
+ * Modificador de una puntuación de característica (5e): 14 → 2, 8 → -1.
+ *
+ * @param {number} score - Puntuación
+ * @returns {number} Modificador
+ */
+export function abilityModifier(score) {
+	return Math.floor((Number(score) - 10) / 2);
+}
+
+/**
+ * Formatea un bonificador con signo: 2 → "+2", -1 → "−1".
+ *
+ * @param {number} bonus - Bonificador
+ * @returns {string} Texto con signo
+ */
+export function formatBonus(bonus) {
+	return bonus < 0 ? `−${Math.abs(bonus)}` : `+${bonus}`;
+}
+
+/**
+ * Indica si las celdas de una cabecera de tabla son las seis características (STR...CHA).
+ *
+ * @param {string[]} cells - Celdas de la cabecera
+ * @returns {boolean} true si es una tabla de características
+ */
+export function isAbilityHeader(cells) {
+	return cells.length === ABILITIES.length
+		&& cells.every((cell, i) => cell.trim().toUpperCase() === ABILITIES[i].label);
+}
+
+/**
+ * Indica si el markdown de una nota contiene un statblock o una tabla de características.
+ *
+ * @param {string} markdown - Contenido de la nota
+ * @returns {boolean} true si hay al menos uno
+ */
+export function hasStatblock(markdown) {
+	if (new RegExp(`^\\s*(?:>\\s*)*(\`{3,}|~{3,})\\s*${STATBLOCK_LANGUAGE}\\b`, 'm').test(markdown)) {
+		return true;
+	}
+	return markdown.split('\n').some(line => {
+		const cells = line.replace(/^\s*(?:>\s*)*/, '').trim().replace(/^\||\|$/g, '').split('|');
+		return isAbilityHeader(cells);
+	});
+}
@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Utilidades para validar rutas del vault recibidas por HTTP.
+ */
+
+/**
+ * Normaliza una ruta relativa del vault y rechaza rutas inseguras.
+ * Se rechazan rutas absolutas, con barras invertidas, con bytes nulos
+ * o con segmentos "." / ".." (path traversal).
+ *
+ * @param {string} path - Ruta ya decodificada (ej: "Sesión 1/mapas/mapa.png")
+ * @returns {string|null} Ruta normalizada o null si no es segura
+ */
+export function normalizeVaultPath(path) {
+	if (typeof path !== 'string' || path === '') {
+		return null;
+	}
+
+	if (path.includes('\0') || path.includes('\\') || path.startsWith('/') || /^[a-zA-Z]:/.test(path)) {
+		return null;
+	}
+
+	const segments = path.split('/');
+	if (segments.some(segment => segment === '' || segment === '.' || segment === '..')) {
+		return null;
+	}
+
+	return segments.join('/');
+}
+
+/**
+ * Comprueba si una ruta del vault está dentro de una carpeta.
+ * La carpeta raíz del vault ("" o "/") contiene cualquier ruta.
+ *
+ * @param {string} path - Ruta normalizada del archivo
+ * @param {string} folderPath - Ruta de la carpeta
+ * @returns {boolean} true si la ruta está dentro de la carpeta
+ */
+export function isPathInside(path, folderPath) {
+	const folder = (folderPath || '').replace(/^\/+|\/+$/g, '');
+	if (folder === '') {
+		return true;
+	}
+	return path.startsWith(`${folder}/`);
+}
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Utilidades para interpretar wiki links de Obsidian.
+ *
+ * Formatos soportados:
+ * - [[Nota]] y [[Carpeta/Nota]]
+ * - [[Nota|Texto]] (también con la barra escapada dentro de tablas: [[Nota\|Texto]])
+ * - [[Nota#Encabezado]] y [[Nota#Encabezado#Subencabezado]]
+ * - [[Nota#^bloque]] y [[Nota^bloque]]
+ */
+
+import { slugify } from './slugify.js';
+
+/**
+ * Separa un wiki link en destino, ancla y texto visible.
+ *
+ * @param {string} linkContent - Contenido entre [[ y ]]
+ * @returns {{path: string, heading: string|null, blockId: string|null, display: string}} Partes del link
+ */
+export function parseWikiLink(linkContent) {
+	const pipeIndex = linkContent.indexOf('|');
+	const target = (pipeIndex === -1 ? linkContent : linkContent.slice(0, pipeIndex))
+		.replace(/\\$/, '')
+		.trim();
+	const alias = pipeIndex === -1 ? '' : linkContent.slice(pipeIndex + 1).trim();
+
+	let path = target;
+	let heading = null;
+	let blockId = null;
+
+	const blockMatch = target.match(/^(.*?)#?\^([\w-]+)$/);
+	if (blockMatch) {
+		path = blockMatch[1];
+		blockId = blockMatch[2];
+	} else if (target.includes('#')) {
+		const [notePath, ...headings] = target.split('#');
+		path = notePath;
+		// En encabezados anidados (#A#B) el destino es el último
+		heading = headings.filter(Boolean).pop() || null;
+	}
+
+	path = path.trim();
+
+	let display = alias;
+	if (!display) {
+		const anchorText = heading || (blockId ? `^${blockId}` : null);
+		display = anchorText ? [path, anchorText].filter(Boolean).join(' > ') : path;
+	}
+
+	return { path, heading, blockId, display };
+}
+
+/**
+ * Devuelve el fragmento de URL (#...) de un wiki link.
+ * Los encabezados usan su slug (el mismo id que reciben al renderizar) y los bloques "^id".
+ *
+ * @param {{heading: string|null, blockId: string|null}} link - Resultado de parseWikiLink
+ * @returns {string} Fragmento con "#" o cadena vacía
+ */
+export function getLinkAnchor(link) {
+	if (link.blockId) {
+		return `#^${encodeURIComponent(link.blockId)}`;
+	}
+	if (link.heading) {
+		return `#${slugify(link.heading)}`;
+	}
+	return '';
+}
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview In-memory Obsidian app for tests (vault and metadata cache).
+ */
+
+import { TFile, TFolder } from 'obsidian';
+
+/**
+ * Builds an app whose vault holds the given notes (path → Markdown), with their folders.
+ * Links resolve by file name or path, without extension.
+ *
+ * @param {Object<string, string>} notes - Note contents by path
+ * @param {Object<string, Object>} [fileCaches] - Metadata cache entries by path
+ * @returns {Object} App with vault and metadataCache
+ */
+export function createApp(notes, fileCaches = {}) {
+	const files = new Map();
+	const root = new TFolder('/');
+	const folders = new Map([['', root]]);
+
+	const getFolder = (path) => {
+		if (!folders.has(path)) {
+			const folder = new TFolder(path);
+			const parent = getFolder(path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '');
+			folder.parent = parent;
+			parent.children.push(folder);
+			folders.set(path, folder);
+		}
+		return folders.get(path);
+	};
+
+	for (const path of Object.keys(notes)) {
+		const file = new TFile(path);
+		file.parent = getFolder(path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '');
+		file.parent.children.push(file);
+		files.set(path, file);
+	}
+
+	const findFile = (linkPath) => [...files.values()].find(file => {
+		const target = linkPath.replace(/\.md$/i, '').toLowerCase();
+		return file.path.replace(/\.md$/i, '').toLowerCase() === target || file.basename.toLowerCase() === target;
+	}) || null;
+
+	return {
+		vault: {
+			getAbstractFileByPath: (path) => files.get(path) || folders.get(path) || null,
+			getRoot: () => root,
+			read: async (file) => notes[file.path],
+			cachedRead: async (file) => notes[file.path]
+		},
+		metadataCache: {
+			getFirstLinkpathDest: (linkPath) => findFile(linkPath),
+			getFileCache: (file) => fileCaches[file.path] || null
+		}
+	};
+}
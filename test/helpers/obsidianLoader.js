@@ -0,0 +1,12 @@
+/**
+ * @fileoverview Module resolve hook that maps "obsidian" to the test mock.
+ */
+
+const MOCK_URL = new URL('../mocks/obsidian.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+	if (specifier === 'obsidian') {
+		return { url: MOCK_URL, shortCircuit: true };
+	}
+	return nextResolve(specifier, context);
+}
@@ -0,0 +1,8 @@
+/**
+ * @fileoverview Loaded with --import before the tests: resolves "obsidian" to test/mocks/obsidian.js
+ * (the npm package only ships type definitions).
+ */
+
+import { register } from 'node:module';
+
+register('./obsidianLoader.js', import.meta.url);
@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Minimal file snapshots for node:test (node:test has no snapshots in Node 20).
+ *
+ * Snapshots of a test file live in __snapshots__/<file>.snap next to it, as a JSON object
+ * of test name → output. A missing snapshot is written on the first run, except in CI;
+ * UPDATE_SNAPSHOTS=1 rewrites the ones that changed.
+ */
+
+import assert from 'node:assert/strict';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { basename, dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Creates the snapshot matcher of a test file.
+ *
+ * @param {string} testFileUrl - import.meta.url of the test file
+ * @returns {function(string, string): void} (name, actual) → asserts the output matches its snapshot
+ */
+export function createSnapshotMatcher(testFileUrl) {
+	const testFile = fileURLToPath(testFileUrl);
+	const snapshotFile = join(dirname(testFile), '__snapshots__', `${basename(testFile)}.snap`);
+	const snapshots = existsSync(snapshotFile) ? JSON.parse(readFileSync(snapshotFile, 'utf8')) : {};
+	const update = process.env.UPDATE_SNAPSHOTS === '1';
+
+	return (name, actual) => {
+		if (Object.prototype.hasOwnProperty.call(snapshots, name) && !update) {
+			assert.equal(actual, snapshots[name], `Snapshot "${name}" does not match (UPDATE_SNAPSHOTS=1 to update it)`);
+			return;
+		}
+		if (!update && process.env.CI) {
+			assert.fail(`Missing snapshot "${name}" (run the tests outside CI to write it)`);
+		}
+
+		snapshots[name] = actual;
+		mkdirSync(dirname(snapshotFile), { recursive: true });
+		const sorted = Object.fromEntries(Object.keys(snapshots).sort().map(key => [key, snapshots[key]]));
+		writeFileSync(snapshotFile, `${JSON.stringify(sorted, null, '\t')}\n`);
+	};
+}
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Minimal stand-in for the Obsidian API used by the tested modules.
+ */
+
+export class TAbstractFile {
+	/**
+	 * @param {string} path - Vault path
+	 */
+	constructor(path) {
+		this.path = path;
+		this.name = path.split('/').pop();
+	}
+}
+
+export class TFile extends TAbstractFile {
+	/**
+	 * @param {string} path - Vault path
+	 * @param {Object} [stat] - File stats
+	 */
+	constructor(path, stat = { mtime: 0, size: 0 }) {
+		super(path);
+		this.extension = this.name.includes('.') ? this.name.split('.').pop() : '';
+		this.basename = this.name.replace(/\.[^.]+$/, '');
+		this.stat = stat;
+	}
+}
+
+export class TFolder extends TAbstractFile {
+	constructor(path) {
+		super(path);
+		this.children = [];
+	}
+}
+
+/**
+ * @param {Object|null|undefined} frontmatter - Note frontmatter
+ * @returns {string[]|null} Aliases, or null if there are none
+ */
+export function parseFrontMatterAliases(frontmatter) {
+	const aliases = frontmatter?.aliases ?? frontmatter?.alias;
+	if (!aliases) {
+		return null;
+	}
+	return Array.isArray(aliases) ? aliases.map(String) : String(aliases).split(',').map(alias => alias.trim());
+}
@@ -0,0 +1,113 @@
+/**
+ * Tests of note transclusion, in particular what the player view may receive.
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EmbedResolver } from '../../src/parsers/EmbedResolver.js';
+import { stripSecrets } from '../../src/utils/secrets.js';
+import { createApp } from '../helpers/app.js';
+
+const LORE = [
+	'# Lore',
+	'',
+	'The town was founded by elves. ^founding',
+	'',
+	'> [!secret] The truth',
+	'> The mayor is a vampire. ^mayor',
+	'',
+	'## Rumors',
+	'',
+	'%% Only the baker knows',
+	'Nobody else does. ^baker',
+	'%%',
+	'',
+	'The well is cursed. %% by the mayor %% ^well',
+	'',
+	'Stray comment opener: %% never closed'
+].join('\n');
+
+/**
+ * Metadata cache positions of the blocks of a note, as Obsidian reports them
+ * (the paragraph or quoted line that ends with the marker).
+ *
+ * @param {string} content - Note content
+ * @returns {Object} File cache with blocks
+ */
+function blockCache(content) {
+	const blocks = {};
+	let offset = 0;
+	for (const line of content.split('\n')) {
+		const marker = /\^([a-z0-9-]+)$/.exec(line);
+		if (marker) {
+			blocks[marker[1]] = { position: { start: { offset }, end: { offset: offset + line.length } } };
+		}
+		offset += line.length + 1;
+	}
+	return { blocks };
+}
+
+/**
+ * @param {string} host - Markdown of the host note
+ * @param {string} view - 'gm' or 'player'
+ * @returns {Promise<string>} Expanded Markdown, stripped like the render pipeline does for the view
+ */
+async function expand(host, view) {
+	const app = createApp({ 'Host.md': host, 'Lore.md': LORE }, { 'Lore.md': blockCache(LORE) });
+	const resolver = new EmbedResolver(app);
+	const markdown = await resolver.expandEmbeds(host, app.vault.getAbstractFileByPath('Host.md'), { view });
+	return view === 'player' ? stripSecrets(markdown) : markdown;
+}
+
+describe('EmbedResolver', () => {
+	test('a block inside a secret callout is not embedded in the player view', async () => {
+		const player = await expand('Intro\n\n![[Lore#^mayor]]\n\nOutro', 'player');
+		assert.doesNotMatch(player, /vampire/);
+		assert.match(player, /Embed not found/);
+		assert.match(player, /Outro/);
+
+		const gm = await expand('Intro\n\n![[Lore#^mayor]]\n\nOutro', 'gm');
+		assert.match(gm, /The mayor is a vampire\./);
+	});
+
+	test('a block inside a multi-line comment is not embedded in the player view', async () => {
+		const player = await expand('![[Lore#^baker]]', 'player');
+		assert.doesNotMatch(player, /Nobody else/);
+	});
+
+	test('comments inside an embedded block are removed in the player view', async () => {
+		const player = await expand('![[Lore#^well]]', 'player');
+		assert.match(player, /The well is cursed\./);
+		assert.doesNotMatch(player, /by the mayor/);
+	});
+
+	test('an unclosed comment in an embedded note does not hide the rest of the host', async () => {
+		const player = await expand('Before\n\n![[Lore]]\n\nAfter the embed', 'player');
+		assert.match(player, /The town was founded by elves\./);
+		assert.doesNotMatch(player, /vampire|Nobody else|never closed/);
+		assert.match(player, /After the embed/);
+	});
+
+	test('a section embed drops the secrets of the section in the player view', async () => {
+		const player = await expand('![[Lore#Rumors]]', 'player');
+		assert.match(player, /## Rumors/);
+		assert.match(player, /The well is cursed\./);
+		assert.doesNotMatch(player, /baker|by the mayor/);
+	});
+
+	test('public blocks are embedded in both views', async () => {
+		for (const view of ['gm', 'player']) {
+			const markdown = await expand('![[Lore#^founding]]', view);
+			assert.match(markdown, /The town was founded by elves\./);
+			assert.doesNotMatch(markdown, /elves\. \^founding/);
+		}
+	});
+
+	test('the embedded notes are reported so the page can use their modification time', async () => {
+		const app = createApp({ 'Host.md': '![[Lore#Rumors]]\n\n![[Missing]]', 'Lore.md': LORE });
+		const embeddedFiles = new Set();
+		const host = app.vault.getAbstractFileByPath('Host.md');
+		await new EmbedResolver(app).expandEmbeds(await app.vault.read(host), host, { embeddedFiles });
+		assert.deepEqual([...embeddedFiles].map(file => file.path), ['Lore.md']);
+	});
+});
@@ -0,0 +1,58 @@
+/**
+ * Tests of the change detection that decides when the cached session is rebuilt.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VaultIndex } from '../../src/registry/VaultIndex.js';
+import { createApp } from '../helpers/app.js';
+
+const ROLLABLE = '| d6 | Rumor |\n|---|---|\n| 1-3 | Ghoul mayor |\n| 4-6 | Nothing |';
+const NOT_ROLLABLE = '| Name | Role |\n|---|---|\n| Ada | Mayor |\n| Bo | Baker |';
+
+/**
+ * @param {string} type - Section type of the note ('table' or 'code')
+ * @returns {{index: VaultIndex, file: import('obsidian').TFile}} Index of a one-note session folder
+ */
+async function createIndex(type) {
+	const app = createApp({ 'Session/Note.md': '' }, { 'Session/Note.md': { sections: [{ type }] } });
+	const index = new VaultIndex(app, { structureMode: 'folders' }, null);
+	index.setSessionFolder(app.vault.getAbstractFileByPath('Session'));
+	await index.getSlug('Session/Note.md');
+	return { index, file: app.vault.getAbstractFileByPath('Session/Note.md') };
+}
+
+test('editing a table so it becomes or stops being rollable refreshes the index', async () => {
+	const { index, file } = await createIndex('table');
+
+	index.onMetadataChange(file, NOT_ROLLABLE);
+	const updates = index.getStats().incrementalUpdates;
+
+	index.onMetadataChange(file, NOT_ROLLABLE.replace('Baker', 'Smith'));
+	assert.equal(index.getStats().incrementalUpdates, updates, 'an edit that keeps the block types is ignored');
+
+	index.onMetadataChange(file, ROLLABLE);
+	assert.equal(index.getStats().incrementalUpdates, updates + 1);
+
+	index.onMetadataChange(file, NOT_ROLLABLE);
+	assert.equal(index.getStats().incrementalUpdates, updates + 2);
+});
+
+test('changing a fence to ```statblock refreshes the index', async () => {
+	const { index, file } = await createIndex('code');
+
+	index.onMetadataChange(file, '```js\nname: Goblin\n```');
+	const updates = index.getStats().incrementalUpdates;
+
+	index.onMetadataChange(file, '```statblock\nname: Goblin\n```');
+	assert.equal(index.getStats().incrementalUpdates, updates + 1);
+});
+
+test('a lowercase basename only finds a note when no other note shares it', async () => {
+	const app = createApp({ 'Session/Old Mill.md': '', 'Session/A/Town Hall.md': '', 'Session/B/Town Hall.md': '' });
+	const index = new VaultIndex(app, { structureMode: 'folders' }, null);
+	index.setSessionFolder(app.vault.getAbstractFileByPath('Session'));
+
+	assert.equal((await index.findBySlug('old mill'))?.path, 'Session/Old Mill.md');
+	assert.equal(await index.findBySlug('town hall'), null);
+});
@@ -0,0 +1,28 @@
+/**
+ * Tests of dice notation detection.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import MarkdownIt from 'markdown-it';
+import { dicePlugin } from '../../src/renderers/plugins/dice.js';
+
+const md = new MarkdownIt().use(dicePlugin);
+
+/**
+ * @param {string} markdown - Markdown
+ * @returns {string[]} Notation of every dice chip
+ */
+function diceIn(markdown) {
+	return [...md.render(markdown).matchAll(/data-dice="([^"]*)"/g)].map(match => match[1]);
+}
+
+test('dice notation becomes chips', () => {
+	assert.deepEqual(diceIn('Roll 2d6+3, then 1d20 and d8.'), ['2d6+3', '1d20', '1d8']);
+	assert.deepEqual(diceIn('Percentile d% and 1d100.'), ['1d%', '1d100']);
+	assert.deepEqual(diceIn('`dice: 3d8 + 2`'), ['3d8+2']);
+});
+
+test('zero sides or a zero count are not dice', () => {
+	assert.deepEqual(diceIn('d0, 1d0, d00, 0d6 and 2d06 stay text.'), []);
+});
@@ -0,0 +1,121 @@
+/**
+ * Snapshot tests of the markdown-it plugins (callouts, wiki links, tags, Notion classes,
+ * headings), in the order RenderPipeline registers them. statblocksPlugin needs Obsidian's
+ * parseYaml, so it is left out.
+ */
+
+import { describe, test } from 'node:test';
+import MarkdownIt from 'markdown-it';
+import { calloutPlugin } from '../../src/renderers/plugins/callouts.js';
+import { wikiLinkPlugin } from '../../src/renderers/plugins/wikiLinks.js';
+import { tagPlugin } from '../../src/renderers/plugins/tags.js';
+import { dicePlugin } from '../../src/renderers/plugins/dice.js';
+import { rollTablesPlugin } from '../../src/renderers/plugins/rollTables.js';
+import { notionClassesPlugin } from '../../src/renderers/plugins/notionClasses.js';
+import { headingsPlugin } from '../../src/renderers/plugins/headings.js';
+import { RENDER_TARGETS } from '../../src/renderers/transforms.js';
+import { createSnapshotMatcher } from '../helpers/snapshot.js';
+
+const matchSnapshot = createSnapshotMatcher(import.meta.url);
+
+const md = new MarkdownIt({ html: true, linkify: true, typographer: true })
+	.use(calloutPlugin)
+	.use(wikiLinkPlugin)
+	.use(tagPlugin)
+	.use(dicePlugin)
+	.use(rollTablesPlugin)
+	.use(notionClassesPlugin)
+	.use(headingsPlugin);
+
+const PAGES = {
+	'Tavern': { id: 'page-tavern', name: 'Tavern', slug: 'tavern' },
+	'Villain': { id: 'page-villain', name: 'Villain', slug: 'villain' }
+};
+
+/**
+ * @param {string} markdown - Markdown
+ * @param {Object} [env] - Render context
+ * @returns {string} HTML
+ */
+function render(markdown, env = {}) {
+	return md.render(markdown, {
+		target: RENDER_TARGETS.PAGE,
+		baseUrl: 'https://gm.example.com/t/abc',
+		findPage: (linkPath) => PAGES[linkPath] || null,
+		...env
+	});
+}
+
+describe('callouts', () => {
+	test('callout with title and body', () => {
+		matchSnapshot('callout', render('> [!warning] Trap ahead\n> The floor is **rigged**.'));
+	});
+
+	test('foldable callouts', () => {
+		matchSnapshot('callout foldable', render('> [!tip]- Hidden hint\n> Look up.\n\n> [!faq]+ Open question\n> Why?'));
+	});
+
+	test('GM and unknown types', () => {
+		matchSnapshot('callout gm and unknown', render('> [!read-aloud]\n> You enter a dark room.\n\n> [!whatever] Custom\n> Text'));
+	});
+});
+
+describe('wiki links', () => {
+	test('session pages become mentions, other notes plain text', () => {
+		matchSnapshot('wiki links', render('Meet at [[Tavern]], beware [[Villain|the baron]] and [[Missing note]].'));
+	});
+
+	test('links to a heading keep the anchor', () => {
+		matchSnapshot('wiki link anchor', render('See [[Tavern#Rumors and gossip]].'));
+	});
+
+	test('wiki links inside code are left alone', () => {
+		matchSnapshot('wiki link in code', render('Write `[[Tavern]]` to link.\n\n```\n[[Villain]]\n```'));
+	});
+
+	test('player view links', () => {
+		matchSnapshot('wiki link player view', render('Go to [[Tavern]].', { view: 'player' }));
+	});
+});
+
+describe('tags', () => {
+	test('tags in text and a tags line', () => {
+		matchSnapshot('tags', render('An #npc in the #city/docks.\n\ntags: #session, #act-1'));
+	});
+
+	test('# inside URLs is not a tag', () => {
+		matchSnapshot('tags in urls', render('See https://example.com/page#anchor and [map](https://example.com/#region).'));
+	});
+
+	test('# inside HTML attributes is not a tag', () => {
+		matchSnapshot('tags in attributes', render('<span title="#secret" data-x="a #b">text</span> and <a href="#top">top</a>'));
+	});
+
+	test('tags in headings, numbers and code', () => {
+		matchSnapshot('tags in headings', render('# Title\n\n## Ambush #combat\n\nRoll #1 and `#code` or page#section.'));
+	});
+});
+
+describe('Notion classes', () => {
+	test('nested lists keep the class of their own list', () => {
+		matchSnapshot('nested lists', render('- Bullet\n  1. Numbered child\n  2. Second\n     - Deep bullet\n- Bullet again\n\n1. Numbered\n   - Bullet child'));
+	});
+
+	test('inline formatting, quotes, tables and dividers', () => {
+		matchSnapshot('inline and blocks', render('**bold** *italic* ~~gone~~ `code` <u>under</u>\n\n> Quote\n\n---\n\n| A | B |\n|---|---|\n| 1 | 2 |'));
+	});
+
+	test('links: external in a new tab, /pages and /images get the base URL', () => {
+		matchSnapshot('links', render('[site](https://example.com) [page](/pages/tavern) ![map](/images/map.png)', { view: 'player' }));
+	});
+});
+
+describe('headings', () => {
+	test('slug IDs, repeated headings and block IDs', () => {
+		matchSnapshot('heading anchors', render('# Title\n\n## Rumors\n\n## Rumors\n\nThe baron is a vampire. ^rumor\n\n- Item ^item-1'));
+	});
+
+	test('table of contents', () => {
+		matchSnapshot('table of contents', render('# Title\n\n## One\n\n### One point one\n\n## Two\n\n#### Too deep', { tableOfContents: true }));
+	});
+});
@@ -0,0 +1,33 @@
+/**
+ * Tests of the on-disk thumbnail cache.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { ThumbnailCache } from '../../src/server/ThumbnailCache.js';
+
+const generate = async () => ({ data: new Uint8Array([1, 2, 3]), mimeType: 'image/jpeg' });
+
+test('remove() deletes every thumbnail of an image and keeps the others', async (t) => {
+	const directory = await mkdtemp(join(tmpdir(), 'thumbnails-'));
+	t.after(() => rm(directory, { recursive: true, force: true }));
+	const cache = new ThumbnailCache(directory);
+
+	await cache.get({ path: 'Maps/city.png', mtime: 1000 }, 400, generate);
+	await cache.get({ path: 'Maps/city.png', mtime: 1000 }, 800, generate);
+	await cache.get({ path: 'Maps/dungeon.png', mtime: 1000 }, 400, generate);
+	assert.equal((await readdir(directory)).length, 3);
+
+	await cache.remove('Maps/city.png');
+	const left = await readdir(directory);
+	assert.equal(left.length, 1);
+	assert.ok(left[0].startsWith(cache._hashPath('Maps/dungeon.png')));
+});
+
+test('remove() without a cache folder does nothing', async () => {
+	await new ThumbnailCache(null).remove('Maps/city.png');
+	await new ThumbnailCache(join(tmpdir(), 'missing-thumbnail-folder')).remove('Maps/city.png');
+});
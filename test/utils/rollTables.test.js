@@ -0,0 +1,26 @@
+/**
+ * Tests of random table detection.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRollRanges, hasRollableTable } from '../../src/utils/rollTables.js';
+
+test('a die header makes any column of ranges rollable', () => {
+	assert.deepEqual(getRollRanges('d6', ['1-2', '3-6']), [{ min: 1, max: 2 }, { min: 3, max: 6 }]);
+	assert.deepEqual(getRollRanges('1d4', ['1', '2', '3', '4']), [{ min: 1, max: 1 }, { min: 2, max: 2 }, { min: 3, max: 3 }, { min: 4, max: 4 }]);
+	assert.ok(getRollRanges('d%', ['01-50', '51-00']));
+});
+
+test('without a die header, ranges from 1 with no gaps are rollable', () => {
+	assert.ok(getRollRanges('Roll', ['1', '2-3', '4-6']));
+	assert.equal(getRollRanges('Roll', ['1', '3-4']), null, 'gap between 1 and 3');
+	assert.equal(getRollRanges('Roll', ['2-3', '4-6']), null, 'does not start at 1');
+});
+
+test('numbered tables without a die header or any range are not rollable', () => {
+	assert.equal(getRollRanges('Level', ['1', '2', '3', '4']), null);
+	assert.equal(getRollRanges('Step', ['1', '2']), null);
+	assert.equal(hasRollableTable('| Level | XP |\n|---|---|\n| 1 | 0 |\n| 2 | 300 |\n| 3 | 900 |'), false);
+	assert.equal(hasRollableTable('| d20 | Loot |\n|---|---|\n| 1-10 | Copper |\n| 11-20 | Gold |'), true);
+});
@@ -0,0 +1,17 @@
+/**
+ * Tests of the HTML sanitizer allowlist.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeHtml } from '../../src/utils/sanitize.js';
+
+test('images keep inlined data URIs, SVG included', () => {
+	assert.match(sanitizeHtml('<img src="data:image/png;base64,iVBORw0KGgo=">'), /src="data:image\/png;base64,/);
+	assert.match(sanitizeHtml('<img src="data:image/svg+xml;base64,PHN2Zy8+">'), /src="data:image\/svg\+xml;base64,/);
+});
+
+test('data URIs are dropped outside images', () => {
+	assert.doesNotMatch(sanitizeHtml('<a href="data:image/svg+xml;base64,PHN2Zy8+">map</a>'), /href=/);
+	assert.doesNotMatch(sanitizeHtml('<img src="data:text/html;base64,PHNjcmlwdD4=">'), /src=/);
+});
@@ -0,0 +1,20 @@
+/**
+ * Tests of what the player view strips from a note.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stripSecrets } from '../../src/utils/secrets.js';
+
+test('a secret callout is removed with its quoted lines', () => {
+	const player = stripSecrets('Intro\n\n> [!secret]\n> The mayor is a ghoul.\n\nOutro');
+	assert.doesNotMatch(player, /ghoul/);
+	assert.match(player, /Intro/);
+	assert.match(player, /Outro/);
+});
+
+test('lazy continuation lines of a secret callout are removed up to the blank line', () => {
+	const player = stripSecrets('> [!gm] Twist\n> The mayor\nis a ghoul\nand feeds at night.\n\nOutro');
+	assert.doesNotMatch(player, /ghoul|feeds/);
+	assert.match(player, /Outro/);
+});